@@ -0,0 +1,187 @@
+// tests for the circuit registry and the setup manifests, on a directory laid out as
+// generateZokratesFiles() leaves it
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CircuitRegistry,
+  getCircuitMode,
+  getCircuitNames,
+  getSourceDirectory,
+  resolveProver,
+  ZokratesCliProver,
+} = require('../prover');
+const { writeManifest, readManifest } = require('../prover/manifest');
+const generateZokratesFiles = require('../setup/generateZokratesFiles');
+const { flattenVk } = require('../vks');
+const { checkVerificationKey } = require('../preflight');
+const { CircuitArtifactsError, VerificationKeyMismatchError } = require('../errors');
+
+const env = { HASH_TYPE: process.env.HASH_TYPE, COMPLIANCE: process.env.COMPLIANCE };
+const g1 = ['0x1', '0x2'];
+const g2 = [
+  ['0x3', '0x4'],
+  ['0x5', '0x6'],
+];
+const vk = { alpha: g1, beta: g2, gamma: g2, delta: g2, gamma_abc: [g1, g1] };
+let directory;
+
+async function setUp(circuit) {
+  const circuitDirectory = path.join(directory, circuit);
+  fs.mkdirSync(circuitDirectory);
+  ['out', 'proving.key', 'verification.key', 'verifier.sol'].forEach(file =>
+    fs.writeFileSync(path.join(circuitDirectory, file), `${circuit} ${file}`),
+  );
+  fs.writeFileSync(path.join(circuitDirectory, `${circuit}-vk.json`), JSON.stringify(vk));
+  await writeManifest(
+    directory,
+    circuit,
+    path.join(getSourceDirectory(), `${circuit}.zok`),
+    getCircuitMode(),
+  );
+}
+
+function editManifest(circuit, edit) {
+  const manifestPath = path.join(directory, circuit, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  fs.writeFileSync(manifestPath, JSON.stringify(edit(manifest)));
+}
+
+beforeAll(async () => {
+  // the sha circuits, without compliance
+  delete process.env.HASH_TYPE;
+  delete process.env.COMPLIANCE;
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'circuits-'));
+  await setUp('ft-mint');
+  await setUp('ft-transfer');
+  await setUp('ft-burn');
+});
+
+afterAll(() => {
+  Object.entries(env).forEach(([name, value]) => {
+    if (value !== undefined) process.env[name] = value;
+  });
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('Circuit registry tests', () => {
+  test('Lists the circuits of each hash and compliance mode', () => {
+    expect(getCircuitNames()).toContain('nft-transfer');
+    expect(getCircuitNames()).not.toContain('ft-consolidation-transfer');
+    expect(getCircuitNames({ hashType: 'mimc' })).toContain('ft-consolidation-transfer');
+    expect(getCircuitNames({ hashType: 'sha', compliance: true }).sort()).toEqual([
+      'ft-burn',
+      'ft-mint',
+      'ft-transfer',
+    ]);
+  });
+
+  test('Makes a prover from the files of each circuit, once', () => {
+    const registry = new CircuitRegistry(directory, { proverType: 'cli' });
+    const prover = resolveProver(registry, 'ft-mint');
+    expect(prover).toBeInstanceOf(ZokratesCliProver);
+    expect(prover).toMatchObject({
+      codePath: path.join(directory, 'ft-mint', 'out'),
+      pkPath: path.join(directory, 'ft-mint', 'proving.key'),
+      vkPath: path.join(directory, 'ft-mint', 'ft-mint-vk.json'),
+    });
+    expect(registry.getProver('ft-mint')).toBe(prover);
+    expect(() => resolveProver(registry)).toThrow('which circuit');
+  });
+
+  test('Refuses circuits that are missing, or were set up for another mode or from other code', () => {
+    const registry = new CircuitRegistry(directory, { proverType: 'cli' });
+    expect(() => registry.getProver('nft-mint')).toThrow(CircuitArtifactsError);
+    expect(() => registry.check()).toThrow('has no out');
+    expect(() => registry.artifacts('ft-consolidation-transfer')).toThrow('HASH_TYPE=sha');
+
+    editManifest('ft-transfer', manifest => ({ ...manifest, hashType: 'mimc' }));
+    expect(() => registry.artifacts('ft-transfer')).toThrow('hashType mimc, but sha is in use');
+    editManifest('ft-burn', manifest => ({
+      ...manifest,
+      sources: { ...manifest.sources, 'common/hashes/sha256/padding/shaPad128To256.zok': '0x00' },
+    }));
+    expect(() => registry.artifacts('ft-burn')).toThrow('another version of common/hashes');
+    expect(registry.artifacts('ft-mint').pkPath).toBe(
+      path.join(directory, 'ft-mint', 'proving.key'),
+    );
+  });
+});
+
+describe('Incremental setup tests', () => {
+  test('Skips circuits that are up to date, and refuses ones that do not exist', async () => {
+    await setUp('nft-mint');
+    // nothing is compiled, as every circuit asked for was set up from the current .zok files
+    await expect(generateZokratesFiles(directory, ['nft-mint', 'ft-mint.zok'])).resolves.toEqual({
+      built: [],
+      skipped: ['nft-mint', 'ft-mint'],
+    });
+    await expect(generateZokratesFiles(directory, 'ft-consolidation-transfer')).rejects.toThrow(
+      'There is no ft-consolidation-transfer.zok',
+    );
+  });
+});
+
+describe('Setup manifest tests', () => {
+  test('Records the sources that a circuit imports, and the hashes of its files', () => {
+    const manifest = readManifest(path.join(directory, 'ft-mint'));
+    expect(manifest).toMatchObject({ circuit: 'ft-mint', ...getCircuitMode(), vkLength: 18 });
+    expect(Object.keys(manifest.sources)).toContain('ft-mint.zok');
+    expect(Object.keys(manifest.sources).some(file => file.startsWith('common/'))).toBe(true);
+    expect(Object.keys(manifest.files)).toEqual([
+      'out',
+      'proving.key',
+      'verification.key',
+      'verifier.sol',
+      'ft-mint-vk.json',
+    ]);
+  });
+
+  test('Refuses to prove with a proving key that is not the one set up with the on-chain vk', async () => {
+    const prover = { pkPath: path.join(directory, 'ft-mint', 'proving.key') };
+    // stands in for a web3 instance of a Shield contract, holding registered[] as its mint vk
+    let registered = flattenVk(vk);
+    let calls = 0;
+    const shield = address => ({
+      options: { address },
+      methods: {
+        vks: (type, i) => ({
+          call: async () => {
+            calls += 1;
+            if (registered === null) throw new Error('Invalid JSON RPC response: ""');
+            if (type !== 0 || i >= registered.length) throw new Error('revert');
+            return registered[i];
+          },
+        }),
+      },
+    });
+    const shieldInstance = shield('0x00000000000000000000000000000000000000aa');
+    await expect(checkVerificationKey(shieldInstance, prover, 'mint')).resolves.toBeUndefined();
+    // the vk is cached, so it isn't read again
+    expect(calls).toBe(flattenVk(vk).length);
+    await expect(checkVerificationKey(shieldInstance, prover, 'mint')).resolves.toBeUndefined();
+    expect(calls).toBe(flattenVk(vk).length);
+
+    registered = [...registered.slice(0, -1), '7'];
+    await expect(
+      checkVerificationKey(shield('0x00000000000000000000000000000000000000bb'), prover, 'mint'),
+    ).rejects.toThrow(VerificationKeyMismatchError);
+    registered = [];
+    await expect(
+      checkVerificationKey(shield('0x00000000000000000000000000000000000000cc'), prover, 'mint'),
+    ).rejects.toThrow(VerificationKeyMismatchError);
+    // a call that fails without reaching the contract isn't a missing vk
+    registered = null;
+    await expect(
+      checkVerificationKey(shield('0x00000000000000000000000000000000000000dd'), prover, 'mint'),
+    ).rejects.toThrow('Invalid JSON RPC response');
+    await expect(
+      checkVerificationKey(shieldInstance, prover, 'mint', { preflight: false }),
+    ).resolves.toBeUndefined();
+
+    fs.appendFileSync(prover.pkPath, 'tampered');
+    await expect(checkVerificationKey(shieldInstance, prover, 'mint')).rejects.toThrow(
+      'has a proving.key that isn',
+    );
+  });
+});
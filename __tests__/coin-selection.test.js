@@ -0,0 +1,128 @@
+// tests for choosing which fungible commitments to spend
+const fc = require('fast-check');
+const { shaHash } = require('zkp-utils');
+const { selectCommitments, formatValue } = require('../wallet/coin-selection');
+const { BATCH_PROOF_SIZE } = require('../config');
+const wallet = require('../wallet');
+const erc20 = require('../erc20');
+
+const SIZE = 100;
+
+const toCommitments = values =>
+  values.map((value, i) => ({ commitment: `0x${i.toString(16)}`, value: formatValue(value) }));
+
+const sum = commitments => commitments.reduce((acc, c) => acc + BigInt(c.value), 0n);
+
+describe('Coin selection tests', () => {
+  test('Uses the smallest single commitment that covers the amount', () => {
+    const selection = selectCommitments(toCommitments([5n, 20n, 12n, 0n]), 10n);
+    expect(selection.type).toBe('transfer');
+    expect(selection.inputs.map(c => BigInt(c.value))).toEqual([12n]);
+    expect(selection.change).toBe(2n);
+  });
+
+  test('Uses the pair with the least change when no single commitment covers the amount', () => {
+    const selection = selectCommitments(toCommitments([3n, 6n, 8n, 9n]), 14n);
+    expect(selection.type).toBe('transfer');
+    expect(sum(selection.inputs)).toBe(14n);
+    expect(selection.change).toBe(0n);
+  });
+
+  test('Falls back to a consolidation when no two commitments cover the amount', () => {
+    const selection = selectCommitments(toCommitments([1n, 2n, 3n, 4n]), 8n);
+    expect(selection.type).toBe('consolidation');
+    expect(selection.inputs.map(c => BigInt(c.value))).toEqual([4n, 3n, 2n]);
+    expect(selection.total).toBe(9n);
+  });
+
+  test('Rejects amounts the wallet cannot cover', () => {
+    expect(() => selectCommitments(toCommitments([1n, 2n]), 4n)).toThrow('Insufficient funds');
+    expect(() => selectCommitments(toCommitments([]), 1n)).toThrow('Insufficient funds');
+    expect(() => selectCommitments(toCommitments([1n]), 0n)).toThrow();
+  });
+
+  test('Rejects selections needing more commitments than a consolidation takes', () => {
+    const values = new Array(BATCH_PROOF_SIZE + 1).fill(1n);
+    expect(() => selectCommitments(toCommitments(values), BigInt(values.length))).toThrow(
+      'consolidation',
+    );
+  });
+
+  test(`Selections of ${SIZE} random wallets cover the amount and account for the change`, () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.bigInt(0n, 2n ** 64n), 1, 20),
+        fc.bigInt(1n, 2n ** 66n),
+        (values, amount) => {
+          const commitments = toCommitments(values);
+          let selection;
+          try {
+            selection = selectCommitments(commitments, amount);
+          } catch (err) {
+            // only acceptable if the amount really can't be covered in one consolidation
+            const largest = values
+              .sort((a, b) => (a < b ? 1 : -1))
+              .slice(0, BATCH_PROOF_SIZE)
+              .reduce((acc, v) => acc + v, 0n);
+            expect(largest < amount).toBe(true);
+            return;
+          }
+          const total = sum(selection.inputs);
+          expect(total >= amount).toBe(true);
+          expect(selection.inputs.every(c => BigInt(c.value) > 0n)).toBe(true);
+          if (selection.type === 'transfer') {
+            expect(selection.inputs.length).toBeLessThanOrEqual(2);
+            expect(selection.change).toBe(total - amount);
+          } else {
+            expect(selection.inputs.length).toBeLessThanOrEqual(BATCH_PROOF_SIZE);
+            expect(selection.total).toBe(total);
+          }
+        },
+      ),
+      { numRuns: SIZE },
+    );
+  });
+});
+
+describe('Send tests', () => {
+  const senderZkpPrivateKey = '0x0000000000000000000000000000000000000000000000000000000000000001';
+  const erc20Address = '0x00000000000000000000000000000000000000cc';
+
+  test('Pairs a commitment with a dummy, and says how many a dry run would have to mint', async () => {
+    wallet.setStore(new wallet.MemoryStore());
+    await wallet.addCommitment({
+      commitment: '0x01',
+      value: formatValue(5n),
+      salt: '0x02',
+      tokenAddress: erc20Address,
+      tokenType: 'ERC20',
+      ownerPublicKey: shaHash(senderZkpPrivateKey),
+    });
+    await expect(
+      erc20.send(formatValue(3n), '0x03', senderZkpPrivateKey, { erc20Address, dryRun: true }),
+    ).rejects.toThrow('holds 0 zero-value ones of the 1 needed');
+  });
+
+  test('Takes an amount in hex without a 0x, as the other token functions do', async () => {
+    wallet.setStore(new wallet.MemoryStore());
+    await wallet.addCommitment({
+      commitment: '0x01',
+      value: formatValue(17n),
+      salt: '0x02',
+      tokenAddress: erc20Address,
+      tokenType: 'ERC20',
+      ownerPublicKey: shaHash(senderZkpPrivateKey),
+    });
+    const options = { erc20Address, dryRun: true };
+    // 0x0a and 0x10 are covered by the commitment of 17, but 0x20 isn't
+    await expect(erc20.send('0a', '0x03', senderZkpPrivateKey, options)).rejects.toThrow(
+      'zero-value',
+    );
+    await expect(erc20.send('10', '0x03', senderZkpPrivateKey, options)).rejects.toThrow(
+      'zero-value',
+    );
+    await expect(erc20.send('20', '0x03', senderZkpPrivateKey, options)).rejects.toThrow(
+      'the wallet holds 17 but 32 was requested',
+    );
+  });
+});
@@ -0,0 +1,88 @@
+// tests for writing the circuits for a batch size and tree height from the templates
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  generateCircuits,
+  readCircuitParameters,
+  renderTemplate,
+  templateValues,
+  TEMPLATE_DIRECTORY,
+} = require('../setup/generateCircuits');
+const { SOURCE_DIRECTORY, hashSources, findManifestMismatch } = require('../prover/manifest');
+const { getCircuitMode, getSourceDirectory } = require('../prover/circuits');
+const config = require('../config');
+
+let directory;
+
+beforeAll(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-sources-'));
+  await generateCircuits(directory, { batchSize: 10, treeHeight: 4 });
+});
+
+afterAll(() => {
+  config.CIRCUIT_SOURCE_DIRECTORY = undefined;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('Circuit generation tests', () => {
+  test('Renders the templates into the circuits in setup/gm17, for its sizes', () => {
+    const { batchSize, treeHeight } = readCircuitParameters(SOURCE_DIRECTORY);
+    const values = templateValues(batchSize, treeHeight);
+    [
+      'ft-batch-transfer.zok',
+      'mimc/ft-consolidation-transfer.zok',
+      'rc/ft-transfer.zok',
+      'common/merkle-tree/sha-root.zok',
+    ].forEach(file => {
+      const template = fs.readFileSync(path.join(TEMPLATE_DIRECTORY, file), 'utf8');
+      expect(renderTemplate(template, values)).toEqual(
+        fs.readFileSync(path.join(SOURCE_DIRECTORY, file), 'utf8'),
+      );
+    });
+    expect(() => renderTemplate('field[{{depth}}]', values)).toThrow('{{depth}} has no value');
+  });
+
+  test('Writes the circuits and gadgets for a smaller batch and tree', async () => {
+    expect(readCircuitParameters(directory)).toEqual({ batchSize: 10, treeHeight: 4 });
+    const consolidation = fs.readFileSync(
+      path.join(directory, 'mimc/ft-consolidation-transfer.zok'),
+      'utf8',
+    );
+    expect(consolidation).toContain('private field[10][4] paths');
+    expect(consolidation).toContain('shaPad3072To3584');
+    expect(
+      fs.readFileSync(path.join(directory, 'common/merkle-tree/mimc-root.zok'), 'utf8'),
+    ).toMatch(/def main\(field\[4\] path[^]*for field i in 0\.\.4 do\n\s*field j = 3-i/);
+
+    const padding = fs
+      .readFileSync(
+        path.join(directory, 'common/hashes/sha256/padding/shaPad3072To3584.zok'),
+        'utf8',
+      )
+      .match(/\.\.\.a, ([^\]]*)\]/)[1]
+      .split(', ');
+    expect(padding).toHaveLength(3584 - 3072);
+    expect(padding[0]).toEqual('1');
+    expect(parseInt(padding.slice(-64).join(''), 2)).toEqual(3072);
+    expect(fs.existsSync(path.join(directory, 'common/hashes/sha256/sha256of3584.zok'))).toBe(true);
+
+    await expect(generateCircuits(directory, { batchSize: 2 })).rejects.toThrow('at least 4');
+    await expect(generateCircuits(directory, { treeHeight: 129 })).rejects.toThrow('from 1 to 128');
+  });
+
+  test('Sets up from the written circuits, and refuses a setup for other sizes', () => {
+    config.CIRCUIT_SOURCE_DIRECTORY = directory;
+    const zokPath = path.join(getSourceDirectory({ hashType: 'mimc' }), 'ft-transfer.zok');
+    expect(zokPath).toEqual(path.join(directory, 'mimc', 'ft-transfer.zok'));
+    const sources = hashSources(zokPath);
+    expect(Object.keys(sources)).toContain('common/merkle-tree/mimc-root.zok');
+
+    const mode = getCircuitMode();
+    const manifest = { ...mode, sources };
+    expect(findManifestMismatch(manifest, mode, zokPath)).toBeNull();
+    expect(findManifestMismatch({ ...manifest, treeHeight: 4 }, mode, zokPath)).toMatch(
+      `treeHeight 4, but ${config.TREE_HEIGHT} is in use`,
+    );
+  });
+});
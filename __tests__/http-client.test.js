@@ -0,0 +1,92 @@
+// tests for the merkle-tree microservice's HTTP client, against a local server
+const http = require('http');
+const { request } = require('../merkleTree/http-client');
+const { HttpClientError, HttpServerError, HttpTimeoutError } = require('../errors');
+
+const FAST = { timeout: 200, retries: 2, retryDelay: 10 };
+
+let server;
+let url;
+let responses; // what the server does for each request it receives, in order
+let received;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const respond = responses.shift() || (r => r.end());
+      respond(res);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => server.close(done));
+
+beforeEach(() => {
+  responses = [];
+  received = [];
+});
+
+const reply = (status, body) => res => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+describe('HTTP client tests', () => {
+  test('Sends headers and a JSON body, and parses the response', async () => {
+    responses.push(reply(200, { data: 42 }));
+    const body = await request(`${url}/start`, {
+      ...FAST,
+      method: 'POST',
+      headers: { authorization: 'Bearer token' },
+      body: { a: 1 },
+    });
+    expect(body).toEqual({ data: 42 });
+    expect(received[0]).toMatchObject({
+      method: 'POST',
+      url: '/start',
+      headers: { authorization: 'Bearer token', 'content-type': 'application/json' },
+      body: '{"a":1}',
+    });
+  });
+
+  test('Retries server errors, then throws them', async () => {
+    responses.push(reply(503, {}), reply(200, { data: 'ok' }));
+    expect(await request(url, FAST)).toEqual({ data: 'ok' });
+    expect(received).toHaveLength(2);
+
+    responses.push(
+      reply(500, { error: 'a' }),
+      reply(500, { error: 'b' }),
+      reply(500, { error: 'c' }),
+    );
+    const err = await request(url, FAST).catch(e => e);
+    expect(err).toBeInstanceOf(HttpServerError);
+    expect(err).toMatchObject({ status: 500, body: { error: 'c' } });
+    expect(received).toHaveLength(5);
+  });
+
+  test('Does not retry client errors', async () => {
+    responses.push(reply(401, { error: 'unauthorized' }));
+    const err = await request(url, FAST).catch(e => e);
+    expect(err).toBeInstanceOf(HttpClientError);
+    expect(err.status).toBe(401);
+    expect(received).toHaveLength(1);
+  });
+
+  test('Gives up on a slow server', async () => {
+    const hang = () => {}; // never responds
+    responses.push(hang, hang);
+    const err = await request(url, { ...FAST, retries: 1 }).catch(e => e);
+    expect(err).toBeInstanceOf(HttpTimeoutError);
+    expect(received).toHaveLength(2);
+  });
+});
@@ -0,0 +1,67 @@
+// tests for deriving zkp keys and salts from a seed phrase
+const fc = require('fast-check');
+const { shaHash } = require('zkp-utils');
+const {
+  mnemonicToSeed,
+  derivePath,
+  deriveZkpKeyPair,
+  deriveSalt,
+} = require('../wallet/key-derivation');
+const { ZOKRATES_PRIME } = require('../config');
+
+const SIZE = 100;
+const MNEMONIC =
+  'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const SEED = mnemonicToSeed(MNEMONIC, 'TREZOR');
+
+describe('Seed tests', () => {
+  test('Computes the BIP39 seed of a mnemonic', () => {
+    // test vector from the BIP39 specification
+    expect(SEED).toBe(
+      '0xc55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04',
+    );
+  });
+});
+
+describe('Key derivation tests', () => {
+  test('Derives the same key pair and salts from the same seed', () => {
+    expect(deriveZkpKeyPair(SEED, 0, 'sha')).toEqual({
+      zkpPrivateKey: '0xa34ccc467a9c785a4f53906b8a5774b3d4293b79f0b0d14b1e2fd9d242e6f83e',
+      zkpPublicKey: shaHash('0xa34ccc467a9c785a4f53906b8a5774b3d4293b79f0b0d14b1e2fd9d242e6f83e'),
+    });
+    expect(deriveSalt(SEED, 0, 0, 'sha')).toBe(
+      '0x0ceea6cd63cdddc8a45ed714fd567963b9fc2b1ad349f4cdbeea1384827b1f02',
+    );
+  });
+
+  test('Rejects paths that are not fully hardened', () => {
+    expect(() => derivePath(SEED, "m/1'/2")).toThrow('hardened');
+    expect(() => derivePath(SEED, "1'/2'")).toThrow("start with 'm'");
+  });
+
+  test(`Derives ${SIZE} distinct salts, and keys distinct from them, for each account`, () => {
+    fc.assert(
+      fc.property(fc.nat(1000), fc.nat(1000), fc.nat(1000), (account, i, j) => {
+        fc.pre(i !== j);
+        const { zkpPrivateKey } = deriveZkpKeyPair(SEED, account, 'sha');
+        const salts = [deriveSalt(SEED, account, i, 'sha'), deriveSalt(SEED, account, j, 'sha')];
+        expect(salts[0]).not.toBe(salts[1]);
+        expect(salts).not.toContain(zkpPrivateKey);
+        salts.forEach(salt => expect(salt).toMatch(/^0x[0-9a-f]{64}$/));
+      }),
+      { numRuns: SIZE },
+    );
+  });
+
+  test(`Derives ${SIZE} salts that are field elements with MiMC hashing`, () => {
+    fc.assert(
+      fc.property(fc.nat(1000), fc.nat(1000), (account, index) => {
+        expect(BigInt(deriveSalt(SEED, account, index, 'mimc')) < ZOKRATES_PRIME).toBe(true);
+        expect(BigInt(deriveZkpKeyPair(SEED, account, 'mimc').zkpPrivateKey) < ZOKRATES_PRIME).toBe(
+          true,
+        );
+      }),
+      { numRuns: SIZE },
+    );
+  });
+});
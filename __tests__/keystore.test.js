@@ -0,0 +1,93 @@
+// tests for the password-encrypted keystores of zkp and authority keys
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { shaHash } = require('zkp-utils');
+const keystore = require('../keystore');
+
+const ZKP_PRIVATE_KEY = '0x0000000000000000000000000000000000000000000000000000000000001234';
+const AUTHORITY_PRIVATE_KEYS = ['0x05', '0x06', '0x07'];
+const PASSWORD = 'correct horse battery staple';
+// keeps scrypt quick; the default n is 262144
+const options = { kdfparams: { n: 1024 } };
+
+describe('Keystore tests', () => {
+  test('Unlocks zkp and authority keys with their password, from an object or a file', () => {
+    const zkpKeystore = keystore.encryptZkpPrivateKey(ZKP_PRIVATE_KEY, PASSWORD, options);
+    expect(zkpKeystore).toMatchObject({
+      version: 1,
+      type: 'zkp',
+      zkpPublicKey: shaHash(ZKP_PRIVATE_KEY),
+    });
+    expect(zkpKeystore.crypto).toMatchObject({ kdf: 'scrypt', kdfparams: { n: 1024, r: 8, p: 1 } });
+    expect(JSON.stringify(zkpKeystore)).not.toContain(ZKP_PRIVATE_KEY.slice(2));
+    expect(keystore.decryptZkpPrivateKey(zkpKeystore, PASSWORD)).toBe(ZKP_PRIVATE_KEY);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    try {
+      const keystorePath = path.join(directory, 'authority.json');
+      keystore.saveKeystore(
+        keystorePath,
+        keystore.encryptAuthorityPrivateKeys(['05', '0x06', '07'], PASSWORD, options),
+      );
+      expect(keystore.decryptAuthorityPrivateKeys(keystorePath, PASSWORD)).toEqual(
+        AUTHORITY_PRIVATE_KEYS,
+      );
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('Unlocks a key with pbkdf2', () => {
+    const zkpKeystore = keystore.encryptZkpPrivateKey(ZKP_PRIVATE_KEY, PASSWORD, {
+      kdf: 'pbkdf2',
+      kdfparams: { c: 1000 },
+    });
+    expect(zkpKeystore.crypto).toMatchObject({ kdf: 'pbkdf2', kdfparams: { c: 1000 } });
+    expect(keystore.decryptZkpPrivateKey(zkpKeystore, PASSWORD)).toBe(ZKP_PRIVATE_KEY);
+    expect(() => keystore.decryptZkpPrivateKey(zkpKeystore, 'wrong')).toThrow('password is wrong');
+  });
+
+  test('Refuses a wrong password, a tampered keystore or the wrong type of keystore', () => {
+    const zkpKeystore = keystore.encryptZkpPrivateKey(ZKP_PRIVATE_KEY, PASSWORD, options);
+    const tamper = (field, hex) => ({
+      ...zkpKeystore,
+      crypto: {
+        ...zkpKeystore.crypto,
+        ...(field === 'tag'
+          ? { cipherparams: { ...zkpKeystore.crypto.cipherparams, tag: hex } }
+          : { ciphertext: hex }),
+      },
+    });
+    const flip = hex => `${hex.slice(0, -1)}${hex.endsWith('0') ? '1' : '0'}`;
+
+    expect(() => keystore.decryptZkpPrivateKey(zkpKeystore, 'wrong')).toThrow('password is wrong');
+    expect(() =>
+      keystore.decryptZkpPrivateKey(
+        tamper('ciphertext', flip(zkpKeystore.crypto.ciphertext)),
+        PASSWORD,
+      ),
+    ).toThrow('password is wrong');
+    expect(() =>
+      keystore.decryptZkpPrivateKey(
+        tamper('tag', flip(zkpKeystore.crypto.cipherparams.tag)),
+        PASSWORD,
+      ),
+    ).toThrow('password is wrong');
+    expect(() => keystore.decryptAuthorityPrivateKeys(zkpKeystore, PASSWORD)).toThrow(
+      "Expected a 'authority' keystore but found a 'zkp' one",
+    );
+    expect(() => keystore.decrypt({ ...zkpKeystore, version: 3 }, PASSWORD)).toThrow('version 3');
+  });
+
+  test('Takes a zkp private key as it is, or unlocks it from a keystore', () => {
+    const zkpKeystore = keystore.encryptZkpPrivateKey(ZKP_PRIVATE_KEY, PASSWORD, options);
+    expect(keystore.resolveZkpPrivateKey(ZKP_PRIVATE_KEY)).toBe(ZKP_PRIVATE_KEY);
+    expect(keystore.resolveZkpPrivateKey({ keystore: zkpKeystore, password: PASSWORD })).toBe(
+      ZKP_PRIVATE_KEY,
+    );
+    expect(() => keystore.resolveZkpPrivateKey({ keystore: zkpKeystore })).toThrow(
+      '{ keystore, password }',
+    );
+  });
+});
@@ -0,0 +1,213 @@
+// tests for the in-process Merkle tree, for getting sibling paths from the backends, and for
+// verifying them
+const fc = require('fast-check');
+const { randomHex } = require('zkp-utils');
+const config = require('../config');
+const { MerkleTree } = require('../merkleTree/tree');
+const { checkRoot, verifySiblingPath, getSiblingPaths, backends } = require('../merkleTree');
+const httpClient = require('../merkleTree/http-client');
+const { SiblingPathError } = require('../errors');
+
+const HEIGHT = 4;
+
+// the root as MerkleTree.sol defines it: empty subtrees are zero, rather than hashes of zeros
+function referenceRoot(tree, leaves) {
+  const node = (row, index) => {
+    const width = 2 ** (tree.treeHeight - row);
+    if (index * width >= leaves.length) return { value: tree.zero };
+    if (row === tree.treeHeight) return { value: tree.truncate(leaves[index]) };
+    const hash = tree.hashPair(node(row + 1, 2 * index).value, node(row + 1, 2 * index + 1).value);
+    return { value: tree.truncate(hash), hash };
+  };
+  return node(0, 0).hash;
+}
+
+const leavesArbitrary = fc
+  .array(fc.hexaString(64, 64), 1, 2 ** HEIGHT)
+  .map(leaves => leaves.map(leaf => `0x${leaf}`));
+
+describe('Merkle tree tests', () => {
+  test.each(['sha', 'mimc'])('Computes the same root as the Shield contract (%s)', hashType => {
+    fc.assert(
+      fc.property(leavesArbitrary, leaves => {
+        const tree = new MerkleTree({ hashType, treeHeight: HEIGHT, leaves });
+        expect(tree.root).toBe(referenceRoot(tree, leaves));
+      }),
+      { numRuns: hashType === 'mimc' ? 10 : 100 },
+    );
+  });
+
+  test('Gives sibling paths that lead to the root', () => {
+    const leaves = Array.from({ length: 10 }, () => randomHex(32));
+    const tree = new MerkleTree({ hashType: 'sha', treeHeight: 32, leaves });
+    leaves.forEach((leaf, leafIndex) => {
+      const siblingPath = tree.getSiblingPath(leafIndex);
+      expect(siblingPath[0]).toBe(tree.root);
+      expect(() => checkRoot(leaf, leafIndex, siblingPath, tree.root)).not.toThrow();
+    });
+  });
+
+  test('Only accepts leaves in order', () => {
+    const tree = new MerkleTree({ hashType: 'sha', treeHeight: HEIGHT });
+    expect(() => tree.insertLeaves([randomHex(32)], 1)).toThrow('from leaf index 0');
+    expect(() => tree.getSiblingPath(0)).toThrow('no leaf');
+    tree.insertLeaves(
+      Array.from({ length: 2 ** HEIGHT }, () => randomHex(32)),
+      0,
+    );
+    expect(() => tree.insertLeaf(randomHex(32))).toThrow('full');
+  });
+});
+
+describe('Sibling path tests', () => {
+  const leaves = Array.from({ length: 5 }, () => randomHex(32));
+  const commitments = [1, 3, 4].map(i => ({ commitment: leaves[i], commitmentIndex: i }));
+  let rootsCalls;
+  // a stand-in for a web3 instance of the FTokenShield, which accepts any root
+  const instance = {
+    methods: {
+      roots: root => ({
+        call: async () => {
+          rootsCalls += 1;
+          return root;
+        },
+      }),
+    },
+  };
+
+  beforeEach(() => {
+    rootsCalls = 0;
+    backends.memory.reset();
+    backends.memory.insertLeaves('FTokenShield', leaves);
+  });
+
+  afterEach(() => {
+    config.MERKLE_TREE_BACKENDS = {};
+  });
+
+  const checkPaths = siblingPaths => {
+    const root = siblingPaths[0][0];
+    siblingPaths.forEach((siblingPath, i) => {
+      expect(siblingPath[0]).toBe(root);
+      checkRoot(commitments[i].commitment, commitments[i].commitmentIndex, siblingPath, root);
+    });
+    expect(rootsCalls).toBe(1);
+  };
+
+  test('Gets sibling paths to one root, checking it on-chain once', async () => {
+    config.MERKLE_TREE_BACKENDS = { FTokenShield: 'memory' };
+    checkPaths(await getSiblingPaths({ contractName: 'FTokenShield', instance }, commitments));
+    await expect(
+      getSiblingPaths({ contractName: 'FTokenShield', instance }, [
+        { commitment: leaves[0], commitmentIndex: 1 },
+      ]),
+    ).rejects.toThrow('different commitment values');
+  });
+
+  test('Asks backends without a batch function one leaf at a time', async () => {
+    const { getSiblingPathsByLeafIndexes, ...oneAtATime } = backends.memory;
+    // the tree grows after the first request, so the roots won't agree until the second attempt:
+    let requests = 0;
+    config.MERKLE_TREE_BACKENDS = {
+      FTokenShield: {
+        ...oneAtATime,
+        getSiblingPathByLeafIndex: async (contractName, leafIndex) => {
+          requests += 1;
+          if (requests === 2) backends.memory.insertLeaves(contractName, [randomHex(32)]);
+          return oneAtATime.getSiblingPathByLeafIndex(contractName, leafIndex);
+        },
+      },
+    };
+    checkPaths(await getSiblingPaths({ contractName: 'FTokenShield', instance }, commitments));
+    expect(requests).toBe(6);
+  });
+
+  test('Asks the merkle-tree microservice again until the roots agree, up to three times', async () => {
+    // stands in for the microservice, serving the memory backend's tree, which grows after the
+    // path requests that growOn() picks
+    let pathRequests = 0;
+    let growOn;
+    const request = jest.spyOn(httpClient, 'request').mockImplementation(async url => {
+      const [, endpoint, leafIndex] = url.match(/\/(leaf\/index|siblingPath)\/(\d+)$/);
+      if (endpoint === 'leaf/index')
+        return {
+          data: await backends.memory.getLeafByLeafIndex('FTokenShield', Number(leafIndex)),
+        };
+      pathRequests += 1;
+      if (growOn(pathRequests)) backends.memory.insertLeaves('FTokenShield', [randomHex(32)]);
+      return {
+        data: await backends.memory.getSiblingPathByLeafIndex('FTokenShield', Number(leafIndex)),
+      };
+    });
+    config.MERKLE_TREE_BACKENDS = { FTokenShield: 'timber' };
+    try {
+      growOn = n => n === 2;
+      checkPaths(await getSiblingPaths({ contractName: 'FTokenShield', instance }, commitments));
+      expect(request).toHaveBeenCalledTimes(12); // a leaf and a path for each, twice
+
+      request.mockClear();
+      pathRequests = 0;
+      growOn = () => true;
+      await expect(
+        getSiblingPaths({ contractName: 'FTokenShield', instance }, commitments),
+      ).rejects.toThrow('kept changing root');
+      expect(request).toHaveBeenCalledTimes(18);
+    } finally {
+      request.mockRestore();
+    }
+  });
+});
+
+describe('Sibling path verification tests', () => {
+  test.each(['sha', 'mimc'])('Finds the level at which a path goes wrong (%s)', hashType => {
+    const leaves = Array.from({ length: 5 }, () => randomHex(31));
+    const tree = new MerkleTree({ hashType, treeHeight: HEIGHT, leaves });
+    const siblingPath = tree.getSiblingPath(2);
+    const options = { hashType, treeHeight: HEIGHT, pathNodes: tree.getPathNodes(2) };
+    expect(verifySiblingPath(leaves[2], 2, siblingPath, tree.root, options).valid).toBe(true);
+
+    const badPath = [...siblingPath];
+    badPath[2] = randomHex(27);
+    const result = verifySiblingPath(leaves[2], 2, badPath, tree.root, options);
+    expect(result).toMatchObject({ valid: false, level: 1, expected: options.pathNodes[1] });
+
+    // without the path nodes, only the root is known to differ:
+    const err = (() => {
+      try {
+        return checkRoot(leaves[2], 2, badPath, tree.root, { hashType, treeHeight: HEIGHT });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(err).toBeInstanceOf(SiblingPathError);
+    expect(err).toMatchObject({ level: 0, expected: tree.root, commitmentIndex: 2 });
+    // nor from another leaf index, whose first hash puts the leaf on the wrong side:
+    expect(verifySiblingPath(leaves[2], 3, siblingPath, tree.root, options).level).toBe(HEIGHT - 1);
+  });
+
+  test('Rejects SHA nodes in a MiMC path', () => {
+    const tree = new MerkleTree({ hashType: 'mimc', treeHeight: HEIGHT, leaves: [randomHex(31)] });
+    const siblingPath = tree.getSiblingPath(0);
+    siblingPath[3] = `0x${'f'.repeat(64)}`;
+    const result = verifySiblingPath(tree.getLeaf(0), 0, siblingPath, tree.root, {
+      hashType: 'mimc',
+      treeHeight: HEIGHT,
+    });
+    expect(result).toMatchObject({ valid: false, level: 3 });
+  });
+
+  test('Takes commitments above the prime as leaves of a MiMC tree', () => {
+    // commitments are SHA hashes, which MiMC reduces mod the prime
+    const leaves = [`0x${'f'.repeat(64)}`, `0x${'e'.repeat(64)}`, randomHex(31)];
+    expect(BigInt(leaves[1]) > config.ZOKRATES_PRIME).toBe(true);
+    const tree = new MerkleTree({ hashType: 'mimc', treeHeight: HEIGHT, leaves });
+    const options = { hashType: 'mimc', treeHeight: HEIGHT };
+    [0, 1].forEach(index => {
+      const siblingPath = tree.getSiblingPath(index);
+      expect(
+        verifySiblingPath(leaves[index], index, siblingPath, tree.root, options),
+      ).toMatchObject({ valid: true, root: tree.root });
+      expect(() => checkRoot(leaves[index], index, siblingPath, tree.root, options)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// tests for polling with limits, and for waiting on leaf events instead
+const EventEmitter = require('events');
+const { poll } = require('../merkleTree/utils');
+const { waitForLeaves } = require('../merkleTree/leaf-events');
+const { PollTimeoutError, PollAbortedError } = require('../errors');
+
+// a polling function that succeeds on the nth call
+const succeedOn = n => {
+  let calls = 0;
+  const pollingFunction = async () => {
+    calls += 1;
+    return calls >= n ? calls : false;
+  };
+  pollingFunction.calls = () => calls;
+  return pollingFunction;
+};
+
+describe('Poll tests', () => {
+  test('Resolves to the first response that is not false', async () => {
+    expect(await poll(succeedOn(3), 1)).toBe(3);
+    expect(await poll(async (a, b) => a + b, 1, 2, 3)).toBe(5);
+  });
+
+  test('Gives up after maxAttempts or maxDuration', async () => {
+    const pollingFunction = succeedOn(Infinity);
+    const err = await poll(pollingFunction, { interval: 1, maxAttempts: 4 }).catch(e => e);
+    expect(err).toBeInstanceOf(PollTimeoutError);
+    expect(err.attempts).toBe(4);
+    expect(pollingFunction.calls()).toBe(4);
+
+    await expect(poll(succeedOn(Infinity), { interval: 5, maxDuration: 50 })).rejects.toThrow(
+      PollTimeoutError,
+    );
+  });
+
+  test('Stops when aborted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    await expect(
+      poll(succeedOn(Infinity), { interval: 5, signal: controller.signal }),
+    ).rejects.toThrow(PollAbortedError);
+    await expect(poll(succeedOn(1), { signal: controller.signal })).rejects.toThrow(
+      PollAbortedError,
+    );
+  });
+
+  test('Backs off between attempts', async () => {
+    const delays = [];
+    const backoff = (interval, attempt) => {
+      delays.push(attempt);
+      return interval;
+    };
+    await poll(succeedOn(4), { interval: 1, backoff });
+    expect(delays).toEqual([1, 2, 3]);
+
+    const start = Date.now();
+    await poll(succeedOn(4), { interval: 10, backoff: 'exponential' }); // waits 10 + 20 + 40ms
+    expect(Date.now() - start).toBeGreaterThanOrEqual(65);
+  });
+
+  test('Rejects with the error that a polling function throws', async () => {
+    await expect(
+      poll(async () => {
+        throw new Error('broken');
+      }, 1),
+    ).rejects.toThrow('broken');
+  });
+});
+
+describe('Leaf event tests', () => {
+  // a stand-in for a web3 instance of a Shield contract
+  const fakeShield = () => {
+    const emitters = {};
+    const events = {};
+    ['NewLeaf', 'NewLeaves'].forEach(name => {
+      events[name] = () => {
+        emitters[name] = new EventEmitter();
+        emitters[name].unsubscribe = jest.fn();
+        return emitters[name];
+      };
+    });
+    return { events, emitters, currentProvider: { supportsSubscriptions: () => true } };
+  };
+
+  test('Checks again when a leaf is added, rather than polling', async () => {
+    const shield = fakeShield();
+    let leaves = 0;
+    const check = jest.fn(async () => leaves >= 2);
+    const waiting = waitForLeaves(shield, check, { interval: 1e6 });
+    leaves = 1;
+    shield.emitters.NewLeaf.emit('data', {});
+    await new Promise(resolve => setTimeout(resolve, 10));
+    leaves = 2;
+    shield.emitters.NewLeaves.emit('data', {});
+    await waiting;
+    expect(check).toHaveBeenCalledTimes(3);
+    expect(shield.emitters.NewLeaf.unsubscribe).toHaveBeenCalled();
+  });
+
+  test('Checks again after a failed first check, for a leaf whose event came before it', async () => {
+    const shield = fakeShield();
+    let leaves = 0;
+    const check = jest.fn(async () => leaves >= 1);
+    const waiting = waitForLeaves(shield, check, { interval: 1e6 });
+    // the leaf was added before we subscribed, but the tree only catches up now, with no event
+    await new Promise(resolve => setTimeout(resolve, 10));
+    leaves = 1;
+    await waiting;
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+
+  test('Polls if the subscription fails', async () => {
+    const shield = fakeShield();
+    const check = succeedOn(3);
+    const waiting = waitForLeaves(shield, check, { interval: 1 });
+    shield.emitters.NewLeaf.emit('error', new Error('no subscriptions'));
+    expect(await waiting).toBe(3);
+  });
+});
@@ -0,0 +1,107 @@
+// tests for the pre-flight checks, against stand-ins for the Shield and token contracts
+const { checkSpend, checkMint, checkErc20Funds } = require('../preflight');
+const { getWeb3ContractInstance } = require('../contractUtils');
+const {
+  NullifierSpentError,
+  DuplicateNullifierError,
+  UnknownRootError,
+  CommitmentExistsError,
+  InsufficientBalanceError,
+  InsufficientAllowanceError,
+} = require('../errors');
+
+jest.mock('../contractUtils', () => ({ getWeb3ContractInstance: jest.fn() }));
+
+const ACCOUNT = '0x00000000000000000000000000000000000000a1';
+const SHIELD = '0x00000000000000000000000000000000000000b2';
+const TOKEN = '0x00000000000000000000000000000000000000c3';
+const ROOT = '0x1234';
+
+// stands in for a web3 instance of a Shield contract, with a spent nullifier, a root and leaves
+function shield(address = SHIELD) {
+  const events = {
+    NewLeaf: [{ returnValues: { leafValue: '0x0a', leafIndex: '0' }, blockNumber: 1 }],
+    NewLeaves: [
+      { returnValues: { leafValues: ['0x0b', '0x0c'], minLeafIndex: '1' }, blockNumber: 2 },
+    ],
+  };
+  return {
+    options: { address },
+    events,
+    methods: {
+      nullifiers: nullifier => ({ call: async () => (nullifier === '0xdead' ? nullifier : '0') }),
+      roots: root => ({ call: async () => (root === ROOT ? ROOT : '0') }),
+    },
+    getPastEvents: jest.fn(async (eventName, { fromBlock }) =>
+      events[eventName].filter(event => event.blockNumber >= fromBlock),
+    ),
+  };
+}
+
+describe('Pre-flight tests', () => {
+  beforeAll(() => {
+    getWeb3ContractInstance.mockResolvedValue({
+      methods: {
+        balanceOf: () => ({ call: async () => '100' }),
+        allowance: () => ({ call: async () => '10' }),
+      },
+    });
+  });
+
+  test('Checks the nullifiers, root and new commitments of a spend', async () => {
+    const shieldInstance = shield();
+    const spend = { nullifiers: ['0x01', '0x02'], root: ROOT, newCommitments: ['0x0d'] };
+    await expect(checkSpend(shieldInstance, spend)).resolves.toBeUndefined();
+
+    await expect(
+      checkSpend(shieldInstance, { ...spend, nullifiers: ['0x01', '0xdead'] }),
+    ).rejects.toThrow(NullifierSpentError);
+    await expect(
+      checkSpend(shieldInstance, { ...spend, nullifiers: ['0x01', '0x01'] }),
+    ).rejects.toThrow(DuplicateNullifierError);
+    await expect(checkSpend(shieldInstance, { ...spend, root: '0x5678' })).rejects.toThrow(
+      UnknownRootError,
+    );
+    await expect(
+      checkSpend(shieldInstance, { ...spend, newCommitments: ['0x0d', '0x0C'] }),
+    ).rejects.toMatchObject({ name: 'CommitmentExistsError', commitmentIndex: 2 });
+    await expect(
+      checkSpend(shieldInstance, { ...spend, nullifiers: ['0xdead'] }, { preflight: false }),
+    ).resolves.toBeUndefined();
+  });
+
+  test('Reads only the leaf events since the last check', async () => {
+    const shieldInstance = shield('0x00000000000000000000000000000000000000b3');
+    await checkMint(shieldInstance, { commitment: '0x0d', erc20Address: TOKEN, amount: '0x0a' });
+    shieldInstance.events.NewLeaf.push({
+      returnValues: { leafValue: '0x0d', leafIndex: '3' },
+      blockNumber: 5,
+    });
+    await expect(
+      checkMint(shieldInstance, { commitment: '0x0d', erc20Address: TOKEN, amount: '0x0a' }),
+    ).rejects.toThrow(CommitmentExistsError);
+    await expect(
+      checkMint(shieldInstance, { commitment: '0x0a', erc20Address: TOKEN, amount: '0x0a' }),
+    ).rejects.toThrow(CommitmentExistsError);
+
+    const fromBlocks = shieldInstance.getPastEvents.mock.calls.map(
+      ([, options]) => options.fromBlock,
+    );
+    expect(fromBlocks).toEqual([0, 0, 2, 2, 5, 5]);
+  });
+
+  test("Checks an account's ERC-20 balance and allowance", async () => {
+    const funds = { erc20Address: TOKEN, account: ACCOUNT, amount: '0x0a' };
+    await expect(checkErc20Funds({ ...funds, spender: SHIELD })).resolves.toBeUndefined();
+    await expect(checkErc20Funds({ ...funds, amount: '0x65' })).rejects.toThrow(
+      InsufficientBalanceError,
+    );
+    await expect(checkErc20Funds({ ...funds, amount: '0x0b', spender: SHIELD })).rejects.toThrow(
+      InsufficientAllowanceError,
+    );
+    await expect(
+      checkMint(shield(), { ...funds, amount: '0x65', commitment: '0x0d' }),
+    ).rejects.toThrow(InsufficientBalanceError);
+    expect(getWeb3ContractInstance).toHaveBeenCalledWith('ERC20Interface', TOKEN);
+  });
+});
@@ -0,0 +1,86 @@
+// tests for the portable proof bundle
+const {
+  PROOF_BUNDLE_VERSION,
+  flattenProof,
+  hashVk,
+  createProofBundle,
+  serializeProofBundle,
+  parseProofBundle,
+} = require('../prover/bundle');
+const { unsignedTransaction } = require('../contractUtils');
+const config = require('../config');
+
+const proof = {
+  a: ['0x1', '0x2'],
+  b: [
+    ['0x3', '0x4'],
+    ['0x5', '0x6'],
+  ],
+  c: ['0x7', '0xff'],
+};
+
+// stands in for a web3 method call, e.g. fTokenShieldInstance.methods.transfer(...)
+const transaction = {
+  _parent: { _address: '0x00000000000000000000000000000000000000aa' },
+  _method: { name: 'transfer' },
+  arguments: [flattenProof(proof), ['12345'], '0xabcd'],
+  encodeABI: () => '0x12345678',
+};
+
+describe('Proof bundle tests', () => {
+  test('Flattens a proof into the decimal values the Shield contracts take', () => {
+    expect(flattenProof(proof)).toEqual(['1', '2', '3', '4', '5', '6', '7', '255']);
+  });
+
+  test('Bundles a proof with its Shield contract call, and survives serialization', () => {
+    const bundle = createProofBundle(
+      'ft-transfer',
+      { provingScheme: 'g16' },
+      proof,
+      ['12345'],
+      transaction,
+    );
+    expect(bundle).toEqual({
+      version: PROOF_BUNDLE_VERSION,
+      circuit: 'ft-transfer',
+      provingScheme: 'g16',
+      vkHash: null,
+      proof,
+      inputs: ['12345'],
+      transaction: {
+        to: '0x00000000000000000000000000000000000000aa',
+        method: 'transfer',
+        args: transaction.arguments,
+        data: '0x12345678',
+      },
+    });
+    expect(parseProofBundle(serializeProofBundle(bundle))).toEqual(bundle);
+
+    expect(() => parseProofBundle({ ...bundle, version: 99 })).toThrow('version 99');
+    expect(() => parseProofBundle({ ...bundle, transaction: {} })).toThrow('no transaction');
+  });
+
+  test('Hashes a vk the same way whether or not it is flattened', () => {
+    const vk = {
+      alpha: ['0x1', '0x2'],
+      beta: proof.b,
+      gamma: proof.b,
+      delta: proof.b,
+      gamma_abc: [['0x8', '0x9']],
+    };
+    const flatVk = ['1', '2', '3', '4', '5', '6', '3', '4', '5', '6', '3', '4', '5', '6', '8', '9'];
+    expect(hashVk(vk)).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(hashVk(vk)).toEqual(hashVk(flatVk));
+    expect(hashVk(flatVk)).not.toEqual(hashVk([...flatVk.slice(0, -1), '10']));
+  });
+
+  test('Gives the unsigned form of the Shield contract call, for a dry run', () => {
+    expect(unsignedTransaction(transaction, '0x01', 4000000)).toEqual({
+      from: '0x01',
+      to: '0x00000000000000000000000000000000000000aa',
+      data: '0x12345678',
+      gas: 4000000,
+      gasPrice: config.GASPRICE,
+    });
+  });
+});
@@ -0,0 +1,108 @@
+// tests for the off-chain proof verifier, with keys and proofs made from known trapdoors
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bn254 } = require('@noble/curves/bn254');
+const { verifyProof, checkProof } = require('../prover');
+const { flattenVk } = require('../vks');
+const { ProofVerificationError } = require('../errors');
+
+const G1 = bn254.G1.ProjectivePoint.BASE;
+const G2 = bn254.G2.ProjectivePoint.BASE;
+
+const { Fr } = bn254.fields;
+const hex = n => `0x${n.toString(16)}`;
+const g1 = s => {
+  const { x, y } = G1.multiply(s).toAffine();
+  return [hex(x), hex(y)];
+};
+const g2 = s => {
+  const { x, y } = G2.multiply(s).toAffine();
+  return [
+    [hex(x.c1), hex(x.c0)],
+    [hex(y.c1), hex(y.c0)],
+  ];
+};
+
+const [alpha, beta, gamma, delta, h, a] = [11n, 13n, 17n, 19n, 23n, 29n];
+const query = [3n, 5n, 7n];
+const inputs = ['100', '200'];
+// the scalar of query[0] + sum(inputs[i] * query[i + 1])
+const x = Fr.create(
+  query[0] + inputs.reduce((sum, input, i) => sum + BigInt(input) * query[i + 1], 0n),
+);
+
+const gm17 = {
+  vk: {
+    H: g2(h),
+    Galpha: g1(alpha),
+    Hbeta: g2(beta),
+    Ggamma: g1(gamma),
+    Hgamma: g2(gamma),
+    query: query.map(g1),
+  },
+  // e(A + Galpha, B + Hbeta) = e(Galpha, Hbeta) * e(x, Hgamma) * e(C, H), with B = A:
+  proof: {
+    a: g1(a),
+    b: g2(a),
+    c: g1(Fr.create(((a + alpha) * (a + beta) - alpha * beta - x * gamma) * Fr.inv(h))),
+  },
+};
+
+const g16 = {
+  vk: {
+    alpha: g1(alpha),
+    beta: g2(beta),
+    gamma: g2(gamma),
+    delta: g2(delta),
+    gamma_abc: query.map(g1),
+  },
+  // e(A, B) = e(alpha, beta) * e(x, gamma) * e(C, delta):
+  proof: {
+    a: g1(a),
+    b: g2(h),
+    c: g1(Fr.create((a * h - alpha * beta - x * gamma) * Fr.inv(delta))),
+  },
+};
+
+const flatten = values => values.flat(2).map(value => BigInt(value).toString(10));
+
+describe('Proof verification tests', () => {
+  test('Accepts valid GM17 and Groth16 proofs, however they are encoded', () => {
+    expect(verifyProof(gm17.vk, gm17.proof, inputs)).toBe(true);
+    expect(verifyProof(g16.vk, g16.proof, inputs)).toBe(true);
+    // as the token functions send them, and the Shield contract holds the vk:
+    const { H, Galpha, Hbeta, Ggamma, Hgamma } = gm17.vk;
+    const flatVk = flatten([H, Galpha, Hbeta, Ggamma, Hgamma, gm17.vk.query]);
+    const flatProof = flatten([gm17.proof.a, gm17.proof.b, gm17.proof.c]);
+    expect(flattenVk(gm17.vk)).toEqual(flatVk);
+    expect(verifyProof(flatVk, flatProof, inputs, 'gm17')).toBe(true);
+    const flatG16Proof = flatten([g16.proof.a, g16.proof.b, g16.proof.c]);
+    expect(verifyProof(flattenVk(g16.vk), flatG16Proof, inputs, 'g16')).toBe(true);
+  });
+
+  test('Rejects proofs that are wrong, or not made of curve points', () => {
+    expect(verifyProof(gm17.vk, gm17.proof, ['100', '201'])).toBe(false);
+    expect(verifyProof(g16.vk, { ...g16.proof, c: g1(2n) }, inputs)).toBe(false);
+    // GM17's second check, that A and B have the same discrete log:
+    expect(verifyProof(gm17.vk, { ...gm17.proof, b: g2(a + 1n) }, inputs)).toBe(false);
+    expect(verifyProof(gm17.vk, { ...gm17.proof, a: ['0x1', '0x3'] }, inputs)).toBe(false);
+    expect(() => verifyProof(gm17.vk, gm17.proof, ['100'])).toThrow('takes 2 public inputs');
+  });
+
+  test('Lets the token functions check a proof against their prover’s vk', () => {
+    const flatProof = flatten([g16.proof.a, g16.proof.b, g16.proof.c]);
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vk-'));
+    const prover = { vkPath: path.join(directory, 'ft-transfer-vk.json') };
+    fs.writeFileSync(prover.vkPath, JSON.stringify(g16.vk));
+    try {
+      expect(() => checkProof(prover, flatProof, inputs, 'transfer')).not.toThrow();
+      expect(() => checkProof(prover, flatProof, ['1', '2'], 'transfer')).toThrow(
+        ProofVerificationError,
+      );
+      expect(() => checkProof({}, [], [], 'transfer')).not.toThrow(); // no vk, so no check
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,175 @@
+// tests for the provers, with a stand-in for the ZoKrates binary
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MockProver,
+  ProofQueue,
+  ZokratesCliProver,
+  ZokratesJsProver,
+  createProver,
+  resolveProver,
+} = require('../prover');
+const { structureInputs } = require('../prover/wasm');
+const { ProofCancelledError } = require('../errors');
+
+const directories = [];
+function makeDirectory() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prover-'));
+  directories.push(directory);
+  return directory;
+}
+
+// writes a script that behaves like `zokrates compute-witness` and `zokrates generate-proof`
+function fakeZokrates(directory) {
+  const zokratesPath = path.join(directory, 'zokrates');
+  fs.writeFileSync(
+    zokratesPath,
+    `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const flag = f => args[args.indexOf(f) + 1];
+if (args[0] === 'compute-witness') {
+  if (args.includes('bad')) { console.log('thread main panicked at bad input'); process.exit(0); }
+  fs.writeFileSync(flag('-o'), args.slice(args.indexOf('-a') + 1).join(' '));
+} else {
+  const witness = fs.readFileSync(flag('-w'), 'utf8').split(' ');
+  const proof = { a: ['0x1', '0x2'], b: [['0x3', '0x4'], ['0x5', '0x6']], c: ['0x7', '0x8'] };
+  fs.writeFileSync(flag('-j'), JSON.stringify({ proof, inputs: witness.slice(0, 1) }));
+}
+`,
+  );
+  fs.chmodSync(zokratesPath, 0o755);
+  return zokratesPath;
+}
+
+describe('Prover tests', () => {
+  afterAll(() =>
+    directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })),
+  );
+
+  test('Runs the ZoKrates binary and returns the proof in memory', async () => {
+    const outputDirectory = makeDirectory();
+    const prover = new ZokratesCliProver({
+      codePath: 'out',
+      pkPath: 'proving.key',
+      outputDirectory,
+      zokratesPath: fakeZokrates(outputDirectory),
+    });
+    const { proof, inputs } = await prover.prove(['5', '6', '7'], { name: '0xabc' });
+    expect(proof.c).toEqual(['0x7', '0x8']);
+    expect(inputs).toEqual(['5']);
+    // the witness and proof files are removed:
+    expect(fs.readdirSync(outputDirectory)).toEqual(['zokrates']);
+
+    await expect(prover.prove(['bad'])).rejects.toThrow('panicked');
+  });
+
+  test('Computes proofs side by side, each in its own working directory', async () => {
+    const outputDirectory = makeDirectory();
+    const options = { codePath: 'out', pkPath: 'proving.key', outputDirectory };
+    const prover = new ZokratesCliProver({
+      ...options,
+      zokratesPath: fakeZokrates(outputDirectory),
+    });
+    const proofs = await Promise.all(
+      ['1', '2', '3', '4'].map(input => prover.prove([input, '0'], { name: '0xabc' })),
+    );
+    expect(proofs.map(({ inputs }) => inputs[0])).toEqual(['1', '2', '3', '4']);
+    expect(fs.readdirSync(outputDirectory)).toEqual(['zokrates']);
+
+    // unless it's told to keep them:
+    prover.keepFiles = true;
+    await prover.prove(['5', '0'], { name: '0xabc' });
+    const [directory] = fs.readdirSync(outputDirectory).filter(name => name !== 'zokrates');
+    expect(directory).toMatch(/^0xabc-/);
+    expect(fs.readdirSync(path.join(outputDirectory, directory)).sort()).toEqual([
+      'proof.json',
+      'witness',
+    ]);
+  });
+
+  test('Makes provers from zokratesOptions, and passes provers through', async () => {
+    const mock = createProver('mock');
+    expect(resolveProver(mock)).toBe(mock);
+    expect(resolveProver({ codePath: 'out', pkPath: 'proving.key' })).toBeInstanceOf(
+      ZokratesJsProver,
+    );
+    expect(() => createProver('quantum', {})).toThrow('Unknown prover');
+
+    const { proof } = await mock.prove(['1', '2'], { name: 'job' });
+    expect(Object.keys(proof)).toEqual(['a', 'b', 'c']);
+    expect(mock.calls).toEqual([{ inputs: ['1', '2'], job: { name: 'job' } }]);
+    expect(mock).toBeInstanceOf(MockProver);
+  });
+
+  test('Arranges flat inputs as the abi describes them', () => {
+    const abi = {
+      inputs: [
+        { name: 'a', type: 'field' },
+        { name: 'b', type: 'array', components: { size: 2, type: 'bool' } },
+        {
+          name: 'c',
+          type: 'struct',
+          components: {
+            members: [
+              { name: 'x', type: 'field' },
+              { name: 'y', type: 'array', components: { size: 2, type: 'field' } },
+            ],
+          },
+        },
+      ],
+    };
+    expect(structureInputs(abi, ['1', '1', '0', '2', '3', '4'])).toEqual([
+      '1',
+      [true, false],
+      { x: '2', y: ['3', '4'] },
+    ]);
+    expect(() => structureInputs(abi, ['1'])).toThrow('takes 6 inputs');
+  });
+
+  test('Queues proofs by priority, runs them within the concurrency and reports their progress', async () => {
+    // a prover whose proofs finish when they're told to
+    const finishers = [];
+    const prover = new MockProver();
+    prover.generateProof = () => new Promise(resolve => finishers.push(resolve));
+    const queue = new ProofQueue({ concurrency: 1 });
+    const events = [];
+    ['queued', 'started', 'witness', 'proof', 'cancelled', 'submitted', 'mined'].forEach(event =>
+      queue.on(event, job => events.push(`${job.operation} ${event}`)),
+    );
+
+    const controller = new AbortController();
+    const proofs = [
+      queue.prove(prover, ['1'], { operation: 'a' }),
+      queue.prove(prover, ['2'], { operation: 'b' }),
+      queue.prove(prover, ['3'], { operation: 'c', priority: 1 }),
+      queue.prove(prover, ['4'], { operation: 'd', signal: controller.signal }),
+    ];
+    controller.abort();
+    await expect(proofs[3]).rejects.toThrow(ProofCancelledError);
+    for (let i = 0; i < 3; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+      expect(finishers).toHaveLength(i + 1); // one at a time
+      finishers[i]({ proof: {}, inputs: [] });
+    }
+    await Promise.all(proofs.slice(0, 3));
+    // c jumped the queue:
+    expect(prover.calls.map(({ inputs }) => inputs[0])).toEqual(['1', '3', '2']);
+
+    const job = { operation: 'e' };
+    await queue.prove(new MockProver(), ['5'], job);
+    const transaction = Promise.resolve({ transactionHash: '0x1234' });
+    expect(await queue.track(job, transaction)).toEqual({ transactionHash: '0x1234' });
+    expect(job).toMatchObject({ id: 5, state: 'mined', transactionHash: '0x1234' });
+    expect(events.filter(event => event.startsWith('a') || event.startsWith('d'))).toEqual([
+      'a queued',
+      'a started',
+      'd queued',
+      'd cancelled',
+      'a witness',
+      'a proof',
+    ]);
+    expect(events.slice(-5)).toEqual(['e queued', 'e started', 'e witness', 'e proof', 'e mined']);
+  });
+});
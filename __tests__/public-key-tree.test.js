@@ -0,0 +1,143 @@
+// tests for keeping a copy of the PublicKeyTree, against a stand-in for the contract
+const { randomHex } = require('zkp-utils');
+const Web3 = require('../provider');
+const { PUBLIC_KEY_TREE_HEIGHT } = require('../config');
+const { hashNodes } = require('../merkleTree/tree');
+const { verifySiblingPath } = require('../merkleTree/verify');
+const { getPublicKeyTreePaths, checkPublicKeyRoot } = require('../public-key-tree');
+const { PublicKeyRootPrunedError } = require('../errors');
+
+const FIRST_LEAF_INDEX = 2 ** PUBLIC_KEY_TREE_HEIGHT - 1;
+const ZERO = `0x${'0'.repeat(64)}`;
+
+let blockNumber = 0;
+Web3.web3 = { eth: { getBlockNumber: async () => blockNumber } };
+
+// a stand-in for a web3 instance of FTokenShield, storing its tree as PublicKeyTree.sol does
+function fakeShield() {
+  const M = new Map();
+  const L = new Map();
+  let roots = new Set();
+  let nextAvailableIndex = FIRST_LEAF_INDEX;
+  const events = [];
+  const calls = { M: 0 };
+
+  const updatePathToRoot = leafNodeIndex => {
+    let p = leafNodeIndex;
+    for (let r = PUBLIC_KEY_TREE_HEIGHT; r > 0; r -= 1) {
+      const [left, right] = p % 2 === 0 ? [p - 1, p] : [p, p + 1];
+      p = Math.floor((p - 1) / 2);
+      M.set(p, hashNodes('mimc', M.get(left) || ZERO, M.get(right) || ZERO));
+    }
+    return M.get(0);
+  };
+  const call = value => ({ call: async () => value });
+
+  return {
+    options: { address: randomHex(20) },
+    calls,
+    // adds a key without an event, as a mint does before emitting MintRC
+    checkUser(key) {
+      blockNumber += 1;
+      if (!L.has(key)) {
+        M.set(nextAvailableIndex, key);
+        L.set(key, nextAvailableIndex);
+        roots.add(updatePathToRoot(nextAvailableIndex));
+        nextAvailableIndex += 1;
+      }
+    },
+    mintRC(key) {
+      this.checkUser(key);
+      events.push({ blockNumber, returnValues: { zkpPublicKey: key } });
+    },
+    blacklist(key) {
+      blockNumber += 1;
+      M.set(L.get(key), ZERO);
+      roots = new Set([updatePathToRoot(L.get(key))]);
+    },
+    async getPastEvents(name, { fromBlock, toBlock }) {
+      return events.filter(e => e.blockNumber >= fromBlock && e.blockNumber <= toBlock);
+    },
+    methods: {
+      L: key => call(String(L.get(key) || 0)),
+      M: nodeIndex => {
+        calls.M += 1;
+        return call(M.get(nodeIndex) || ZERO);
+      },
+      publicKeyRoots: root => call(roots.has(root) ? randomHex(32) : ZERO),
+    },
+    root: () => M.get(0),
+  };
+}
+
+// keys that are already reduced modulo the ZoKrates prime, as the contract stores them
+const newKey = () => `0x00${randomHex(31).slice(2)}`;
+
+describe('Public key tree tests', () => {
+  test('Serves paths to the same root as the contract', async () => {
+    const shield = fakeShield();
+    const keys = [newKey(), newKey(), newKey()];
+    keys.forEach(key => shield.mintRC(key));
+    shield.mintRC(keys[0]); // a second mint doesn't add the key again
+
+    const paths = await getPublicKeyTreePaths(shield, [keys[2], keys[0]]);
+    expect(paths.map(path => path.leafIndex)).toEqual([2, 0]);
+    paths.forEach(({ leafIndex, siblingPath }, i) => {
+      expect(siblingPath[0]).toBe(shield.root());
+      const key = [keys[2], keys[0]][i];
+      const options = { hashType: 'mimc', treeHeight: PUBLIC_KEY_TREE_HEIGHT };
+      expect(verifySiblingPath(key, leafIndex, siblingPath, shield.root(), options).valid).toBe(
+        true,
+      );
+    });
+    // only the root is read from storage, rather than a node at a time:
+    expect(shield.calls.M).toBe(1);
+
+    const key = newKey();
+    shield.mintRC(key);
+    const [{ siblingPath }] = await getPublicKeyTreePaths(shield, [key]);
+    expect(siblingPath[0]).toBe(shield.root());
+    expect(shield.calls.M).toBe(2);
+  });
+
+  test('Follows blacklistings, and rejects paths to the roots they prune', async () => {
+    const shield = fakeShield();
+    const keys = [newKey(), newKey(), newKey()];
+    keys.forEach(key => shield.mintRC(key));
+    const [{ siblingPath: cachedPath }] = await getPublicKeyTreePaths(shield, [keys[0]]);
+    await expect(checkPublicKeyRoot(shield, cachedPath[0])).resolves.toBeUndefined();
+
+    shield.blacklist(keys[1]);
+    await expect(checkPublicKeyRoot(shield, cachedPath[0])).rejects.toThrow(
+      PublicKeyRootPrunedError,
+    );
+    const [{ siblingPath }] = await getPublicKeyTreePaths(shield, [keys[0]]);
+    expect(siblingPath[0]).toBe(shield.root());
+    await expect(getPublicKeyTreePaths(shield, [keys[1]])).rejects.toThrow('blacklisted');
+    await expect(getPublicKeyTreePaths(shield, [newKey()])).rejects.toThrow('not added');
+  });
+
+  test('Finds keys that were added by checkUser(), without an event', async () => {
+    const shield = fakeShield();
+    const keys = Array.from({ length: 12 }, newKey);
+    shield.mintRC(keys[0]);
+    await getPublicKeyTreePaths(shield, [keys[0]]);
+
+    // one before a mint's key, whose event shows that it's missing
+    shield.checkUser(keys[1]);
+    shield.mintRC(keys[2]);
+    const paths = await getPublicKeyTreePaths(shield, [keys[1], keys[2]]);
+    expect(paths.map(path => path.leafIndex)).toEqual([1, 2]);
+    expect(paths[0].siblingPath[0]).toBe(shield.root());
+
+    // and more than one read's worth after the last key we know, with no event at all
+    keys.slice(3, 11).forEach(key => shield.checkUser(key));
+    shield.blacklist(keys[10]);
+    shield.checkUser(keys[11]);
+    const [{ leafIndex, siblingPath }] = await getPublicKeyTreePaths(shield, [keys[11]]);
+    expect(leafIndex).toBe(11);
+    expect(siblingPath[0]).toBe(shield.root());
+    const options = { hashType: 'mimc', treeHeight: PUBLIC_KEY_TREE_HEIGHT };
+    expect(verifySiblingPath(keys[11], 11, siblingPath, shield.root(), options).valid).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+// tests for shielded balances and histories, built from the wallet's records and Shield events
+const { shaHash } = require('zkp-utils');
+const wallet = require('../wallet');
+const { buildHistory, sumBalance } = require('../wallet/history');
+const { getWeb3ContractInstance } = require('../contractUtils');
+
+jest.mock('../contractUtils', () => ({ getWeb3ContractInstance: jest.fn() }));
+
+const ALICE = '0x00000000000000000000000000000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000000000000000000000000000b0';
+const TOKEN = '0x00000000000000000000000000000000000000cc';
+
+function record(commitment, value, ownerPublicKey, extra = {}) {
+  return {
+    commitment,
+    value,
+    salt: `0x55${commitment.slice(2)}`,
+    tokenAddress: TOKEN,
+    tokenType: 'ERC20',
+    ownerPublicKey,
+    spent: false,
+    ...extra,
+  };
+}
+
+describe('History tests', () => {
+  test('Orders mints, transfers in and out, change and burns by block', () => {
+    const records = [
+      record('0x05', '0x01', ALICE, { senderPublicKey: BOB, blockNumber: 5 }),
+      record('0x01', '0x0a', ALICE, {
+        blockNumber: 1,
+        spent: true,
+        spentBy: 'transfer',
+        spentBlockNumber: 3,
+      }),
+      record('0x03', '0x06', BOB, { senderPublicKey: ALICE, blockNumber: 3 }),
+      record('0x04', '0x04', ALICE, {
+        senderPublicKey: ALICE,
+        blockNumber: 3,
+        spent: true,
+        spentBy: 'burn',
+        spentBlockNumber: 4,
+      }),
+      record('0x06', '0x00', ALICE, { blockNumber: 2 }), // a dummy, left out
+      record('0x07', '0x02', ALICE), // not mined yet
+      record('0x08', '0x09', BOB, { blockNumber: 2 }), // none of Alice's business
+    ];
+    expect(buildHistory(records, ALICE).map(({ type, commitment }) => [type, commitment])).toEqual([
+      ['incoming', '0x01'],
+      ['change', '0x04'],
+      ['outgoing', '0x03'],
+      ['burned', '0x04'],
+      ['incoming', '0x05'],
+      ['incoming', '0x07'],
+    ]);
+    expect(buildHistory(records, ALICE)[2]).toMatchObject({ to: BOB, value: '0x06' });
+    expect(buildHistory(records, ALICE)[4]).toMatchObject({ from: BOB });
+    expect(sumBalance(records.filter(r => r.ownerPublicKey === ALICE))).toBe(BigInt(3));
+  });
+});
+
+describe('Shield sync tests', () => {
+  const alicePrivateKey = '0x0000000000000000000000000000000000000000000000000000000000000001';
+  const alice = shaHash(alicePrivateKey);
+
+  // stands in for a web3 instance of FTokenShield, with its past events
+  const events = {
+    NewLeaf: [
+      {
+        returnValues: { leafValue: '0x01', leafIndex: '0' },
+        blockNumber: 1,
+        transactionHash: '0xt1',
+      },
+    ],
+    NewLeaves: [
+      {
+        returnValues: { leafValues: ['0x02', '0x03'], minLeafIndex: '1' },
+        blockNumber: 2,
+        transactionHash: '0xt2',
+      },
+    ],
+    Transfer: [
+      {
+        returnValues: { nullifier1: shaHash('0x5501', alicePrivateKey), nullifier2: '0xdead' },
+        blockNumber: 2,
+        transactionHash: '0xt2',
+      },
+    ],
+    SimpleBatchTransfer: [],
+    ConsolidationTransfer: [],
+    Burn: [],
+  };
+
+  beforeAll(() => {
+    getWeb3ContractInstance.mockResolvedValue({
+      getPastEvents: async eventName => events[eventName],
+    });
+  });
+
+  test('Fills in leaves and spends from events, and gives the balance and history', async () => {
+    wallet.setStore(new wallet.MemoryStore());
+    await wallet.addCommitment(record('0x01', '0x0a', alice));
+    await wallet.addCommitment(record('0x02', '0x04', BOB, { senderPublicKey: alice }));
+    await wallet.addCommitment(record('0x03', '0x06', alice, { senderPublicKey: alice }));
+    expect(await wallet.getBalance(alice, TOKEN)).toBe(BigInt(16));
+
+    const syncOptions = { contractName: 'FTokenShield', zkpPrivateKey: alicePrivateKey };
+    const history = await wallet.getHistory(alice, TOKEN, syncOptions);
+    expect(await wallet.getCommitment('0x01')).toMatchObject({
+      commitmentIndex: 0,
+      spent: true,
+      spentBy: 'transfer',
+      spentTransactionHash: '0xt2',
+    });
+    expect(await wallet.getCommitment('0x03')).toMatchObject({ commitmentIndex: 2, spent: false });
+    expect(await wallet.getBalance(alice, TOKEN)).toBe(BigInt(6));
+    expect(history.map(({ type, blockNumber }) => [type, blockNumber])).toEqual([
+      ['incoming', 1],
+      ['change', 2],
+      ['outgoing', 2],
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+// tests for the wallet's records of commitments and the stores that hold them
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const wallet = require('../wallet');
+
+const { MemoryStore, FileStore } = wallet;
+const OWNER = '0xAA00000000000000000000000000000000000000000000000000000000000001';
+const OTHER = '0xbb00000000000000000000000000000000000000000000000000000000000002';
+const TOKEN = '0x000000000000000000000000CC00000000000000000000000000000000000003';
+
+function details(commitment, value, ownerPublicKey = OWNER) {
+  return {
+    commitment,
+    value,
+    salt: '0x1234',
+    tokenAddress: TOKEN,
+    tokenType: 'ERC20',
+    ownerPublicKey,
+  };
+}
+
+describe('Wallet store tests', () => {
+  beforeEach(() => wallet.setStore(new MemoryStore()));
+
+  test('Records commitments with normalised keys, merging in later details', async () => {
+    const record = await wallet.addCommitment(details('0xABCD', '0x05'));
+    expect(record).toMatchObject({
+      commitment: '0xabcd',
+      ownerPublicKey: OWNER.toLowerCase(),
+      tokenAddress: '0xcc00000000000000000000000000000000000003',
+      spent: false,
+    });
+
+    await wallet.addCommitment({ commitment: 'abcd', commitmentIndex: '7', blockNumber: 12 });
+    expect(await wallet.getCommitment('0xAbCd')).toMatchObject({
+      value: '0x05',
+      commitmentIndex: 7,
+      blockNumber: 12,
+    });
+    expect(await wallet.getCommitments()).toHaveLength(1);
+  });
+
+  test('Marks commitments as spent, and lists the unspent ones of an owner and token', async () => {
+    await wallet.addCommitment(details('0x01', '0x05'));
+    await wallet.addCommitment(details('0x02', '0x06'));
+    await wallet.addCommitment(details('0x03', '0x07', OTHER));
+
+    const spent = await wallet.markSpent(
+      '0x01',
+      '0xF00D',
+      { transactionHash: '0xaaaa', blockNumber: 3 },
+      'burn',
+    );
+    expect(spent).toMatchObject({
+      spent: true,
+      nullifier: '0xf00d',
+      spentBy: 'burn',
+      spentTransactionHash: '0xaaaa',
+      spentBlockNumber: 3,
+    });
+    expect(await wallet.markSpent('0x99', '0xf00d')).toBeUndefined();
+
+    const unspent = await wallet.getUnspentCommitments(OWNER, TOKEN);
+    expect(unspent.map(record => record.commitment)).toEqual(['0x02']);
+    expect(
+      await wallet.getUnspentCommitments(OTHER, '0xcc00000000000000000000000000000000000003'),
+    ).toHaveLength(1);
+  });
+
+  test('Refuses a store without get, put and find', () => {
+    expect(() => wallet.setStore({ get() {}, put() {} })).toThrow('find()');
+  });
+});
+
+describe('File store tests', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-'));
+  });
+
+  afterAll(() => {
+    wallet.setStore(new MemoryStore());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('Keeps records, spent state included, when the file is opened again', async () => {
+    const filePath = path.join(directory, 'nested', 'wallet.json');
+    wallet.setStore(new FileStore(filePath));
+    await wallet.addCommitment(details('0x01', '0x05'));
+    await wallet.addCommitment(details('0x02', '0x06'));
+    await wallet.markSpent('0x01', '0xf00d', { transactionHash: '0xaaaa' });
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+
+    wallet.setStore(new FileStore(filePath));
+    expect(await wallet.getCommitment('0x01')).toMatchObject({ spent: true, nullifier: '0xf00d' });
+    const unspent = await wallet.getUnspentCommitments(OWNER, TOKEN);
+    expect(unspent.map(record => record.commitment)).toEqual(['0x02']);
+  });
+});
@@ -2,11 +2,47 @@ module.exports = {
   LEAF_HASHLENGTH: 32, // expected length of an input to a hash in bytes
   NODE_HASHLENGTH: process.env.HASH_TYPE === 'mimc' ? 32 : 27,
   HASH_TYPE: process.env.HASH_TYPE,
-  BATCH_PROOF_SIZE: 20, // the number of proofs in a batch (you will need to redo the proofs if oyu change this)
+  // the number of proofs in a batch, and the height of the commitments' Merkle tree: the circuits
+  // must be written for them (see setup/generateCircuits.js) and set up again if they change
+  BATCH_PROOF_SIZE: Number(process.env.BATCH_PROOF_SIZE) || 20,
+  TREE_HEIGHT: Number(process.env.TREE_HEIGHT) || 32,
   ZOKRATES_PACKING_SIZE: 128, // ZOKRATES_PRIME is approx 253-254bits (just shy of 256), so we pack field elements into blocks of 128 bits.
   GASPRICE: 20000000000,
+  // 'gm17' or 'g16' (Groth16, whose verifier is cheaper): used for the trusted setup, the proofs
+  // and the Verifier contract, so they must all agree
+  PROVING_SCHEME: process.env.PROVING_SCHEME || 'gm17',
+  // the prover made from zokratesOptions: 'zokrates.js', 'cli', 'wasm' or 'mock' (see prover/index.js)
+  PROVER: process.env.PROVER || 'zokrates.js',
+  // generateZokratesFiles()' output directory, for the token functions to find their circuits in when
+  // they aren't given a prover (see prover/circuits.js)
+  CIRCUIT_DIRECTORY: process.env.CIRCUIT_DIRECTORY,
+  // generateCircuits()' output directory, for a BATCH_PROOF_SIZE or TREE_HEIGHT that setup/gm17's
+  // .zok files weren't written for
+  CIRCUIT_SOURCE_DIRECTORY: process.env.CIRCUIT_SOURCE_DIRECTORY,
+  SETUP_CONCURRENCY: Number(process.env.SETUP_CONCURRENCY) || 1, // how many circuits generateZokratesFiles() sets up at once
+  PROOF_CONCURRENCY: Number(process.env.PROOF_CONCURRENCY) || 1, // how many proofs to compute at once (see prover/queue.js)
   POLLING_FREQUENCY: 6000, // How many milliseconds to wait between each poll
-  TREE_HEIGHT: 32,
+  POLLING_MAX_DURATION: 600000, // How many milliseconds to wait for the merkle tree before giving up
+  // where the Shield contracts' Merkle trees come from: 'local', 'timber', 'memory' or 'onchain'
+  // (see merkleTree/backends/index.js).  MERKLE_TREE_BACKENDS can override it for each contract.
+  MERKLE_TREE_BACKEND:
+    process.env.MERKLE_TREE_BACKEND ||
+    (process.env.MERKLE_TREE_URL || process.env.MERKLE_TREE_HOST ? 'timber' : 'local'),
+  MERKLE_TREE_BACKENDS: {}, // e.g. { NFTokenShield: 'onchain' }
+  // the merkle-tree microservice, for the 'timber' backend:
+  MERKLE_TREE_URL:
+    process.env.MERKLE_TREE_URL ||
+    `${process.env.MERKLE_TREE_HOST}:${process.env.MERKLE_TREE_PORT}`,
+  MERKLE_TREE_URLS: {}, // URLs for particular contracts, e.g. { NFTokenShield: 'https://...' }
+  MERKLE_TREE_HEADERS: {}, // extra headers to send with each request
+  MERKLE_TREE_AUTH_TOKEN: process.env.MERKLE_TREE_AUTH_TOKEN, // sent as a bearer token
+  MERKLE_TREE_TLS: {}, // options for https.request(), such as ca, cert and key
+  MERKLE_TREE_TIMEOUT: 30000, // milliseconds
+  MERKLE_TREE_RETRIES: 3, // how many times to retry a request that might succeed next time
+  MERKLE_TREE_RETRY_DELAY: 500, // milliseconds before the first retry, doubling for each retry after that
+  // recompute the root from each commitment's sibling path before proving (see merkleTree/verify.js)
+  VERIFY_SIBLING_PATHS: process.env.VERIFY_SIBLING_PATHS !== 'false',
+  MERKLE_TREE_DIR: process.env.MERKLE_TREE_DIR || `${process.cwd()}/merkle-trees`, // where the local trees are saved
   PUBLIC_KEY_TREE_HEIGHT: 32, // Height of the PUBLIC KEY Merkle tree (defined so that of there was just a root, height would be 0)
   // *****
 
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const config = require('./config');
 const Web3 = require('./provider');
 
 const contractMapping = {
@@ -27,7 +28,26 @@ function sendSignedTransaction(signedTransaction) {
   return web3.eth.sendSignedTransaction(signedTransaction);
 }
 
+/**
+ * The unsigned form of a web3 method call, for the token functions to return instead of sending it
+ * when blockchainOptions.dryRun is set, so that it can be reviewed, or signed and sent elsewhere
+ * @param {Object} methodTx - e.g. fTokenShieldInstance.methods.transfer(...)
+ * @param {String} from - the account that should send it
+ * @param {Number} gas
+ * @returns {Object} { from, to, data, gas, gasPrice }, as web3.eth.sendTransaction takes it
+ */
+function unsignedTransaction(methodTx, from, gas) {
+  return {
+    from,
+    to: methodTx._parent._address,
+    data: methodTx.encodeABI(),
+    gas,
+    gasPrice: config.GASPRICE,
+  };
+}
+
 module.exports = {
   getWeb3ContractInstance,
   sendSignedTransaction,
+  unsignedTransaction,
 };
@@ -0,0 +1,108 @@
+/**
+CREDITS:
+
+// For the Elliptic Curve Pairing operations and functions verify() and verifyCalculation():
+// This file is MIT Licensed.
+//
+// Copyright 2017 Christian Reitwiessner
+// Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+// The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+// More information at https://gist.github.com/chriseth/f9be9d9391efc5beb9704255a8e2989d
+
+Minor edits for Nightfall by:
+Michael Connor
+Duncan Westland
+Chaitanya Konda
+Harry R
+*/
+
+/**
+@title VerifierGroth16
+@dev Example Verifier Implementation - Groth16 proof verification.  A drop-in replacement for
+Verifier.sol (GM17), for circuits set up with PROVING_SCHEME=g16: it takes the same flattened
+proof, and a vk flattened as [alpha, beta, gamma, delta, gamma_abc[0], gamma_abc[1], ...].
+@notice Do not use this example in any production code!
+*/
+
+pragma solidity ^0.5.8;
+
+import "./Ownable.sol";
+import "./Pairing.sol";
+
+contract VerifierGroth16 is Ownable {
+
+  using Pairing for *;
+
+  struct Proof_G16 {
+      Pairing.G1Point A;
+      Pairing.G2Point B;
+      Pairing.G1Point C;
+  }
+
+  struct Verification_Key_G16 {
+      Pairing.G1Point alpha;
+      Pairing.G2Point beta;
+      Pairing.G2Point gamma;
+      Pairing.G2Point delta;
+      Pairing.G1Point[] gamma_abc;
+  }
+
+  Verification_Key_G16 vk;
+
+  function verify(uint256[] memory _proof, uint256[] memory _inputs, uint256[] memory _vk) public returns (bool result) {
+      if (verificationCalculation(_proof, _inputs, _vk) == 0) {
+          result = true;
+      } else {
+          result = false;
+      }
+  }
+
+  function verificationCalculation(uint256[] memory _proof, uint256[] memory _inputs, uint256[] memory _vk) public returns (uint) {
+
+      Proof_G16 memory proof;
+      Pairing.G1Point memory vk_dot_inputs;
+
+      vk_dot_inputs = Pairing.G1Point(0, 0); //initialise
+
+      proof.A = Pairing.G1Point(_proof[0], _proof[1]);
+      proof.B = Pairing.G2Point([_proof[2], _proof[3]], [_proof[4], _proof[5]]);
+      proof.C = Pairing.G1Point(_proof[6], _proof[7]);
+
+      vk.alpha = Pairing.G1Point(_vk[0],_vk[1]);
+      vk.beta = Pairing.G2Point([_vk[2],_vk[3]],[_vk[4],_vk[5]]);
+      vk.gamma = Pairing.G2Point([_vk[6],_vk[7]],[_vk[8],_vk[9]]);
+      vk.delta = Pairing.G2Point([_vk[10],_vk[11]],[_vk[12],_vk[13]]);
+
+      vk.gamma_abc.length = (_vk.length - 14)/2;
+      uint j = 0;
+      for (uint i = 14; i < _vk.length; i+=2) {
+        vk.gamma_abc[j++] = Pairing.G1Point(_vk[i], _vk[i+1]);
+      }
+
+      require(_inputs.length + 1 == vk.gamma_abc.length, "Length of inputs[] or vk.gamma_abc is incorrect!");
+
+      for (uint i = 0; i < _inputs.length; i++)
+          vk_dot_inputs = Pairing.addition(vk_dot_inputs, Pairing.scalar_mul(vk.gamma_abc[i + 1], _inputs[i]));
+
+      vk_dot_inputs = Pairing.addition(vk_dot_inputs, vk.gamma_abc[0]);
+
+      /**
+       * e(A, B) = e(alpha, beta) * e(vk_dot_inputs, gamma) * e(C, delta)
+       */
+      if (!Pairing.pairingProd4(Pairing.negate(proof.A), proof.B, vk.alpha, vk.beta, vk_dot_inputs, vk.gamma, proof.C, vk.delta)) {
+          return 1;
+      }
+
+      delete proof;
+      delete vk.alpha;
+      delete vk.beta;
+      delete vk.gamma;
+      delete vk.delta;
+      delete vk.gamma_abc;
+      delete vk_dot_inputs;
+
+      return 0;
+
+  }
+}
@@ -5,6 +5,7 @@ const { ensure0x } = require('zkp-utils');
 const { squareRootModPrime, addMod, mulMod } = require('./number-theory');
 const { BABYJUBJUB, ZOKRATES_PRIME, TEST_PRIVATE_KEYS } = require('./config');
 const { modDivide } = require('./modular-division'); // TODO REPLACE WITH NPM VERSION
+const { decryptAuthorityPrivateKeys } = require('./keystore');
 
 const one = BigInt(1);
 const { JUBJUBE, JUBJUBC, JUBJUBD, JUBJUBA, GENERATOR } = BABYJUBJUB;
@@ -82,6 +83,15 @@ function setAuthorityPrivateKeys(keys = TEST_PRIVATE_KEYS) {
   setAuthorityPublicKeys();
 }
 
+/**
+Sets the authority's private keys from an encrypted keystore, rather than from raw hex
+@param {Object | String} keystore - an 'authority' keystore, or the path of its file (see keystore.js)
+@param {String} password
+*/
+function unlockAuthorityPrivateKeys(keystore, password) {
+  setAuthorityPrivateKeys(decryptAuthorityPrivateKeys(keystore, password));
+}
+
 /**
 Performs El-Gamal encryption
 @param {Array(String)} strings - array containing the hex strings to be encrypted
@@ -198,6 +208,7 @@ module.exports = {
   dec,
   enc,
   setAuthorityPrivateKeys,
+  unlockAuthorityPrivateKeys,
   AUTHORITY_PUBLIC_KEYS,
   scalarMult,
   add,
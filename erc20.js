@@ -7,16 +7,29 @@
  * @author westlad, Chaitanya-Konda, iAmMichaelConnor
  */
 
-const zokrates = require('@eyblockchain/zokrates.js');
-const { ensure0x, shaHash, hexToDec, leftPadHex } = require('zkp-utils');
+const { ensure0x, shaHash, leftPadHex } = require('zkp-utils');
 const { GN } = require('general-number');
-const fs = require('fs');
 const config = require('./config');
 const merkleTree = require('./merkleTree');
+const wallet = require('./wallet');
+const { resolveZkpPrivateKey } = require('./keystore');
+const {
+  resolveProver,
+  getProofQueue,
+  checkProof,
+  flattenProof,
+  createProofBundle,
+} = require('./prover');
+const preflight = require('./preflight');
+const { selectCommitments, formatValue } = require('./wallet/coin-selection');
 const utils = require('./utils');
 const logger = require('./logger');
 const Element = require('./Element');
-const { getWeb3ContractInstance, sendSignedTransaction } = require('./contractUtils');
+const {
+  getWeb3ContractInstance,
+  sendSignedTransaction,
+  unsignedTransaction,
+} = require('./contractUtils');
 
 /**
  * Mint a fungible token commitment.
@@ -30,29 +43,24 @@ const { getWeb3ContractInstance, sendSignedTransaction } = require('./contractUt
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions. Must be token owner.
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the ft-mint proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {String} commitment - Commitment of the minted coins
  * @returns {Number} commitmentIndex
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function mint(
   amount,
   zkpPublicKey,
   salt,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-mint');
 
   const fTokenShieldInstance = await getWeb3ContractInstance(
     'FTokenShield',
@@ -75,6 +83,13 @@ async function mint(
   const publicInputHash = shaHash(erc20Address.hex(32), amount, commitment);
   logger.debug('publicInputHash:', publicInputHash);
 
+  await preflight.checkMint(
+    fTokenShieldInstance,
+    { commitment, erc20Address: erc20Address.hex(20), amount, account },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(fTokenShieldInstance, prover, 'mint', blockchainOptions);
+
   // compute the proof
   logger.debug('Computing witness...');
 
@@ -92,22 +107,23 @@ async function mint(
   );
   logger.debug(`./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-mint/out`);
 
-  await zokrates.computeWitness(codePath, outputDirectory, witnessName, allInputs);
-
   logger.debug('Computing proof...');
-  await zokrates.generateProof(pkPath, codePath, `${outputDirectory}/witness`, provingScheme, {
-    createFile: createProofJson,
-    directory: outputDirectory,
-    fileName: proofName,
-  });
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'mint',
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${proofName}`));
+  const publicInputs = utils.formatInputsForZkSnark([
+    new Element(publicInputHash, 'field', 248, 1),
+  ]);
 
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'mint');
 
   // Approve fTokenShieldInstance to take tokens from minter's account.
   const fTokenInstance = await getWeb3ContractInstance('ERC20Interface', erc20Address.hex());
@@ -116,24 +132,8 @@ async function mint(
     parseInt(amount, 16),
   );
 
-  if (signingMethod) {
-    await sendSignedTransaction(
-      await signingMethod(fTokenInstanceTx.encodeABI(), fTokenInstance._address),
-    );
-  } else {
-    await fTokenInstanceTx.send({
-      from: account,
-      gas: 4000000,
-      gasPrice: config.GASPRICE,
-    });
-  }
-
   logger.debug('Minting within the Shield contract');
 
-  const publicInputs = utils.formatInputsForZkSnark([
-    new Element(publicInputHash, 'field', 248, 1),
-  ]);
-
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -150,19 +150,58 @@ async function mint(
     commitment,
   );
 
-  let txReceipt;
+  const proofBundle = createProofBundle(
+    'ft-mint',
+    prover,
+    proofPoints,
+    publicInputs,
+    fTokenShieldInstanceTx,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [
+        unsignedTransaction(fTokenInstanceTx, account, 4000000),
+        unsignedTransaction(fTokenShieldInstanceTx, account, 4000000),
+      ],
+      proof,
+      publicInputs,
+      newCommitments: [commitment],
+      nullifiers: [],
+      proofBundle,
+    };
+
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(fTokenShieldInstanceTx.encodeABI(), fTokenShieldInstance._address),
+    await sendSignedTransaction(
+      await signingMethod(fTokenInstanceTx.encodeABI(), fTokenInstance._address),
     );
   } else {
-    txReceipt = fTokenShieldInstanceTx.send({
+    await fTokenInstanceTx.send({
       from: account,
       gas: 4000000,
       gasPrice: config.GASPRICE,
     });
   }
 
+  let txReceipt;
+  if (signingMethod) {
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(fTokenShieldInstanceTx.encodeABI(), fTokenShieldInstance._address),
+      ),
+    );
+  } else {
+    txReceipt = await proofQueue.track(
+      job,
+      fTokenShieldInstanceTx.send({
+        from: account,
+        gas: 4000000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
+  }
+
   const newLeafEvents = await fTokenShieldInstance.getPastEvents('NewLeaf', {
     filter: { transactionHash: txReceipt.transactionHash },
   });
@@ -170,13 +209,25 @@ async function mint(
   const commitmentIndex = newLeafEvents[0].returnValues.leafIndex;
   logger.debug('ERC-20 spend approved!', parseInt(amount, 16));
 
+  await wallet.addCommitment({
+    commitment,
+    value: amount,
+    salt,
+    tokenAddress: erc20Address.hex(20),
+    tokenType: 'ERC20',
+    ownerPublicKey: zkpPublicKey,
+    commitmentIndex,
+    transactionHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber,
+  });
+
   const balance = await fTokenInstance.methods.balanceOf(account).call();
   logger.debug('Balance of account', account, balance);
 
   logger.debug('Mint output: [zA, zAIndex]:', commitment, commitmentIndex.toString());
   logger.debug('MINT COMPLETE\n');
 
-  return { commitment, commitmentIndex };
+  return { commitment, commitmentIndex, proofBundle };
 }
 
 /**
@@ -185,35 +236,31 @@ async function mint(
  * @param {Array} outputCommitments - Array of two commitments.
  * Currently the first is sent to the receiverPublicKey, and the second is sent to the sender.
  * @param {String} receiverZkpPublicKey - Receiver's Zkp Public Key
- * @param {String} senderZkpPrivateKey - Private key of the sender's
+ * @param {String | Object} senderZkpPrivateKey - Private key of the sender's (or { keystore, password } to unlock it from a keystore)
  * @param {Object} blockchainOptions
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the ft-transfer proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {Object[]} outputCommitments - Updated outputCommitments with their commitments and indexes.
  * @returns {Object} Transaction object
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function transfer(
   _inputCommitments,
   _outputCommitments,
   receiverZkpPublicKey,
-  senderZkpPrivateKey,
+  _senderZkpPrivateKey,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
+  const senderZkpPrivateKey = resolveZkpPrivateKey(_senderZkpPrivateKey);
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-transfer');
 
   logger.debug('\nIN TRANSFER...');
   logger.debug('Finding the relevant Shield and Verifier contracts');
@@ -254,41 +301,21 @@ async function transfer(
   );
 
   // Get the sibling-path from the token commitments (leaves) to the root. Express each node as an Element class.
-  inputCommitments[0].siblingPath = await merkleTree.getSiblingPath(
+  // (both paths lead to the same root)
+  const siblingPaths = await merkleTree.getSiblingPaths(
     {
       contractName: 'FTokenShield',
       instance: fTokenShieldInstance,
     },
-    inputCommitments[0].commitment,
-    inputCommitments[0].commitmentIndex,
+    inputCommitments,
   );
-  inputCommitments[1].siblingPath = await merkleTree.getSiblingPath(
-    {
-      contractName: 'FTokenShield',
-      instance: fTokenShieldInstance,
-    },
-    inputCommitments[1].commitment,
-    inputCommitments[1].commitmentIndex,
-  );
-
-  // TODO: edit merkle-tree microservice API to accept 2 path requests at once, to avoid the possibility of the merkle-tree DB's root being updated between the 2 GET requests. Until then, we need to check that both paths share the same root with the below check:
-  if (inputCommitments[0].siblingPath[0] !== inputCommitments[1].siblingPath[0])
-    throw new Error("The sibling paths don't share a common root.");
+  [inputCommitments[0].siblingPath, inputCommitments[1].siblingPath] = siblingPaths;
 
   const root = inputCommitments[0].siblingPath[0];
-  // TODO: checkRoot() is not essential. It's only useful for debugging as we make iterative improvements to nightfall's zokrates files. Possibly delete in future.
-  merkleTree.checkRoot(
-    inputCommitments[0].commitment,
-    inputCommitments[0].commitmentIndex,
-    inputCommitments[0].siblingPath,
-    root,
-  );
-  merkleTree.checkRoot(
-    inputCommitments[1].commitment,
-    inputCommitments[1].commitmentIndex,
-    inputCommitments[1].siblingPath,
-    root,
-  );
+  if (config.VERIFY_SIBLING_PATHS)
+    inputCommitments.forEach(item =>
+      merkleTree.checkRoot(item.commitment, item.commitmentIndex, item.siblingPath, root),
+    );
 
   inputCommitments[0].siblingPathElements = inputCommitments[0].siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -337,6 +364,17 @@ async function transfer(
       ? new Element(root, 'field', 256, 1)
       : new Element(root, 'field', 128, 2);
 
+  await preflight.checkSpend(
+    fTokenShieldInstance,
+    {
+      nullifiers: inputCommitments.map(c => c.nullifier),
+      root,
+      newCommitments: outputCommitments.map(c => c.commitment),
+    },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(fTokenShieldInstance, prover, 'transfer', blockchainOptions);
+
   // compute the proof
   logger.debug('Computing witness...');
 
@@ -369,43 +407,27 @@ async function transfer(
   );
   logger.debug(`./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-transfer/out`);
 
-  await zokrates.computeWitness(
-    codePath,
-    outputDirectory,
-    `${outputCommitments[0].commitment}-${witnessName}`,
-    allInputs,
-  );
-
   logger.debug('Computing proof...');
-
-  await zokrates.generateProof(
-    pkPath,
-    codePath,
-    `${outputDirectory}/${outputCommitments[0].commitment}-witness`,
-    provingScheme,
-    {
-      createFile: createProofJson,
-      directory: outputDirectory,
-      fileName: `${outputCommitments[0].commitment}-${proofName}`,
-    },
-  );
-
-  let { proof } = JSON.parse(
-    fs.readFileSync(`${outputDirectory}/${outputCommitments[0].commitment}-${proofName}`),
-  );
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Transferring within the Shield contract');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'transfer',
+    name: outputCommitments[0].commitment,
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'transfer');
+
+  logger.debug('Transferring within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -422,17 +444,41 @@ async function transfer(
     outputCommitments[1].commitment,
   );
 
+  const proofBundle = createProofBundle(
+    'ft-transfer',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(encodedRawTransaction, account, 4000000)],
+      proof,
+      publicInputs,
+      newCommitments: outputCommitments.map(c => c.commitment),
+      nullifiers: inputCommitments.map(c => c.nullifier),
+      proofBundle,
+    };
+
   let txReceipt;
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address, true),
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address, true),
+      ),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
-      from: account,
-      gas: 4000000,
-      gasPrice: config.GASPRICE,
-    });
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 4000000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
   }
 
   const newLeavesEvents = await fTokenShieldInstance.getPastEvents('NewLeaves', {
@@ -442,21 +488,31 @@ async function transfer(
   outputCommitments[0].commitmentIndex = parseInt(newLeavesEvents[0].returnValues.minLeafIndex, 10);
   outputCommitments[1].commitmentIndex = outputCommitments[0].commitmentIndex + 1;
 
-  if (fs.existsSync(`${outputDirectory}/${outputCommitments[0].commitment}-${proofName}`))
-    fs.unlinkSync(`${outputDirectory}/${outputCommitments[0].commitment}-${proofName}`);
-
-  if (fs.existsSync(`${outputDirectory}/${outputCommitments[0].commitment}-witness`))
-    fs.unlinkSync(`${outputDirectory}/${outputCommitments[0].commitment}-witness`);
-
-  logger.debug(
-    `Deleted file ${outputDirectory}/${outputCommitments[0].commitment}-${proofName} \n`,
-  );
+  for (const inputCommitment of inputCommitments) {
+    await wallet.markSpent(inputCommitment.commitment, inputCommitment.nullifier, txReceipt);
+  }
+  const outputOwners = [receiverZkpPublicKey, senderPublicKey];
+  for (let i = 0; i < outputCommitments.length; i++) {
+    await wallet.addCommitment({
+      commitment: outputCommitments[i].commitment,
+      value: outputCommitments[i].value,
+      salt: outputCommitments[i].salt,
+      tokenAddress: erc20Address.hex(20),
+      tokenType: 'ERC20',
+      ownerPublicKey: outputOwners[i],
+      senderPublicKey,
+      commitmentIndex: outputCommitments[i].commitmentIndex,
+      transactionHash: txReceipt.transactionHash,
+      blockNumber: txReceipt.blockNumber,
+    });
+  }
 
   logger.debug('TRANSFER COMPLETE\n');
 
   return {
     outputCommitments,
     txReceipt,
+    proofBundle,
   };
 }
 
@@ -467,34 +523,30 @@ async function transfer(
  * there's no concept of joining and splitting (yet).
  * @param {Object} _inputCommitment - commitment object owned by sender
  * @param {array} outputCommitments - Array of 20 commitments.
- * @param {string} senderSecretKey - Private key of sender
+ * @param {String | Object} senderSecretKey - Private key of sender (or { keystore, password } to unlock it from a keystore)
  * @param {Object} blockchainOptions
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the ft-batch-transfer proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {Object[]} outputCommitments - Updated outputCommitments with their commitments and indexes.
  * @returns {Object} Transaction object
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function simpleFungibleBatchTransfer(
   _inputCommitment,
   outputCommitments,
-  senderSecretKey,
+  _senderSecretKey,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
+  const senderSecretKey = resolveZkpPrivateKey(_senderSecretKey);
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-batch-transfer');
 
   logger.debug('\nIN BATCH TRANSFER...');
   logger.debug('Finding the relevant Shield and Verifier contracts');
@@ -540,13 +592,13 @@ async function simpleFungibleBatchTransfer(
   );
 
   const root = inputCommitment.siblingPath[0];
-  // TODO: checkRoot() is not essential. It's only useful for debugging as we make iterative improvements to nightfall's zokrates files.  Although we only strictly need the root to be reconciled within zokrates, it's easier to check and intercept any errors in js; so we'll first try to reconcole here. Possibly delete in future.
-  merkleTree.checkRoot(
-    inputCommitment.commitment,
-    inputCommitment.commitmentIndex,
-    inputCommitment.siblingPath,
-    root,
-  );
+  if (config.VERIFY_SIBLING_PATHS)
+    merkleTree.checkRoot(
+      inputCommitment.commitment,
+      inputCommitment.commitmentIndex,
+      inputCommitment.siblingPath,
+      root,
+    );
 
   inputCommitment.siblingPathElements = inputCommitment.siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -563,6 +615,22 @@ async function simpleFungibleBatchTransfer(
       ? new Element(root, 'field', 256, 1)
       : new Element(root, 'field', 128, 2);
 
+  await preflight.checkSpend(
+    fTokenShieldInstance,
+    {
+      nullifiers: [inputCommitment.nullifier],
+      root,
+      newCommitments: outputCommitments.map(c => c.commitment),
+    },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(
+    fTokenShieldInstance,
+    prover,
+    'simpleBatchTransfer',
+    blockchainOptions,
+  );
+
   // compute the proof
   logger.debug('Computing witness...');
   const allInputs = utils.formatInputsForZkSnark([
@@ -588,43 +656,27 @@ async function simpleFungibleBatchTransfer(
     `./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-batch-transfer/out`,
   );
 
-  await zokrates.computeWitness(
-    codePath,
-    outputDirectory,
-    `${inputCommitment.commitment}-${witnessName}`,
-    allInputs,
-  );
-
-  logger.debug('Generating proof...');
-
-  await zokrates.generateProof(
-    pkPath,
-    codePath,
-    `${outputDirectory}/${inputCommitment.commitment}-witness`,
-    provingScheme,
-    {
-      createFile: createProofJson,
-      directory: outputDirectory,
-      fileName: `${inputCommitment.commitment}-${proofName}`,
-    },
-  );
-
-  let { proof } = JSON.parse(
-    fs.readFileSync(`${outputDirectory}/${inputCommitment.commitment}-${proofName}`),
-  );
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Transferring within the Shield contract');
+  logger.debug('Computing proof...');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'simpleFungibleBatchTransfer',
+    name: inputCommitment.commitment,
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'simpleFungibleBatchTransfer');
+
+  logger.debug('Transferring within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -639,17 +691,41 @@ async function simpleFungibleBatchTransfer(
     outputCommitments.map(item => item.commitment),
   );
 
+  const proofBundle = createProofBundle(
+    'ft-batch-transfer',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(encodedRawTransaction, account, 4000000)],
+      proof,
+      publicInputs,
+      newCommitments: outputCommitments.map(c => c.commitment),
+      nullifiers: [inputCommitment.nullifier],
+      proofBundle,
+    };
+
   let txReceipt;
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address, true),
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address, true),
+      ),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
-      from: account,
-      gas: 4000000,
-      gasPrice: config.GASPRICE,
-    });
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 4000000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
   }
 
   const newLeavesEvents = await fTokenShieldInstance.getPastEvents('NewLeaves', {
@@ -662,19 +738,29 @@ async function simpleFungibleBatchTransfer(
     outputCommitmentIndex += 1;
   }
 
-  if (fs.existsSync(`${outputDirectory}/${inputCommitment.commitment}-${proofName}`))
-    fs.unlinkSync(`${outputDirectory}/${inputCommitment.commitment}-${proofName}`);
-
-  if (fs.existsSync(`${outputDirectory}/${inputCommitment.commitment}-witness`))
-    fs.unlinkSync(`${outputDirectory}/${inputCommitment.commitment}-witness`);
-
-  logger.debug(`Deleted file ${outputDirectory}/${inputCommitment.commitment}-${proofName}`);
+  await wallet.markSpent(inputCommitment.commitment, inputCommitment.nullifier, txReceipt);
+  const senderPublicKey = shaHash(senderSecretKey);
+  for (const outputCommitment of outputCommitments) {
+    await wallet.addCommitment({
+      commitment: outputCommitment.commitment,
+      value: outputCommitment.value,
+      salt: outputCommitment.salt,
+      tokenAddress: erc20Address.hex(20),
+      tokenType: 'ERC20',
+      ownerPublicKey: outputCommitment.receiver.publicKey,
+      senderPublicKey,
+      commitmentIndex: outputCommitment.commitmentIndex,
+      transactionHash: txReceipt.transactionHash,
+      blockNumber: txReceipt.blockNumber,
+    });
+  }
 
   logger.debug('TRANSFER COMPLETE\n');
 
   return {
     outputCommitments,
     txReceipt,
+    proofBundle,
   };
 }
 /**
@@ -684,35 +770,31 @@ async function simpleFungibleBatchTransfer(
  * @param {array} _inputCommitments - Array of 20 commitments owned by the sender.
  * @param {Object} _outputCommitment - commitment object to be transfer
  * @param {String} receiverZkpPublicKey - Receiver's Zkp Public Key
- * @param {String} senderSecretKey - Private key of the sender's
+ * @param {String | Object} senderSecretKey - Private key of the sender's (or { keystore, password } to unlock it from a keystore)
  * @param {Object} blockchainOptions
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the ft-consolidation-transfer proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {Object[]} outputCommitment - Updated outputCommitment with their commitment and index.
  * @returns {Object} Transaction object
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function consolidationTransfer(
   _inputCommitments,
   _outputCommitment,
   receiverPublicKey,
-  senderSecretKey,
+  _senderSecretKey,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
+  const senderSecretKey = resolveZkpPrivateKey(_senderSecretKey);
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-consolidation-transfer');
 
   logger.debug('\nIN CONSOLIDATION TRANSFER...');
   logger.debug('Finding the relevant Shield and Verifier contracts');
@@ -750,16 +832,17 @@ async function consolidationTransfer(
   );
 
   // Get the sibling-path from the token commitments (leaves) to the root. Express each node as an Element class.
+  // (all of the paths lead to the same root)
+  const siblingPaths = await merkleTree.getSiblingPaths(
+    {
+      contractName: 'FTokenShield',
+      instance: fTokenShieldInstance,
+    },
+    inputCommitments,
+  );
   const inputPaths = [];
   for (let i = 0; i < inputCommitments.length; i += 1) {
-    inputCommitments[i].siblingPath = await merkleTree.getSiblingPath(
-      {
-        contractName: 'FTokenShield',
-        instance: fTokenShieldInstance,
-      },
-      inputCommitments[i].commitment,
-      inputCommitments[i].commitmentIndex,
-    );
+    inputCommitments[i].siblingPath = siblingPaths[i];
     inputCommitments[i].siblingPathElements = Object.values(
       inputCommitments[i].siblingPath.slice(1),
     );
@@ -767,6 +850,10 @@ async function consolidationTransfer(
   }
 
   const root = inputCommitments[0].siblingPath[0];
+  if (config.VERIFY_SIBLING_PATHS)
+    inputCommitments.forEach(item =>
+      merkleTree.checkRoot(item.commitment, item.commitmentIndex, item.siblingPath, root),
+    );
 
   const publicInputHash = shaHash(
     root,
@@ -774,6 +861,22 @@ async function consolidationTransfer(
     outputCommitment.commitment,
   );
 
+  await preflight.checkSpend(
+    fTokenShieldInstance,
+    {
+      nullifiers: inputCommitments.map(c => c.nullifier),
+      root,
+      newCommitments: [outputCommitment.commitment],
+    },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(
+    fTokenShieldInstance,
+    prover,
+    'consolidationTransfer',
+    blockchainOptions,
+  );
+
   // compute the proof
   logger.debug('Computing witness...');
   const allInputs = utils.formatInputsForZkSnark([
@@ -799,29 +902,26 @@ async function consolidationTransfer(
     `./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-consolidation-transfer/out`,
   );
 
-  await zokrates.computeWitness(codePath, outputDirectory, witnessName, allInputs);
-
-  logger.debug('Generating proof...');
-  await zokrates.generateProof(pkPath, codePath, `${outputDirectory}/witness`, provingScheme, {
-    createFile: createProofJson,
-    directory: outputDirectory,
-    fileName: proofName,
-  });
-
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${proofName}`));
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Transferring within the Shield contract');
+  logger.debug('Computing proof...');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'consolidationTransfer',
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'consolidationTransfer');
+
+  logger.debug('Transferring within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -836,17 +936,41 @@ async function consolidationTransfer(
     outputCommitment.commitment,
   );
 
+  const proofBundle = createProofBundle(
+    'ft-consolidation-transfer',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(encodedRawTransaction, account, 4000000)],
+      proof,
+      publicInputs,
+      newCommitments: [outputCommitment.commitment],
+      nullifiers: inputCommitments.map(c => c.nullifier),
+      proofBundle,
+    };
+
   let txReceipt;
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address, true),
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address, true),
+      ),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
-      from: account,
-      gas: 4000000,
-      gasPrice: config.GASPRICE,
-    });
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 4000000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
   }
 
   const newLeafEvents = await fTokenShieldInstance.getPastEvents('NewLeaf', {
@@ -854,19 +978,36 @@ async function consolidationTransfer(
   });
   logger.debug('newLeafEvents CONSOLIDATION :  ', newLeafEvents);
   outputCommitment.commitmentIndex = parseInt(newLeafEvents[0].returnValues.leafIndex, 10);
+
+  for (const inputCommitment of inputCommitments) {
+    await wallet.markSpent(inputCommitment.commitment, inputCommitment.nullifier, txReceipt);
+  }
+  await wallet.addCommitment({
+    commitment: outputCommitment.commitment,
+    value: outputCommitment.value,
+    salt: outputCommitment.salt,
+    tokenAddress: erc20Address.hex(20),
+    tokenType: 'ERC20',
+    ownerPublicKey: receiverPublicKey,
+    senderPublicKey: shaHash(senderSecretKey),
+    commitmentIndex: outputCommitment.commitmentIndex,
+    transactionHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber,
+  });
   logger.debug('outputCommitment:  ', outputCommitment, JSON.stringify(outputCommitment));
   logger.debug('CONSOLIDATION TRANSFER COMPLETE\n');
 
   return {
     outputCommitment,
     txReceipt,
+    proofBundle,
   };
 }
 /**
  * This function burns a commitment, i.e. it recovers ERC-20 into your
  * account. All values are hex strings.
  * @param {string} amount - the value of the commitment in hex (i.e. the amount you are burning)
- * @param {string} receiverZkpPrivateKey - the secret key of the person doing the burning (in hex)
+ * @param {String | Object} receiverZkpPrivateKey - the secret key of the person doing the burning (in hex) (or { keystore, password } to unlock it from a keystore)
  * @param {string} salt - the random nonce used in the commitment
  * @param {string} commitment - the value of the commitment being burned
  * @param {string} commitmentIndex - the index of the commitment in the Merkle Tree
@@ -874,32 +1015,28 @@ async function consolidationTransfer(
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
  * @param {String} blockchainOptions.tokenReceiver - Account that will receive the tokens
+ * @param {Object} prover - computes the ft-burn proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function burn(
   amount,
-  receiverZkpPrivateKey,
+  _receiverZkpPrivateKey,
   salt,
   commitment,
   commitmentIndex,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
+  const receiverZkpPrivateKey = resolveZkpPrivateKey(_receiverZkpPrivateKey);
   const { fTokenShieldAddress, tokenReceiver: _payTo } = blockchainOptions;
   const erc20Address = new GN(blockchainOptions.erc20Address);
 
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-burn');
 
   let payTo = _payTo;
   if (payTo === undefined) payTo = account; // have the option to pay out to another address
@@ -923,8 +1060,8 @@ async function burn(
   );
 
   const root = siblingPath[0];
-  // TODO: checkRoot() is not essential. It's only useful for debugging as we make iterative improvements to nightfall's zokrates files. Possibly delete in future.
-  merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
+  if (config.VERIFY_SIBLING_PATHS)
+    merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
 
   const siblingPathElements = siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -952,6 +1089,13 @@ async function burn(
     process.env.HASH_TYPE === 'mimc'
       ? new Element(root, 'field', 256, 1)
       : new Element(root, 'field', 128, 2);
+  await preflight.checkSpend(
+    fTokenShieldInstance,
+    { nullifiers: [nullifier], root },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(fTokenShieldInstance, prover, 'burn', blockchainOptions);
+
   // compute the proof
   logger.debug('Computing witness...');
 
@@ -973,41 +1117,27 @@ async function burn(
   );
   logger.debug(`./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-burn/out`);
 
-  await zokrates.computeWitness(
-    codePath,
-    outputDirectory,
-    `${commitment}-${witnessName}`,
-    allInputs,
-  );
-
   logger.debug('Computing proof...');
-
-  await zokrates.generateProof(
-    pkPath,
-    codePath,
-    `${outputDirectory}/${commitment}-witness`,
-    provingScheme,
-    {
-      createFile: createProofJson,
-      directory: outputDirectory,
-      fileName: `${commitment}-${proofName}`,
-    },
-  );
-
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${commitment}-${proofName}`));
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Burning within the Shield contract');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'burn',
+    name: commitment,
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'burn');
+
+  logger.debug('Burning within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -1024,35 +1154,202 @@ async function burn(
     payTo,
   );
 
+  const proofBundle = createProofBundle(
+    'ft-burn',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(encodedRawTransaction, account, 4000000)],
+      proof,
+      publicInputs,
+      newCommitments: [],
+      nullifiers: [nullifier],
+      proofBundle,
+    };
+
   let txReceipt;
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address),
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(encodedRawTransaction.encodeABI(), fTokenShieldInstance._address),
+      ),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
-      from: account,
-      gas: 4000000,
-      gasPrice: config.GASPRICE,
-    });
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 4000000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
   }
 
-  if (fs.existsSync(`${outputDirectory}/${commitment}-${proofName}`))
-    fs.unlinkSync(`${outputDirectory}/${commitment}-${proofName}`);
+  await wallet.markSpent(commitment, nullifier, txReceipt, 'burn');
 
-  if (fs.existsSync(`${outputDirectory}/${commitment}-witness`))
-    fs.unlinkSync(`${outputDirectory}/${commitment}-witness`);
+  logger.debug('BURN COMPLETE\n');
 
-  logger.debug(`Deleted File ${outputDirectory}/${commitment}-${proofName} \n`);
+  return { z_C: commitment, z_C_index: commitmentIndex, txReceipt, proofBundle };
+}
 
-  logger.debug('BURN COMPLETE\n');
+/**
+ * send() takes a prover for each proof it might need, or one circuit registry for all of them
+ * (or, with config.CIRCUIT_DIRECTORY set, nothing)
+ */
+function getProver(provers, operation) {
+  return provers && typeof provers.getProver !== 'function' ? provers[operation] : provers;
+}
 
-  return { z_C: commitment, z_C_index: commitmentIndex, txReceipt };
+/**
+ * Finds count zero-value commitments owned by the sender, to use as dummy inputs to a transfer or
+ * to pad out a consolidation, minting any that the wallet doesn't hold.
+ */
+async function getDummyCommitments(
+  count,
+  senderPublicKey,
+  exclude,
+  blockchainOptions,
+  provers,
+  signingMethod,
+) {
+  const unspent = await wallet.getUnspentCommitments(
+    senderPublicKey,
+    blockchainOptions.erc20Address,
+  );
+  const dummies = unspent
+    .filter(c => BigInt(c.value) === BigInt(0) && !exclude.includes(c.commitment))
+    .slice(0, count);
+  if (dummies.length === count) return dummies;
+
+  if (blockchainOptions.dryRun)
+    throw new Error(
+      `A dry run cannot mint dummy input commitments, and the wallet holds ${dummies.length} zero-value ones of the ${count} needed`,
+    );
+  logger.debug(`Minting ${count - dummies.length} zero-value commitments to use as dummy inputs`);
+  while (dummies.length < count) {
+    const salt = await wallet.newSalt();
+    const value = formatValue(0);
+    const { commitment, commitmentIndex } = await mint(
+      value,
+      senderPublicKey,
+      salt,
+      blockchainOptions,
+      getProver(provers, 'mint'),
+      signingMethod,
+    );
+    dummies.push({ commitment, commitmentIndex, value, salt });
+  }
+  return dummies;
+}
+
+/**
+ * Sends an amount to a receiver, choosing the input commitments from the sender's
+ * unspent commitments in the wallet and sending any change back to the sender.
+ * If one commitment covers the amount, a zero-value dummy commitment is used as
+ * the second input.  If no two commitments cover it, enough commitments are first
+ * consolidated (into a single commitment owned by the sender) to make the payment, padded out
+ * with zero-value commitments, which are minted if the wallet doesn't hold enough.
+ * @param {String} amount - the value to send (hex, with or without a 0x)
+ * @param {String} receiverZkpPublicKey - Receiver's Zkp Public Key
+ * @param {String | Object} senderZkpPrivateKey - Private key of the sender (or { keystore, password } to unlock it from a keystore)
+ * @param {Object} blockchainOptions - as for transfer()
+ * @param {Object} provers - the provers below, or a circuit registry (see prover/circuits.js)
+ * @param {Object} provers.transfer - provers for the ft-transfer proof
+ * @param {Object} [provers.mint] - provers for the ft-mint proof, needed if dummy commitments have to be minted
+ * @param {Object} [provers.consolidationTransfer] - provers for the ft-consolidation-transfer proof, needed if commitments have to be consolidated
+ * @returns {Object[]} outputCommitments - the payment and the change commitments
+ * @returns {Object} Transaction object
+ */
+async function send(
+  _amount,
+  receiverZkpPublicKey,
+  _senderZkpPrivateKey,
+  blockchainOptions,
+  provers,
+  signingMethod = undefined,
+) {
+  const amount = ensure0x(_amount); // BigInt() would take hex without a 0x as decimal, or refuse it
+  const senderZkpPrivateKey = resolveZkpPrivateKey(_senderZkpPrivateKey);
+  const senderPublicKey = shaHash(senderZkpPrivateKey);
+  const unspent = await wallet.getUnspentCommitments(
+    senderPublicKey,
+    blockchainOptions.erc20Address,
+  );
+  const selection = selectCommitments(unspent, amount);
+
+  let inputCommitments = selection.inputs;
+  let { change } = selection;
+  if (selection.type === 'consolidation') {
+    if (config.HASH_TYPE !== 'mimc')
+      throw new Error(
+        `No two commitments cover ${amount}, and consolidation transfers are only available with MiMC hashing`,
+      );
+    if (blockchainOptions.dryRun)
+      throw new Error(
+        `No two commitments cover ${amount}, and a dry run cannot consolidate them before sending`,
+      );
+    logger.debug(`Consolidating ${selection.inputs.length} commitments before sending`);
+    // pad the consolidation with zero-value commitments, because the proof takes a fixed number of inputs
+    const padding = await getDummyCommitments(
+      config.BATCH_PROOF_SIZE - selection.inputs.length,
+      senderPublicKey,
+      selection.inputs.map(c => c.commitment),
+      blockchainOptions,
+      provers,
+      signingMethod,
+    );
+    const { outputCommitment } = await consolidationTransfer(
+      [...selection.inputs, ...padding],
+      { value: formatValue(selection.total), salt: await wallet.newSalt() },
+      senderPublicKey,
+      senderZkpPrivateKey,
+      blockchainOptions,
+      getProver(provers, 'consolidationTransfer'),
+      signingMethod,
+    );
+    inputCommitments = [outputCommitment];
+    change = selection.total - BigInt(amount);
+  }
+
+  if (inputCommitments.length === 1) {
+    inputCommitments.push(
+      ...(await getDummyCommitments(
+        1,
+        senderPublicKey,
+        [inputCommitments[0].commitment],
+        blockchainOptions,
+        provers,
+        signingMethod,
+      )),
+    );
+  }
+
+  const outputCommitments = [
+    { value: formatValue(amount), salt: await wallet.newSalt() },
+    { value: formatValue(change), salt: await wallet.newSalt() },
+  ];
+
+  return transfer(
+    inputCommitments,
+    outputCommitments,
+    receiverZkpPublicKey,
+    senderZkpPrivateKey,
+    blockchainOptions,
+    getProver(provers, 'transfer'),
+    signingMethod,
+  );
 }
 
 module.exports = {
   mint,
   transfer,
+  send,
   simpleFungibleBatchTransfer,
   consolidationTransfer,
   burn,
@@ -6,16 +6,28 @@
  * @module erc20.js
  * @author westlad, Chaitanya-Konda, iAmMichaelConnor
  */
-const zokrates = require('@eyblockchain/zokrates.js');
-const { ensure0x, strip0x, shaHash, randomHex, hexToDec, leftPadHex } = require('zkp-utils');
+const { ensure0x, strip0x, shaHash, randomHex, leftPadHex } = require('zkp-utils');
 const { GN } = require('general-number');
-const fs = require('fs');
 const config = require('./config');
 const merkleTree = require('./merkleTree');
+const wallet = require('./wallet');
+const { resolveZkpPrivateKey } = require('./keystore');
+const {
+  resolveProver,
+  getProofQueue,
+  checkProof,
+  flattenProof,
+  createProofBundle,
+} = require('./prover');
+const preflight = require('./preflight');
 const utils = require('./utils');
 const logger = require('./logger');
 const Element = require('./Element');
-const { getWeb3ContractInstance } = require('./contractUtils');
+const {
+  getWeb3ContractInstance,
+  sendSignedTransaction,
+  unsignedTransaction,
+} = require('./contractUtils');
 const {
   enc,
   AUTHORITY_PUBLIC_KEYS,
@@ -24,7 +36,11 @@ const {
   edwardsCompress,
   edwardsDecompress,
 } = require('./elgamal');
-const { getPublicKeyTreeData } = require('./public-key-tree');
+const {
+  getPublicKeyTreeData,
+  getPublicKeyTreePaths,
+  checkPublicKeyRoot,
+} = require('./public-key-tree');
 
 /**
 Wrapper function to set admin public keys (pulling them in from elgamal.js)
@@ -134,23 +150,24 @@ function decryptEventLog(eventLog, { type, guessers }) {
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the ft-mint proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {String} commitment - Commitment of the minted coins
  * @returns {Number} commitmentIndex
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
-async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptions) {
+async function mint(
+  amount,
+  zkpPublicKey,
+  salt,
+  blockchainOptions,
+  _prover,
+  signingMethod = undefined,
+) {
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
   logger.debug('erc20Address', erc20Address);
-  logger.debug('zokratesOptions', zokratesOptions);
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-mint');
 
   const fTokenShieldInstance = await getWeb3ContractInstance(
     'FTokenShield',
@@ -180,6 +197,13 @@ async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptio
   );
   logger.debug('publicInputHash:', publicInputHash);
 
+  await preflight.checkMint(
+    fTokenShieldInstance,
+    { commitment, erc20Address: erc20Address.hex(20), amount, account },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(fTokenShieldInstance, prover, 'mint', blockchainOptions);
+
   // compute the proof
   logger.debug('Computing witness...');
 
@@ -197,37 +221,33 @@ async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptio
   );
   logger.debug(`./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-mint/out`);
 
-  await zokrates.computeWitness(codePath, outputDirectory, witnessName, allInputs);
-
   logger.debug('Computing proof...');
-  await zokrates.generateProof(pkPath, codePath, `${outputDirectory}/witness`, provingScheme, {
-    createFile: createProofJson,
-    directory: outputDirectory,
-    fileName: proofName,
-  });
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'mint',
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${proofName}`));
+  const publicInputs = utils.formatInputsForZkSnark([
+    new Element(publicInputHash, 'field', 248, 1),
+  ]);
 
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'mint');
 
   // Approve fTokenShieldInstance to take tokens from minter's account.
   const fTokenInstance = await getWeb3ContractInstance('ERC20Interface', erc20Address.hex());
-  await fTokenInstance.methods.approve(fTokenShieldInstance._address, parseInt(amount, 16)).send({
-    from: account,
-    gas: 4000000,
-    gasPrice: config.GASPRICE,
-  });
+  const fTokenInstanceTx = fTokenInstance.methods.approve(
+    fTokenShieldInstance._address,
+    parseInt(amount, 16),
+  );
 
   logger.debug('Minting within the Shield contract');
 
-  const publicInputs = utils.formatInputsForZkSnark([
-    new Element(publicInputHash, 'field', 248, 1),
-  ]);
-
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -235,13 +255,53 @@ async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptio
 
   // Mint the commitment
   logger.debug('Approving ERC-20 spend from: ', fTokenShieldInstance._address);
-  const txReceipt = await fTokenShieldInstance.methods
-    .mintRC(erc20Address.hex(32), proof, publicInputs, amount, commitment, zkpPublicKey)
-    .send({
+  const shieldTx = fTokenShieldInstance.methods.mintRC(
+    erc20Address.hex(32),
+    proof,
+    publicInputs,
+    amount,
+    commitment,
+    zkpPublicKey,
+  );
+  const proofBundle = createProofBundle('ft-mint', prover, proofPoints, publicInputs, shieldTx);
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [
+        unsignedTransaction(fTokenInstanceTx, account, 4000000),
+        unsignedTransaction(shieldTx, account, 6500000),
+      ],
+      proof,
+      publicInputs,
+      newCommitments: [commitment],
+      nullifiers: [],
+      proofBundle,
+    };
+
+  if (signingMethod) {
+    await sendSignedTransaction(
+      await signingMethod(fTokenInstanceTx.encodeABI(), fTokenInstance._address),
+    );
+  } else {
+    await fTokenInstanceTx.send({
       from: account,
-      gas: 6500000,
+      gas: 4000000,
       gasPrice: config.GASPRICE,
     });
+  }
+
+  const txReceipt = await proofQueue.track(
+    job,
+    signingMethod
+      ? sendSignedTransaction(
+          await signingMethod(shieldTx.encodeABI(), fTokenShieldInstance._address),
+        )
+      : shieldTx.send({
+          from: account,
+          gas: 6500000,
+          gasPrice: config.GASPRICE,
+        }),
+  );
   utils.gasUsedStats(txReceipt, 'mint');
 
   const newLeafLog = await fTokenShieldInstance.getPastEvents('NewLeaf', {
@@ -250,6 +310,18 @@ async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptio
 
   const commitmentIndex = newLeafLog[0].returnValues.leafIndex;
 
+  await wallet.addCommitment({
+    commitment,
+    value: amount,
+    salt,
+    tokenAddress: erc20Address.hex(20),
+    tokenType: 'ERC20',
+    ownerPublicKey: zkpPublicKey,
+    commitmentIndex,
+    transactionHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber,
+  });
+
   logger.debug('ERC-20 spend approved!', parseInt(amount, 16));
   logger.debug(
     'Balance of account',
@@ -259,7 +331,7 @@ async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptio
   logger.debug('Mint output: [zA, zAIndex]:', commitment, commitmentIndex.toString());
   logger.debug('MINT COMPLETE\n');
 
-  return { commitment, commitmentIndex };
+  return { commitment, commitmentIndex, proofBundle };
 }
 
 /**
@@ -268,34 +340,31 @@ async function mint(amount, zkpPublicKey, salt, blockchainOptions, zokratesOptio
  * @param {Array} outputCommitments - Array of two commitments.
  * Currently the first is sent to the receiverPublicKey, and the second is sent to the sender.
  * @param {String} receiverPublicKey - Public key of the first outputCommitment
- * @param {String} senderSecretKey
+ * @param {String | Object} senderSecretKey - or { keystore, password } to unlock it from a keystore
  * @param {Object} blockchainOptions
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the ft-transfer proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {Object[]} outputCommitments - Updated outputCommitments with their commitments and indexes.
  * @returns {Object} Transaction object
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function transfer(
   _inputCommitments,
   _outputCommitments,
   receiverPublicKey,
-  senderSecretKey,
+  _senderSecretKey,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
+  signingMethod = undefined,
 ) {
+  const senderSecretKey = resolveZkpPrivateKey(_senderSecretKey);
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-transfer');
 
   logger.debug('\nIN TRANSFER...');
   logger.debug('Finding the relevant Shield and Verifier contracts');
@@ -349,51 +418,28 @@ async function transfer(
   ]);
 
   // compute the sibling path for the zkp public key Merkle tree used for whitelisting
-  const senderPublicKeyTreeData = await getPublicKeyTreeData(fTokenShieldInstance, senderPublicKey);
-  const receiverPublicKeyTreeData = await getPublicKeyTreeData(
-    fTokenShieldInstance,
-    receiverPublicKey,
-  );
-  // check these both have the same root
-  if (senderPublicKeyTreeData.siblingPath[0] !== receiverPublicKeyTreeData.siblingPath[0])
-    throw new Error('Roots for sender and receiver public key are not the same.');
+  // (both paths lead to the same root)
+  const [
+    senderPublicKeyTreeData,
+    receiverPublicKeyTreeData,
+  ] = await getPublicKeyTreePaths(fTokenShieldInstance, [senderPublicKey, receiverPublicKey]);
 
   // Get the sibling-path from the token commitments (leaves) to the root. Express each node as an Element class.
-  inputCommitments[0].siblingPath = await merkleTree.getSiblingPath(
-    {
-      contractName: 'FTokenShield',
-      instance: fTokenShieldInstance,
-    },
-    inputCommitments[0].commitment,
-    inputCommitments[0].commitmentIndex,
-  );
-  inputCommitments[1].siblingPath = await merkleTree.getSiblingPath(
+  // (both paths lead to the same root)
+  const siblingPaths = await merkleTree.getSiblingPaths(
     {
       contractName: 'FTokenShield',
       instance: fTokenShieldInstance,
     },
-    inputCommitments[1].commitment,
-    inputCommitments[1].commitmentIndex,
+    inputCommitments,
   );
-
-  // TODO: edit merkle-tree microservice API to accept 2 path requests at once, to avoid the possibility of the merkle-tree DB's root being updated between the 2 GET requests. Until then, we need to check that both paths share the same root with the below check:
-  if (inputCommitments[0].siblingPath[0] !== inputCommitments[1].siblingPath[0])
-    throw new Error("The sibling paths don't share a common root.");
+  [inputCommitments[0].siblingPath, inputCommitments[1].siblingPath] = siblingPaths;
 
   const root = inputCommitments[0].siblingPath[0];
-  // TODO: checkRoot() is not essential. It's only useful for debugging as we make iterative improvements to nightfall's zokrates files. Possibly delete in future.
-  merkleTree.checkRoot(
-    inputCommitments[0].commitment,
-    inputCommitments[0].commitmentIndex,
-    inputCommitments[0].siblingPath,
-    root,
-  );
-  merkleTree.checkRoot(
-    inputCommitments[1].commitment,
-    inputCommitments[1].commitmentIndex,
-    inputCommitments[1].siblingPath,
-    root,
-  );
+  if (config.VERIFY_SIBLING_PATHS)
+    inputCommitments.forEach(item =>
+      merkleTree.checkRoot(item.commitment, item.commitmentIndex, item.siblingPath, root),
+    );
 
   inputCommitments[0].siblingPathElements = inputCommitments[0].siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -460,6 +506,17 @@ async function transfer(
 
   logger.debug('encryption', encryption);
 
+  await preflight.checkSpend(
+    fTokenShieldInstance,
+    {
+      nullifiers: inputCommitments.map(c => c.nullifier),
+      root,
+      newCommitments: outputCommitments.map(c => c.commitment),
+    },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(fTokenShieldInstance, prover, 'transfer', blockchainOptions);
+
   const allInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
     new Element(erc20Address.hex(32), 'field', 248, 1),
@@ -497,40 +554,62 @@ async function transfer(
   );
   logger.debug(`./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-transfer/out`);
 
-  await zokrates.computeWitness(codePath, outputDirectory, witnessName, allInputs);
-
   logger.debug('Computing proof...');
-  await zokrates.generateProof(pkPath, codePath, `${outputDirectory}/witness`, provingScheme, {
-    createFile: createProofJson,
-    directory: outputDirectory,
-    fileName: proofName,
-  });
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'transfer',
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${proofName}`));
+  const publicInputs = utils.formatInputsForZkSnark([
+    new Element(publicInputHash, 'field', 248, 1),
+  ]);
 
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'transfer');
 
   logger.debug('Transferring within the Shield contract');
 
   logger.debug('proof:');
   logger.debug(proof);
 
+  // a blacklisting while we were computing the proof would have pruned its public key root:
+  await checkPublicKeyRoot(fTokenShieldInstance, senderPublicKeyTreeData.siblingPath[0]);
+
   // Transfers commitment
-  const txReceipt = await fTokenShieldInstance.methods
-    .transferRC(
+  const shieldTx = fTokenShieldInstance.methods.transferRC(
+    proof,
+    publicInputs,
+    compressedPublicInputsArray,
+  );
+  const proofBundle = createProofBundle('ft-transfer', prover, proofPoints, publicInputs, shieldTx);
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(shieldTx, account, 6500000)],
       proof,
-      utils.formatInputsForZkSnark([new Element(publicInputHash, 'field', 248, 1)]),
-      compressedPublicInputsArray,
-    )
-    .send({
-      from: account,
-      gas: 6500000,
-      gasPrice: config.GASPRICE,
-    });
+      publicInputs,
+      newCommitments: outputCommitments.map(c => c.commitment),
+      nullifiers: inputCommitments.map(c => c.nullifier),
+      proofBundle,
+    };
+
+  const txReceipt = await proofQueue.track(
+    job,
+    signingMethod
+      ? sendSignedTransaction(
+          await signingMethod(shieldTx.encodeABI(), fTokenShieldInstance._address, true),
+        )
+      : shieldTx.send({
+          from: account,
+          gas: 6500000,
+          gasPrice: config.GASPRICE,
+        }),
+  );
   utils.gasUsedStats(txReceipt, 'transfer');
 
   const newLeavesEvents = await fTokenShieldInstance.getPastEvents('NewLeaves', {
@@ -540,11 +619,31 @@ async function transfer(
   outputCommitments[0].commitmentIndex = parseInt(newLeavesEvents[0].returnValues.minLeafIndex, 10);
   outputCommitments[1].commitmentIndex = outputCommitments[0].commitmentIndex + 1;
 
+  for (const inputCommitment of inputCommitments) {
+    await wallet.markSpent(inputCommitment.commitment, inputCommitment.nullifier, txReceipt);
+  }
+  const outputOwners = [receiverPublicKey, senderPublicKey];
+  for (let i = 0; i < outputCommitments.length; i++) {
+    await wallet.addCommitment({
+      commitment: outputCommitments[i].commitment,
+      value: outputCommitments[i].value,
+      salt: outputCommitments[i].salt,
+      tokenAddress: erc20Address.hex(20),
+      tokenType: 'ERC20',
+      ownerPublicKey: outputOwners[i],
+      senderPublicKey,
+      commitmentIndex: outputCommitments[i].commitmentIndex,
+      transactionHash: txReceipt.transactionHash,
+      blockNumber: txReceipt.blockNumber,
+    });
+  }
+
   logger.debug('TRANSFER COMPLETE\n');
 
   return {
     outputCommitments,
     txReceipt,
+    proofBundle,
   };
 }
 
@@ -572,12 +671,15 @@ async function simpleFungibleBatchTransfer() {
 async function consolidationTransfer() {
   throw new Error('The compliance version does not support batch consolidation');
 }
+async function send() {
+  throw new Error('The compliance version does not support automatic coin selection');
+}
 
 /**
  * This function burns a commitment, i.e. it recovers ERC-20 into your
  * account. All values are hex strings.
  * @param {string} amount - the value of the commitment in hex (i.e. the amount you are burning)
- * @param {string} receiverZkpPrivateKey - the private key of the person doing the burning (in hex)
+ * @param {String | Object} receiverZkpPrivateKey - the private key of the person doing the burning (in hex) (or { keystore, password } to unlock it from a keystore)
  * @param {string} salt - the random nonce used in the commitment
  * @param {string} commitment - the value of the commitment being burned
  * @param {string} commitmentIndex - the index of the commitment in the Merkle Tree
@@ -585,30 +687,27 @@ async function consolidationTransfer() {
  * @param {String} blockchainOptions.erc20Address - Address of ERC20 contract
  * @param {String} blockchainOptions.fTokenShieldAddress - Address of deployed fTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
  * @param {String} blockchainOptions.tokenReceiver - Account that will receive the tokens
+ * @param {Object} prover - computes the ft-burn proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function burn(
   amount,
-  receiverZkpPrivateKey,
+  _receiverZkpPrivateKey,
   salt,
   commitment,
   commitmentIndex,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
+  signingMethod = undefined,
 ) {
+  const receiverZkpPrivateKey = resolveZkpPrivateKey(_receiverZkpPrivateKey);
   const { tokenReceiver: _payTo, fTokenShieldAddress } = blockchainOptions;
   const erc20Address = new GN(blockchainOptions.erc20Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'ft-burn');
 
   let payTo = _payTo;
   if (payTo === undefined) payTo = account; // have the option to pay out to another address
@@ -640,8 +739,8 @@ async function burn(
   );
 
   const root = siblingPath[0];
-  // TODO: checkRoot() is not essential. It's only useful for debugging as we make iterative improvements to nightfall's zokrates files. Possibly delete in future.
-  merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
+  if (config.VERIFY_SIBLING_PATHS)
+    merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
 
   const siblingPathElements = siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -682,6 +781,13 @@ async function burn(
   const publicInputHash = utils.concatenateThenHash(...compressedPublicInputsArray); // notice we're using the version of payTo which has been padded to 256-bits; to match our derivation of publicInputHash within our zokrates proof.
   logger.debug('publicInputHash:', publicInputHash);
 
+  await preflight.checkSpend(
+    fTokenShieldInstance,
+    { nullifiers: [nullifier], root },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(fTokenShieldInstance, prover, 'burn', blockchainOptions);
+
   // compute the proof
   logger.debug('Computing witness...');
 
@@ -711,48 +817,72 @@ async function burn(
   );
   logger.debug(`./zokrates compute-witness -a ${allInputs.join(' ')} -i gm17/ft-burn/out`);
 
-  await zokrates.computeWitness(codePath, outputDirectory, witnessName, allInputs);
-
   logger.debug('Computing proof...');
-  await zokrates.generateProof(pkPath, codePath, `${outputDirectory}/witness`, provingScheme, {
-    createFile: createProofJson,
-    directory: outputDirectory,
-    fileName: proofName,
-  });
-
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${proofName}`));
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Burning within the Shield contract');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'burn',
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'burn');
+
+  logger.debug('Burning within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
   logger.debug(publicInputs);
 
+  // a blacklisting while we were computing the proof would have pruned its public key root:
+  await checkPublicKeyRoot(fTokenShieldInstance, publicKeyTreeData.siblingPath[0]);
+
   // Burn the commitment and return tokens to the payTo account.
-  const txReceipt = await fTokenShieldInstance.methods
-    .burnRC(proof, publicInputs, compressedPublicInputsArray)
-    .send({
-      from: account,
-      gas: 6500000,
-      gasPrice: config.GASPRICE,
-    });
+  const shieldTx = fTokenShieldInstance.methods.burnRC(
+    proof,
+    publicInputs,
+    compressedPublicInputsArray,
+  );
+  const proofBundle = createProofBundle('ft-burn', prover, proofPoints, publicInputs, shieldTx);
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(shieldTx, account, 6500000)],
+      proof,
+      publicInputs,
+      newCommitments: [],
+      nullifiers: [nullifier],
+      proofBundle,
+    };
+
+  const txReceipt = await proofQueue.track(
+    job,
+    signingMethod
+      ? sendSignedTransaction(
+          await signingMethod(shieldTx.encodeABI(), fTokenShieldInstance._address),
+        )
+      : shieldTx.send({
+          from: account,
+          gas: 6500000,
+          gasPrice: config.GASPRICE,
+        }),
+  );
   utils.gasUsedStats(txReceipt, 'burn');
 
+  await wallet.markSpent(commitment, nullifier, txReceipt, 'burn');
+
   const newRoot = await fTokenShieldInstance.methods.latestRoot();
   logger.debug(`Merkle Root after burn: ${newRoot}`);
   logger.debug('BURN COMPLETE\n');
-  return { z_C: commitment, z_C_index: commitmentIndex, txReceipt };
+  return { z_C: commitment, z_C_index: commitmentIndex, txReceipt, proofBundle };
 }
 
 module.exports = {
@@ -764,6 +894,7 @@ module.exports = {
   unblacklist,
   decryptEventLog,
   consolidationTransfer,
+  send,
   setAdminPublicKeys,
   setRootPruningInterval,
 };
@@ -6,16 +6,28 @@
  * @module erc721.js
  * @author westlad, Chaitanya-Konda, iAmMichaelConnor
  */
-const zokrates = require('@eyblockchain/zokrates.js');
-const { strip0x, ensure0x, shaHash, hexToDec, leftPadHex } = require('zkp-utils');
+const { strip0x, ensure0x, shaHash, leftPadHex } = require('zkp-utils');
 const { GN } = require('general-number');
-const fs = require('fs');
 const config = require('./config');
 const merkleTree = require('./merkleTree');
+const wallet = require('./wallet');
+const { resolveZkpPrivateKey } = require('./keystore');
+const {
+  resolveProver,
+  getProofQueue,
+  checkProof,
+  flattenProof,
+  createProofBundle,
+} = require('./prover');
+const preflight = require('./preflight');
 const utils = require('./utils');
 const logger = require('./logger');
 const Element = require('./Element');
-const { getWeb3ContractInstance, sendSignedTransaction } = require('./contractUtils');
+const {
+  getWeb3ContractInstance,
+  sendSignedTransaction,
+  unsignedTransaction,
+} = require('./contractUtils');
 
 /**
  * Mint a commitment
@@ -26,36 +38,31 @@ const { getWeb3ContractInstance, sendSignedTransaction } = require('./contractUt
  * @param {String} blockchainOptions.nfTokenShieldAddress - Address of deployed nfTokenShieldContract
  * @param {String} blockchainOptions.erc721Address - Address of ERC721 contract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
- * @param {Object} zokratesOptions
- * @param {String} zokratesOptions.codePath - Location of compiled code (without the .code suffix)
- * @param {String} [zokratesOptions.outputDirectory=./] - Directory to output all generated files
- * @param {String} [zokratesOptions.witnessName=witness] - Name of witness file
- * @param {String} [zokratesOptions.pkPath] - Location of the proving key file
- * @param {Boolean} zokratesOptions.createProofJson - Whether or not to create a proof.json file
- * @param {String} [zokratesOptions.proofName=proof.json] - Name of generated proof JSON.
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the nft-mint proof (see prover/index.js). For backwards
+ * compatibility, this may instead be the zokratesOptions of a prover of type config.PROVER:
+ * @param {String} prover.codePath - Location of compiled code (without the .code suffix)
+ * @param {String} [prover.outputDirectory] - Directory in which each proof's temporary working
+ * directory is made (by default, the system's temporary directory)
+ * @param {String} [prover.witnessName=witness] - Name of witness file
+ * @param {String} [prover.pkPath] - Location of the proving key file
+ * @param {String} [prover.proofName=proof.json] - Name of generated proof JSON.
  * @returns {String} commitment
  * @returns {Number} commitmentIndex - the index of the token within the Merkle Tree.  This is required for later transfers/joins so that Alice knows which 'chunks' of the Merkle Tree she needs to 'get' from the NFTokenShield contract in order to calculate a path.
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function mint(
   tokenId,
   zkpPublicKey,
   salt,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
   const erc721Address = new GN(blockchainOptions.erc721Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'nft-mint');
 
   logger.debug('\nIN MINT...');
 
@@ -84,6 +91,13 @@ async function mint(
   const publicInputHash = shaHash(erc721Address.hex(32), tokenId, commitment);
   logger.debug('publicInputHash:', publicInputHash);
 
+  await preflight.checkMint(
+    nfTokenShieldInstance,
+    { commitment, erc721Address: erc721Address.hex(20), tokenId, account },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(nfTokenShieldInstance, prover, 'mint', blockchainOptions);
+
   const allInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
     new Element(erc721Address.hex(32), 'field', 248, 1),
@@ -93,21 +107,23 @@ async function mint(
     new Element(commitment, 'field'),
   ]);
 
-  await zokrates.computeWitness(codePath, outputDirectory, witnessName, allInputs);
-
-  await zokrates.generateProof(pkPath, codePath, `${outputDirectory}/witness`, provingScheme, {
-    createFile: createProofJson,
-    directory: outputDirectory,
-    fileName: proofName,
-  });
+  logger.debug('Computing proof...');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'mint',
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${proofName}`));
+  const publicInputs = utils.formatInputsForZkSnark([
+    new Element(publicInputHash, 'field', 248, 1),
+  ]);
 
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'mint');
 
   logger.debug('Getting ERC721 contract instance');
   // Getting the ERC721 contract instance.
@@ -117,23 +133,8 @@ async function mint(
     tokenId,
   );
 
-  if (signingMethod) {
-    await sendSignedTransaction(
-      await signingMethod(nfTokenInstanceTx.encodeABI(), nfTokenInstance._address),
-    );
-  } else {
-    await nfTokenInstanceTx.send({
-      from: account,
-      gas: 4000000,
-    });
-  }
-
   logger.debug('Minting within the Shield contract');
 
-  const publicInputs = utils.formatInputsForZkSnark([
-    new Element(publicInputHash, 'field', 248, 1),
-  ]);
-
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('public inputs:');
@@ -148,29 +149,79 @@ async function mint(
     commitment,
   );
 
-  let txReceipt;
+  const proofBundle = createProofBundle(
+    'nft-mint',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [
+        unsignedTransaction(nfTokenInstanceTx, account, 4000000),
+        unsignedTransaction(encodedRawTransaction, account, 6500000),
+      ],
+      proof,
+      publicInputs,
+      newCommitments: [commitment],
+      nullifiers: [],
+      proofBundle,
+    };
+
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), nfTokenShieldInstance._address),
+    await sendSignedTransaction(
+      await signingMethod(nfTokenInstanceTx.encodeABI(), nfTokenInstance._address),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
+    await nfTokenInstanceTx.send({
       from: account,
-      gas: 6500000,
-      gasPrice: config.GASPRICE,
+      gas: 4000000,
     });
   }
 
+  let txReceipt;
+  if (signingMethod) {
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(encodedRawTransaction.encodeABI(), nfTokenShieldInstance._address),
+      ),
+    );
+  } else {
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 6500000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
+  }
+
   const newLeafEvents = await nfTokenShieldInstance.getPastEvents('NewLeaf', {
     filter: { transactionHash: txReceipt.transactionHash },
   });
   logger.debug('root in solidity:', newLeafEvents[0].returnValues.root);
   const commitmentIndex = newLeafEvents[0].returnValues.leafIndex;
 
+  await wallet.addCommitment({
+    commitment,
+    value: tokenId,
+    salt,
+    tokenAddress: erc721Address.hex(20),
+    tokenType: 'ERC721',
+    ownerPublicKey: zkpPublicKey,
+    commitmentIndex,
+    transactionHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber,
+  });
+
   logger.debug('Mint output: [z_A, z_A_index]:', commitment, commitmentIndex.toString());
   logger.debug('MINT COMPLETE\n');
 
-  return { commitment, commitmentIndex };
+  return { commitment, commitmentIndex, proofBundle };
 }
 
 /**
@@ -179,41 +230,37 @@ async function mint(
  * @param {String} receiverZkpPublicKey
  * @param {String} originalCommitmentSalt
  * @param {String} newCommitmentSalt
- * @param {String} senderZkpPrivateKey
+ * @param {String | Object} senderZkpPrivateKey - or { keystore, password } to unlock it from a keystore
  * @param {String} commitment - Commitment of token being sent
  * @param {Integer} commitmentIndex - the position of commitment in the on-chain Merkle Tree
  * @param {Object} blockchainOptions
  * @param {String} blockchainOptions.erc721Address - Address of ERC721 contract
  * @param {String} blockchainOptions.nfTokenShieldAddress - Address of deployed nfTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the nft-transfer proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
  * @returns {String} outputCommitment - New commitment
  * @returns {Number} outputCommitmentIndex - the index of the token within the Merkle Tree.  This is required for later transfers/joins so that Alice knows which 'chunks' of the Merkle Tree she needs to 'get' from the NFTokenShield contract in order to calculate a path.
  * @returns {Object} txReceipt - a promise of a blockchain transaction
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function transfer(
   tokenId,
   receiverZkpPublicKey,
   originalCommitmentSalt,
   newCommitmentSalt,
-  senderZkpPrivateKey,
+  _senderZkpPrivateKey,
   commitment,
   commitmentIndex,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
+  const senderZkpPrivateKey = resolveZkpPrivateKey(_senderZkpPrivateKey);
   const erc721Address = new GN(blockchainOptions.erc721Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'nft-transfer');
 
   logger.debug('\nIN TRANSFER...');
 
@@ -242,8 +289,8 @@ async function transfer(
   );
 
   const root = siblingPath[0];
-  // TODO: checkRoot() is not essential. It's only useful for debugging as we make iterative improvements to nightfall's zokrates files. Possibly delete in future.
-  merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
+  if (config.VERIFY_SIBLING_PATHS)
+    merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
 
   const siblingPathElements = siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -273,6 +320,18 @@ async function transfer(
       ? new Element(root, 'field', 256, 1)
       : new Element(root, 'field', 128, 2);
 
+  await preflight.checkSpend(
+    nfTokenShieldInstance,
+    { nullifiers: [nullifier], root, newCommitments: [outputCommitment] },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(
+    nfTokenShieldInstance,
+    prover,
+    'transfer',
+    blockchainOptions,
+  );
+
   const allInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
     new Element(erc721Address.hex(32), 'field', 248, 1),
@@ -288,39 +347,27 @@ async function transfer(
     new Element(outputCommitment, 'field'),
   ]);
 
-  await zokrates.computeWitness(
-    codePath,
-    outputDirectory,
-    `${commitment}-${witnessName}`,
-    allInputs,
-  );
-
-  await zokrates.generateProof(
-    pkPath,
-    codePath,
-    `${outputDirectory}/${commitment}-witness`,
-    provingScheme,
-    {
-      createFile: createProofJson,
-      directory: outputDirectory,
-      fileName: `${commitment}-${proofName}`,
-    },
-  );
-
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${commitment}-${proofName}`));
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Transferring within the Shield contract');
+  logger.debug('Computing proof...');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'transfer',
+    name: commitment,
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'transfer');
+
+  logger.debug('Transferring within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -334,17 +381,45 @@ async function transfer(
     outputCommitment,
   );
 
+  const proofBundle = createProofBundle(
+    'nft-transfer',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(encodedRawTransaction, account, 6500000)],
+      proof,
+      publicInputs,
+      newCommitments: [outputCommitment],
+      nullifiers: [nullifier],
+      proofBundle,
+    };
+
   let txReceipt;
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), nfTokenShieldInstance._address, true),
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(
+          encodedRawTransaction.encodeABI(),
+          nfTokenShieldInstance._address,
+          true,
+        ),
+      ),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
-      from: account,
-      gas: 6500000,
-      gasPrice: config.GASPRICE,
-    });
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 6500000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
   }
 
   const newLeafEvents = await nfTokenShieldInstance.getPastEvents('NewLeaf', {
@@ -352,13 +427,19 @@ async function transfer(
   });
   const outputCommitmentIndex = newLeafEvents[0].returnValues.leafIndex;
 
-  if (fs.existsSync(`${outputDirectory}/${commitment}-${proofName}`))
-    fs.unlinkSync(`${outputDirectory}/${commitment}-${proofName}`);
-
-  if (fs.existsSync(`${outputDirectory}/${commitment}-witness`))
-    fs.unlinkSync(`${outputDirectory}/${commitment}-witness`);
-
-  logger.debug(`Deleted File ${outputDirectory}/${commitment}-${proofName}`);
+  await wallet.markSpent(commitment, nullifier, txReceipt);
+  await wallet.addCommitment({
+    commitment: outputCommitment,
+    value: tokenId,
+    salt: newCommitmentSalt,
+    tokenAddress: erc721Address.hex(20),
+    tokenType: 'ERC721',
+    ownerPublicKey: receiverZkpPublicKey,
+    senderPublicKey: shaHash(senderZkpPrivateKey),
+    commitmentIndex: outputCommitmentIndex,
+    transactionHash: txReceipt.transactionHash,
+    blockNumber: txReceipt.blockNumber,
+  });
 
   logger.debug('TRANSFER COMPLETE\n');
 
@@ -366,13 +447,14 @@ async function transfer(
     outputCommitment,
     outputCommitmentIndex,
     txReceipt,
+    proofBundle,
   };
 }
 
 /**
  * Burns a commitment and returns the token balance to blockchainOptions.tokenReceiver
  * @param {String} tokenId - ID of token
- * @param {String} receiverZkpPrivateKey
+ * @param {String | Object} receiverZkpPrivateKey - or { keystore, password } to unlock it from a keystore
  * @param {String} salt - salt of token
  * @param {String} commitment
  * @param {String} commitmentIndex
@@ -380,30 +462,26 @@ async function transfer(
  * @param {String} blockchainOptions.erc721Address - Address of ERC721 contract
  * @param {String} blockchainOptions.nfTokenShieldAddress - Address of deployed nfTokenShieldContract
  * @param {String} blockchainOptions.account - Account that is sending these transactions
+ * @param {Boolean} [blockchainOptions.dryRun] - compute the proof but send nothing, returning { transactions, proof, publicInputs, newCommitments, nullifiers, proofBundle } instead (transactions being unsigned)
+ * @param {Object} prover - computes the nft-burn proof (see prover/index.js), or the zokratesOptions to make one, or a circuit registry (see prover/circuits.js)
+ * @returns {Object} proofBundle - the proof and the Shield contract call made with it (see prover/bundle.js)
  */
 async function burn(
   tokenId,
-  receiverZkpPrivateKey,
+  _receiverZkpPrivateKey,
   salt,
   commitment,
   commitmentIndex,
   blockchainOptions,
-  zokratesOptions,
+  _prover,
   signingMethod = undefined,
 ) {
+  const receiverZkpPrivateKey = resolveZkpPrivateKey(_receiverZkpPrivateKey);
   const { tokenReceiver: payTo, nfTokenShieldAddress } = blockchainOptions;
   const erc721Address = new GN(blockchainOptions.erc721Address);
   const account = ensure0x(blockchainOptions.account);
 
-  const {
-    codePath,
-    outputDirectory,
-    witnessName = 'witness',
-    pkPath,
-    provingScheme = 'gm17',
-    createProofJson = true,
-    proofName = 'proof.json',
-  } = zokratesOptions;
+  const prover = resolveProver(_prover, 'nft-burn');
 
   const nfTokenShieldInstance = await getWeb3ContractInstance(
     'NFTokenShield',
@@ -427,7 +505,8 @@ async function burn(
   );
 
   const root = siblingPath[0];
-  merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
+  if (config.VERIFY_SIBLING_PATHS)
+    merkleTree.checkRoot(commitment, commitmentIndex, siblingPath, root);
 
   const siblingPathElements = siblingPath.map(
     nodeValue => new Element(nodeValue, 'field', config.NODE_HASHLENGTH * 8, 1),
@@ -460,6 +539,13 @@ async function burn(
       ? new Element(root, 'field', 256, 1)
       : new Element(root, 'field', 128, 2);
 
+  await preflight.checkSpend(
+    nfTokenShieldInstance,
+    { nullifiers: [nullifier], root },
+    blockchainOptions,
+  );
+  await preflight.checkVerificationKey(nfTokenShieldInstance, prover, 'burn', blockchainOptions);
+
   const allInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
     new Element(erc721Address.hex(32), 'field', 248, 1),
@@ -473,39 +559,27 @@ async function burn(
     rootElement,
   ]);
 
-  await zokrates.computeWitness(
-    codePath,
-    outputDirectory,
-    `${commitment}-${witnessName}`,
-    allInputs,
-  );
-
-  await zokrates.generateProof(
-    pkPath,
-    codePath,
-    `${outputDirectory}/${commitment}-witness`,
-    provingScheme,
-    {
-      createFile: createProofJson,
-      directory: outputDirectory,
-      fileName: `${commitment}-${proofName}`,
-    },
-  );
-
-  let { proof } = JSON.parse(fs.readFileSync(`${outputDirectory}/${commitment}-${proofName}`));
-
-  proof = Object.values(proof);
-  // convert to flattened array:
-  proof = utils.flattenDeep(proof);
-  // convert to decimal, as the solidity functions expect uints
-  proof = proof.map(el => hexToDec(el));
-
-  logger.debug('Burning within the Shield contract');
+  logger.debug('Computing proof...');
+  const proofQueue = getProofQueue(blockchainOptions);
+  const job = {
+    operation: 'burn',
+    name: commitment,
+    priority: blockchainOptions.proofPriority,
+    signal: blockchainOptions.signal,
+  };
+  const { proof: proofPoints } = await proofQueue.prove(prover, allInputs, job);
+  // flattened and converted to decimal, as the solidity functions expect uints:
+  const proof = flattenProof(proofPoints);
 
   const publicInputs = utils.formatInputsForZkSnark([
     new Element(publicInputHash, 'field', 248, 1),
   ]);
 
+  // catch a bad proof before it costs any gas:
+  checkProof(prover, proof, publicInputs, 'burn');
+
+  logger.debug('Burning within the Shield contract');
+
   logger.debug('proof:');
   logger.debug(proof);
   logger.debug('publicInputs:');
@@ -522,32 +596,50 @@ async function burn(
   );
 
   // Burns commitment and returns token to payTo
+  const proofBundle = createProofBundle(
+    'nft-burn',
+    prover,
+    proofPoints,
+    publicInputs,
+    encodedRawTransaction,
+  );
+
+  if (blockchainOptions.dryRun)
+    return {
+      transactions: [unsignedTransaction(encodedRawTransaction, account, 6500000)],
+      proof,
+      publicInputs,
+      newCommitments: [],
+      nullifiers: [nullifier],
+      proofBundle,
+    };
+
   let txReceipt;
   if (signingMethod) {
-    txReceipt = await sendSignedTransaction(
-      await signingMethod(encodedRawTransaction.encodeABI(), nfTokenShieldInstance._address),
+    txReceipt = await proofQueue.track(
+      job,
+      sendSignedTransaction(
+        await signingMethod(encodedRawTransaction.encodeABI(), nfTokenShieldInstance._address),
+      ),
     );
   } else {
-    txReceipt = await encodedRawTransaction.send({
-      from: account,
-      gas: 6500000,
-      gasPrice: config.GASPRICE,
-    });
+    txReceipt = await proofQueue.track(
+      job,
+      encodedRawTransaction.send({
+        from: account,
+        gas: 6500000,
+        gasPrice: config.GASPRICE,
+      }),
+    );
   }
 
   utils.gasUsedStats(txReceipt, 'burn');
 
-  if (fs.existsSync(`${outputDirectory}/${commitment}-${proofName}`))
-    fs.unlinkSync(`${outputDirectory}/${commitment}-${proofName}`);
-
-  if (fs.existsSync(`${outputDirectory}/${commitment}-witness`))
-    fs.unlinkSync(`${outputDirectory}/${commitment}-witness`);
-
-  logger.debug(`Deleted File ${outputDirectory}/${commitment}-${proofName} \n`);
+  await wallet.markSpent(commitment, nullifier, txReceipt, 'burn');
 
   logger.debug('BURN COMPLETE\n');
 
-  return { txReceipt };
+  return { txReceipt, proofBundle };
 }
 
 module.exports = {
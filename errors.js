@@ -0,0 +1,214 @@
+/**
+@module errors.js
+@desc Error classes for failures that callers may want to handle, rather than just report.
+Each carries the values that caused it as properties, as well as a message.
+*/
+/* eslint-disable max-classes-per-file */
+
+class NightliteError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+Thrown by the pre-flight checks (see preflight.js), before any proof is computed
+*/
+class PreflightError extends NightliteError {}
+
+class NullifierSpentError extends PreflightError {
+  constructor(nullifier) {
+    super(`The commitment with nullifier ${nullifier} has already been spent`, { nullifier });
+  }
+}
+
+class DuplicateNullifierError extends PreflightError {
+  constructor(nullifier) {
+    super(`The nullifier ${nullifier} appears more than once in the same transaction`, {
+      nullifier,
+    });
+  }
+}
+
+class UnknownRootError extends PreflightError {
+  constructor(root) {
+    super(`${root} has never been a root of the Shield contract's Merkle tree (or was pruned)`, {
+      root,
+    });
+  }
+}
+
+class CommitmentExistsError extends PreflightError {
+  constructor(commitment, commitmentIndex) {
+    super(`The commitment ${commitment} already exists, at leaf index ${commitmentIndex}`, {
+      commitment,
+      commitmentIndex,
+    });
+  }
+}
+
+class InsufficientBalanceError extends PreflightError {
+  constructor(account, balance, amount) {
+    super(`Account ${account} holds ${balance} tokens but ${amount} are needed`, {
+      account,
+      balance,
+      amount,
+    });
+  }
+}
+
+class InsufficientAllowanceError extends PreflightError {
+  constructor(account, spender, allowance, amount) {
+    super(
+      `Account ${account} allows ${spender} to take ${allowance} tokens but ${amount} are needed`,
+      {
+        account,
+        spender,
+        allowance,
+        amount,
+      },
+    );
+  }
+}
+
+class NotTokenOwnerError extends PreflightError {
+  constructor(account, tokenId, owner) {
+    super(`Account ${account} does not own token ${tokenId} (it belongs to ${owner})`, {
+      account,
+      tokenId,
+      owner,
+    });
+  }
+}
+
+/**
+Thrown when a prover's proving key was set up with a different vk from the one that the Shield
+contract holds for the transaction (see prover/manifest.js), so its proofs would be rejected
+*/
+class VerificationKeyMismatchError extends PreflightError {
+  constructor(vkDescription, shieldAddress, pkPath) {
+    super(
+      `The ${vkDescription} vk of the Shield contract at ${shieldAddress} is not the one that ${pkPath} was set up with`,
+      { vkDescription, shieldAddress, pkPath },
+    );
+  }
+}
+
+/**
+Thrown by the HTTP client (merkleTree/http-client.js) for a response with an error status.
+body is the parsed response body, if it was JSON, or else its text.
+*/
+class HttpError extends NightliteError {
+  constructor(method, url, status, body) {
+    super(`${method} ${url} failed with status ${status}`, { method, url, status, body });
+  }
+}
+
+class HttpClientError extends HttpError {} // 4xx
+
+class HttpServerError extends HttpError {} // 5xx
+
+class HttpTimeoutError extends NightliteError {
+  constructor(method, url, timeout) {
+    super(`${method} ${url} had no response after ${timeout}ms`, { method, url, timeout });
+  }
+}
+
+/**
+Thrown by poll() (merkleTree/utils.js) when it gives up, because of its maxDuration or maxAttempts
+*/
+class PollTimeoutError extends NightliteError {
+  constructor(attempts, elapsed) {
+    super(`Gave up polling after ${attempts} attempts and ${elapsed}ms`, { attempts, elapsed });
+  }
+}
+
+class PollAbortedError extends NightliteError {
+  constructor(attempts, reason) {
+    super(`Polling was aborted after ${attempts} attempts`, { attempts, reason });
+  }
+}
+
+/**
+Thrown by checkRoot() (merkleTree/verify.js) when a commitment's sibling path doesn't lead to the
+root.  level is the row of the tree at which the path went wrong (0 being the root), and expected
+and actual are the node values there, if known.
+*/
+class SiblingPathError extends NightliteError {
+  constructor(message, { commitment, commitmentIndex, level, expected, actual, nodes }) {
+    super(message, { commitment, commitmentIndex, level, expected, actual, nodes });
+  }
+}
+
+/**
+Thrown by public-key-tree.js when the public key tree root of a path is no longer one that the
+Shield contract accepts, because a blacklisting has deleted the contract's historic roots or newer
+roots have pushed it out of the contract's rootPruningInterval
+*/
+class PublicKeyRootPrunedError extends NightliteError {
+  constructor(root) {
+    super(
+      `The public key tree root ${root} has been pruned by the Shield contract (a key may have been blacklisted), so paths to it can't be used`,
+      { root },
+    );
+  }
+}
+
+/**
+Thrown by the proof queue (prover/queue.js) when a job's AbortSignal cancels it
+*/
+class ProofCancelledError extends NightliteError {
+  constructor(job, reason) {
+    super(`Proof job ${job.id} (${job.operation}) was cancelled`, { job, reason });
+  }
+}
+
+/**
+Thrown by the token functions when the proof they've computed doesn't verify against the vk their
+prover was given (see prover/verify.js), rather than sending it to be rejected on-chain
+*/
+class ProofVerificationError extends NightliteError {
+  constructor(operation, vkPath, inputs) {
+    super(`The ${operation} proof does not verify against ${vkPath}`, {
+      operation,
+      vkPath,
+      inputs,
+    });
+  }
+}
+
+/**
+Thrown by the circuit registry (see prover/circuits.js) when a circuit's files are missing, or were
+set up for another HASH_TYPE, COMPLIANCE or PROVING_SCHEME than the one in use
+*/
+class CircuitArtifactsError extends NightliteError {
+  constructor(circuit, directory, problem) {
+    super(`The ${circuit} circuit in ${directory} ${problem}`, { circuit, directory, problem });
+  }
+}
+
+module.exports = {
+  NightliteError,
+  PreflightError,
+  NullifierSpentError,
+  DuplicateNullifierError,
+  UnknownRootError,
+  CommitmentExistsError,
+  InsufficientBalanceError,
+  InsufficientAllowanceError,
+  NotTokenOwnerError,
+  VerificationKeyMismatchError,
+  HttpError,
+  HttpClientError,
+  HttpServerError,
+  HttpTimeoutError,
+  PollTimeoutError,
+  PollAbortedError,
+  SiblingPathError,
+  PublicKeyRootPrunedError,
+  ProofCancelledError,
+  ProofVerificationError,
+  CircuitArtifactsError,
+};
@@ -1,5 +1,6 @@
 const config = require('./config');
 const generateZokratesFiles = require('./setup/generateZokratesFiles');
+const { generateCircuits } = require('./setup/generateCircuits');
 const merkleTree = require('./merkleTree');
 const provider = require('./provider');
 const vks = require('./vks');
@@ -9,6 +10,11 @@ const erc721n = require('./erc721');
 const erc721rc = require('./erc721rc');
 const utils = require('./utils');
 const elgamal = require('./elgamal');
+const wallet = require('./wallet');
+const keystore = require('./keystore');
+const preflight = require('./preflight');
+const errors = require('./errors');
+const prover = require('./prover');
 
 provider.connect();
 
@@ -28,11 +34,17 @@ function overrideDefaultConfig(passedConfig) {
 
 module.exports = {
   generateZokratesFiles,
+  generateCircuits,
   merkleTree,
   vks,
   erc20,
   erc721,
   utils,
   elgamal,
+  wallet,
+  keystore,
+  preflight,
+  errors,
+  prover,
   overrideDefaultConfig,
 };
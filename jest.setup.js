@@ -0,0 +1,6 @@
+// the default jsdom environment of our jest lacks TextEncoder and TextDecoder, which Node has and
+// @noble/curves (see prover/verify.js) needs as soon as it's loaded
+const { TextEncoder, TextDecoder } = require('util');
+
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = TextDecoder;
@@ -0,0 +1,204 @@
+/**
+@module keystore.js
+@desc Password-encrypted storage for secret keys, modelled on Ethereum's V3 keystore files.
+A key is derived from the password with scrypt (or pbkdf2) and used to encrypt the secrets
+with AES-256-GCM, whose authentication tag tells us if the password was wrong.  A keystore
+holds either a zkp private key (type 'zkp') or the authority's El-Gamal private keys (type
+'authority'), and is stored as JSON:
+{
+  version: 1,
+  id: a random uuid,
+  type: 'zkp' | 'authority',
+  zkpPublicKey: for a 'zkp' keystore, the public key, so it can be identified without unlocking it,
+  crypto: {
+    cipher: 'aes-256-gcm',
+    cipherparams: { iv, tag },
+    ciphertext,
+    kdf: 'scrypt' | 'pbkdf2',
+    kdfparams: { dklen, salt, n, r, p } for scrypt, or { dklen, salt, c, prf: 'hmac-sha256' } for pbkdf2
+  }
+}
+Anywhere the token modules take a zkp private key, they'll also take { keystore, password },
+where keystore is a keystore object or the path of a keystore file.
+*/
+const crypto = require('crypto');
+const fs = require('fs');
+const { ensure0x, shaHash } = require('zkp-utils');
+
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const DEFAULT_KDF_PARAMS = {
+  scrypt: { dklen: 32, n: 262144, r: 8, p: 1 },
+  pbkdf2: { dklen: 32, c: 262144, prf: 'hmac-sha256' },
+};
+
+function deriveKey(password, kdf, kdfparams) {
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+  switch (kdf) {
+    case 'scrypt': {
+      const { dklen, n: N, r, p } = kdfparams;
+      return crypto.scryptSync(password, salt, dklen, { N, r, p, maxmem: 256 * N * r });
+    }
+    case 'pbkdf2':
+      if (kdfparams.prf !== 'hmac-sha256')
+        throw new Error(`Unsupported keystore pbkdf2 prf ${kdfparams.prf}`);
+      return crypto.pbkdf2Sync(password, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+    default:
+      throw new Error(`Unsupported keystore kdf ${kdf}`);
+  }
+}
+
+/**
+Encrypts secrets into a keystore
+@param {string} type - 'zkp' or 'authority'
+@param {object} secrets - the object to encrypt, which will be JSON encoded
+@param {string} password
+@param {object} [options]
+@param {string} [options.kdf] - 'scrypt' (the default) or 'pbkdf2'
+@param {object} [options.kdfparams] - overrides of the default kdf parameters (e.g. a smaller n for tests)
+@returns {object} the keystore
+*/
+function encrypt(type, secrets, password, { kdf = 'scrypt', kdfparams = {} } = {}) {
+  if (!DEFAULT_KDF_PARAMS[kdf]) throw new Error(`Unsupported keystore kdf ${kdf}`);
+  const params = {
+    ...DEFAULT_KDF_PARAMS[kdf],
+    ...kdfparams,
+    salt: crypto.randomBytes(32).toString('hex'),
+  };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(password, kdf, params), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), 'utf8'),
+    cipher.final(),
+  ]);
+  return {
+    version: VERSION,
+    id: crypto.randomUUID(),
+    type,
+    crypto: {
+      cipher: CIPHER,
+      cipherparams: { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf,
+      kdfparams: params,
+    },
+  };
+}
+
+/**
+@param {object | string} keystore - a keystore, or the path of a keystore file
+@returns {object} the keystore
+*/
+function loadKeystore(keystore) {
+  const loaded =
+    typeof keystore === 'string' ? JSON.parse(fs.readFileSync(keystore, 'utf8')) : keystore;
+  if (loaded.version !== VERSION) throw new Error(`Unsupported keystore version ${loaded.version}`);
+  if (loaded.crypto.cipher !== CIPHER)
+    throw new Error(`Unsupported keystore cipher ${loaded.crypto.cipher}`);
+  return loaded;
+}
+
+function saveKeystore(path, keystore) {
+  fs.writeFileSync(path, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+}
+
+/**
+Decrypts a keystore
+@param {object | string} _keystore - a keystore, or the path of a keystore file
+@param {string} password
+@param {string} [type] - if given, the type that the keystore must be
+@returns {object} the secrets
+*/
+function decrypt(_keystore, password, type) {
+  const keystore = loadKeystore(_keystore);
+  if (type !== undefined && keystore.type !== type)
+    throw new Error(`Expected a '${type}' keystore but found a '${keystore.type}' one`);
+  const { cipherparams, ciphertext, kdf, kdfparams } = keystore.crypto;
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(password, kdf, kdfparams),
+    Buffer.from(cipherparams.iv, 'hex'),
+  );
+  decipher.setAuthTag(Buffer.from(cipherparams.tag, 'hex'));
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (err) {
+    throw new Error('Could not decrypt the keystore: the password is wrong or the file is corrupt');
+  }
+  return JSON.parse(plaintext);
+}
+
+/**
+@param {string} zkpPrivateKey
+@param {string} password
+@param {object} [options] - see encrypt()
+@returns {object} a 'zkp' keystore
+*/
+function encryptZkpPrivateKey(zkpPrivateKey, password, options) {
+  return {
+    ...encrypt('zkp', { zkpPrivateKey }, password, options),
+    zkpPublicKey: shaHash(zkpPrivateKey),
+  };
+}
+
+/**
+@param {object | string} keystore - a 'zkp' keystore, or the path of one
+@param {string} password
+@returns {string} the zkp private key
+*/
+function decryptZkpPrivateKey(keystore, password) {
+  return decrypt(keystore, password, 'zkp').zkpPrivateKey;
+}
+
+/**
+@param {string[]} authorityPrivateKeys - the authority's El-Gamal private keys, as they would be
+passed to elgamal.setAuthorityPrivateKeys()
+@param {string} password
+@param {object} [options] - see encrypt()
+@returns {object} an 'authority' keystore
+*/
+function encryptAuthorityPrivateKeys(authorityPrivateKeys, password, options) {
+  return encrypt(
+    'authority',
+    { authorityPrivateKeys: authorityPrivateKeys.map(key => ensure0x(key)) }, // as setAuthorityPrivateKeys() does
+    password,
+    options,
+  );
+}
+
+/**
+@param {object | string} keystore - an 'authority' keystore, or the path of one
+@param {string} password
+@returns {string[]} the authority's El-Gamal private keys
+*/
+function decryptAuthorityPrivateKeys(keystore, password) {
+  return decrypt(keystore, password, 'authority').authorityPrivateKeys;
+}
+
+/**
+Lets functions take either a zkp private key or the means to unlock one
+@param {string | object} key - a zkp private key (hex), or { keystore, password }
+@returns {string} the zkp private key
+*/
+function resolveZkpPrivateKey(key) {
+  if (typeof key === 'string') return key;
+  if (key && key.keystore !== undefined && key.password !== undefined)
+    return decryptZkpPrivateKey(key.keystore, key.password);
+  throw new Error('A zkp private key must be a hex string or { keystore, password }');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  loadKeystore,
+  saveKeystore,
+  encryptZkpPrivateKey,
+  decryptZkpPrivateKey,
+  encryptAuthorityPrivateKeys,
+  decryptAuthorityPrivateKeys,
+  resolveZkpPrivateKey,
+};
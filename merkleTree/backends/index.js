@@ -0,0 +1,124 @@
+/**
+@module backends/index.js
+@desc Chooses where each Shield contract's Merkle tree comes from.  A backend is an object with
+these functions, all of which take the Shield contract's name ('FTokenShield' or 'NFTokenShield')
+first:
+
+  setShieldContract(contractName, shield) - tells the backend which contract to follow, where
+    shield is a web3 instance of the contract or its address.  getSiblingPath() calls this with
+    the instance it's given.  Backends that don't need it can ignore it.
+  start(contractName, [shield], [pollOptions]) - starts following the contract's NewLeaf and
+    NewLeaves events
+  getLatestLeaf(contractName) - resolves to { leafIndex, blockNumber } of the latest leaf known to
+    the backend, where blockNumber is at least the block of that leaf
+  getLeafByLeafIndex(contractName, leafIndex) - resolves to { value, leafIndex }
+  getSiblingPathByLeafIndex(contractName, leafIndex) - resolves to the nodes of the sibling path
+    as { value } objects, starting with the root (see MerkleTree.getSiblingPath())
+  waitForBlockNumber(contractName, blockNumber, [pollOptions]) - resolves once the backend knows
+    every leaf added up to and including blockNumber
+and may also have:
+  getSiblingPathsByLeafIndexes(contractName, leafIndexes) - resolves to { value, leafIndex,
+    siblingPath } for each leaf index, where siblingPath is an array of node values and all of the
+    paths lead to the same root.  Without it, getSiblingPathsByLeafIndexes() below asks for the
+    leaves and paths one at a time.  The local, memory and onchain backends have it; timber
+    doesn't, because the merkle-tree microservice has no endpoint for several paths.
+Functions that poll should pass pollOptions to poll() in ../utils.js, so that callers can limit
+how long they wait.
+
+The built-in backends are:
+  timber - the merkle-tree microservice
+  local - a tree kept in this process, and saved to MERKLE_TREE_DIR
+  memory - a tree that's given its leaves directly, for tests
+  onchain - reads every leaf from the Shield contract's events on each call
+
+config.MERKLE_TREE_BACKEND names the backend to use, and config.MERKLE_TREE_BACKENDS can name a
+different one for a particular contract, e.g. { NFTokenShield: 'onchain' }.  Either may name a
+backend added with registerBackend(), or be a backend object itself.
+*/
+const config = require('../../config');
+const timber = require('./timber');
+const local = require('./local');
+const memory = require('./memory');
+const onchain = require('./onchain');
+
+const INTERFACE = [
+  'setShieldContract',
+  'start',
+  'getLatestLeaf',
+  'getLeafByLeafIndex',
+  'getSiblingPathByLeafIndex',
+  'waitForBlockNumber',
+];
+
+const backends = { timber, local, memory, onchain };
+
+function checkBackend(backend, name) {
+  const missing = INTERFACE.filter(f => typeof backend[f] !== 'function');
+  if (missing.length > 0)
+    throw new Error(`The Merkle tree backend ${name} has no ${missing.join(', ')} function(s)`);
+  return backend;
+}
+
+/**
+Adds a backend, which config can then refer to by name
+@param {string} name
+@param {object} backend - implementing the functions described above
+*/
+function registerBackend(name, backend) {
+  backends[name] = checkBackend(backend, name);
+}
+
+/**
+@param {string} contractName
+@returns {object} the backend that config chooses for the contract
+*/
+function getBackend(contractName) {
+  const choice =
+    (config.MERKLE_TREE_BACKENDS && config.MERKLE_TREE_BACKENDS[contractName]) ||
+    config.MERKLE_TREE_BACKEND;
+  if (typeof choice === 'object') return checkBackend(choice, `for ${contractName}`);
+  if (!backends[choice]) throw new Error(`Unknown Merkle tree backend ${choice}`);
+  return backends[choice];
+}
+
+const SIBLING_PATH_ATTEMPTS = 3;
+
+/**
+Gets the sibling paths of several leaves, all leading to the same root
+@param {string} contractName
+@param {number[]} leafIndexes
+@returns {object[]} { value, leafIndex, siblingPath } for each leaf index
+*/
+async function getSiblingPathsByLeafIndexes(contractName, leafIndexes) {
+  const backend = getBackend(contractName);
+  if (typeof backend.getSiblingPathsByLeafIndexes === 'function')
+    return backend.getSiblingPathsByLeafIndexes(contractName, leafIndexes);
+
+  // one at a time, in which case the tree might grow between requests, so we try again until the
+  // roots agree:
+  const attempt = async attemptNumber => {
+    const leaves = await Promise.all(
+      leafIndexes.map(async leafIndex => {
+        const [leaf, siblingPath] = await Promise.all([
+          backend.getLeafByLeafIndex(contractName, leafIndex),
+          backend.getSiblingPathByLeafIndex(contractName, leafIndex),
+        ]);
+        return { value: leaf.value, leafIndex, siblingPath: siblingPath.map(node => node.value) };
+      }),
+    );
+    if (leaves.every(leaf => leaf.siblingPath[0] === leaves[0].siblingPath[0])) return leaves;
+    if (attemptNumber >= SIBLING_PATH_ATTEMPTS)
+      throw new Error(
+        `The sibling paths for ${contractName}'s leaves ${leafIndexes} kept changing root`,
+      );
+    return attempt(attemptNumber + 1);
+  };
+  return attempt(1);
+}
+
+module.exports = {
+  ...backends,
+  registerBackend,
+  getBackend,
+  getSiblingPathsByLeafIndexes,
+};
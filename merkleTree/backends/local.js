@@ -0,0 +1,210 @@
+/**
+@module local.js
+@desc A Merkle tree backend that keeps a copy of each Shield contract's Merkle tree in this
+process, so that we can get leaves and sibling paths without running the merkle-tree
+microservice.  The tree is built from the
+Shield contract's NewLeaf and NewLeaves events, and is brought up to date whenever it's asked for
+something.  After each update, the tree is saved to a JSON file in config.MERKLE_TREE_DIR, so a
+restart only has to read the events since the last update.
+*/
+const fs = require('fs');
+const path = require('path');
+const Web3 = require('../../provider');
+const config = require('../../config');
+const { MerkleTree } = require('../tree');
+const { waitForLeaves } = require('../leaf-events');
+const { readLeaves } = require('./onchain');
+const { getWeb3ContractInstance } = require('../../contractUtils');
+const logger = require('../../logger');
+
+const shields = new Map(); // contractName => { instance, tree, lastBlock, syncing }
+
+function filePath(contractName, address) {
+  return path.join(config.MERKLE_TREE_DIR, `${contractName}-${address.toLowerCase()}.json`);
+}
+
+/**
+Reads a tree saved by save(), unless it was built for a different hash type or tree height
+@returns {object | undefined} { tree, lastBlock }
+*/
+function load(contractName, address) {
+  const file = filePath(contractName, address);
+  if (!fs.existsSync(file)) return undefined;
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tree = new MerkleTree();
+  if (saved.hashType !== tree.hashType || saved.treeHeight !== tree.treeHeight) {
+    logger.warn(
+      `Ignoring the saved Merkle tree in ${file}, which was built for ${saved.hashType} hashing and height ${saved.treeHeight}`,
+    );
+    return undefined;
+  }
+  tree.insertLeaves(saved.leaves, 0);
+  return { tree, lastBlock: saved.lastBlock };
+}
+
+/**
+Writes to a temporary file first and then renames it, so that a crash part way through a write
+can't leave us with a truncated tree.
+*/
+function save(contractName, { instance, tree, lastBlock }) {
+  const file = filePath(contractName, instance.options.address);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(
+    tempFile,
+    JSON.stringify({
+      contractName,
+      address: instance.options.address,
+      hashType: tree.hashType,
+      treeHeight: tree.treeHeight,
+      lastBlock,
+      root: tree.root,
+      leaves: tree.leaves,
+    }),
+  );
+  fs.renameSync(tempFile, file);
+}
+
+/**
+Tells us which Shield contract's tree to keep.  getSiblingPath() in index.js does this for you,
+but you'll need to call it yourself before anything else that takes just a contract name.
+@param {string} contractName - 'FTokenShield' or 'NFTokenShield'
+@param {object | string} shield - a web3 instance of the Shield contract, or its address
+*/
+function setShieldContract(contractName, shield) {
+  const instance =
+    typeof shield === 'string' ? getWeb3ContractInstance(contractName, shield) : shield;
+  const existing = shields.get(contractName);
+  if (
+    existing &&
+    existing.instance.options.address.toLowerCase() === instance.options.address.toLowerCase()
+  )
+    return;
+  const { tree, lastBlock } = load(contractName, instance.options.address) || {
+    tree: new MerkleTree(),
+    lastBlock: -1,
+  };
+  shields.set(contractName, { instance, tree, lastBlock, syncing: Promise.resolve() });
+}
+
+function getShield(contractName) {
+  const shield = shields.get(contractName);
+  if (!shield)
+    throw new Error(
+      `No ${contractName} contract has been given to the local Merkle tree: call merkleTree.setShieldContract() first`,
+    );
+  return shield;
+}
+
+/**
+Reads the leaves added since the last update
+*/
+async function update(contractName) {
+  const shield = shields.get(contractName);
+  const toBlock = await Web3.connection().eth.getBlockNumber();
+  if (toBlock <= shield.lastBlock) return;
+  const fromBlock = shield.lastBlock + 1;
+  logger.debug(`\nReading ${contractName}'s leaves from blocks ${fromBlock} to ${toBlock}`);
+  const { tree } = shield;
+  const { leafCount } = tree;
+  try {
+    await readLeaves(shield.instance, tree, fromBlock, toBlock);
+  } catch (err) {
+    // put the tree back as it was, so that we can try again from the same block:
+    shield.tree = new MerkleTree({ leaves: tree.leaves.slice(0, leafCount) });
+    throw err;
+  }
+  shield.lastBlock = toBlock;
+  save(contractName, shield);
+}
+
+/**
+Brings the tree of a Shield contract up to date with the blockchain
+@param {string} contractName
+@returns {object} the MerkleTree
+*/
+async function sync(contractName) {
+  const shield = getShield(contractName);
+  // updates are queued, so that two of them can't insert the same leaves:
+  shield.syncing = shield.syncing.catch(() => {}).then(() => update(contractName));
+  await shield.syncing;
+  return shield.tree;
+}
+
+/**
+Loads the saved tree, if there is one, and brings it up to date.  Without a Shield contract, this
+does nothing unless setShieldContract() has been called.
+*/
+async function start(contractName, shield) {
+  if (shield !== undefined) setShieldContract(contractName, shield);
+  if (shields.has(contractName)) await sync(contractName);
+}
+
+/**
+@returns {object} { leafIndex, blockNumber }, where blockNumber is the last block that we've read
+(whether or not it added any leaves)
+*/
+async function getLatestLeaf(contractName) {
+  const tree = await sync(contractName);
+  return { leafIndex: tree.leafCount - 1, blockNumber: shields.get(contractName).lastBlock };
+}
+
+/**
+Wait until the tree holds the leaves of a particular block
+*/
+async function waitForBlockNumber(contractName, blockNumber, pollOptions = {}) {
+  // we sync again whenever the Shield contract adds leaves (checks must return false if they're
+  // unsuccessful):
+  await waitForLeaves(
+    getShield(contractName).instance,
+    async () => {
+      try {
+        return (await getLatestLeaf(contractName)).blockNumber >= blockNumber;
+      } catch (err) {
+        logger.debug(`\nGot an error "${err}" while syncing the Merkle tree - we'll try again...`);
+        return false;
+      }
+    },
+    pollOptions,
+  );
+}
+
+/**
+@returns {object} { value, leafIndex }
+*/
+async function getLeafByLeafIndex(contractName, leafIndex) {
+  let { tree } = getShield(contractName);
+  if (leafIndex >= tree.leafCount) tree = await sync(contractName);
+  const value = tree.getLeaf(leafIndex);
+  if (value === undefined)
+    throw new Error(`${contractName}'s Merkle tree has no leaf at leaf index ${leafIndex}`);
+  return { value, leafIndex };
+}
+
+/**
+@returns {object[]} the nodes of the sibling path, as { value } objects, from the root down to
+the sibling of the leaf (see MerkleTree.getSiblingPath())
+*/
+async function getSiblingPathByLeafIndex(contractName, leafIndex) {
+  const tree = await sync(contractName);
+  return tree.getSiblingPath(leafIndex).map(value => ({ value }));
+}
+
+/**
+@returns {object[]} { value, leafIndex, siblingPath } for each leaf index, from the same tree
+*/
+async function getSiblingPathsByLeafIndexes(contractName, leafIndexes) {
+  const tree = await sync(contractName);
+  return tree.getSiblingPaths(leafIndexes);
+}
+
+module.exports = {
+  setShieldContract,
+  sync,
+  start,
+  getLatestLeaf,
+  waitForBlockNumber,
+  getLeafByLeafIndex,
+  getSiblingPathByLeafIndex,
+  getSiblingPathsByLeafIndexes,
+};
@@ -0,0 +1,86 @@
+/**
+@module memory.js
+@desc A Merkle tree backend for tests, which never touches the blockchain: leaves are given to it
+with insertLeaves(), rather than read from a Shield contract's events.  Together with a stubbed
+Shield contract, this lets the token modules run against a tree whose contents the test controls.
+*/
+const { MerkleTree } = require('../tree');
+const utilsPoll = require('../utils');
+
+const trees = new Map(); // contractName => { tree, blockNumber }
+
+function getEntry(contractName) {
+  if (!trees.has(contractName)) trees.set(contractName, { tree: new MerkleTree(), blockNumber: 0 });
+  return trees.get(contractName);
+}
+
+/**
+Adds leaves to a contract's tree, as if a NewLeaves event had been emitted
+@param {string} contractName
+@param {string[]} leafValues
+@param {number} [blockNumber] - the block the leaves were added in (by default, the next one)
+@returns {string} the new root
+*/
+function insertLeaves(contractName, leafValues, blockNumber) {
+  const entry = getEntry(contractName);
+  entry.tree.insertLeaves(leafValues);
+  entry.blockNumber = blockNumber === undefined ? entry.blockNumber + 1 : blockNumber;
+  return entry.tree.root;
+}
+
+/**
+Empties the trees of one contract, or of all of them
+@param {string} [contractName]
+*/
+function reset(contractName) {
+  if (contractName === undefined) trees.clear();
+  else trees.delete(contractName);
+}
+
+// there's no Shield contract to follow:
+function setShieldContract() {}
+
+async function start(contractName) {
+  getEntry(contractName);
+}
+
+async function getLatestLeaf(contractName) {
+  const { tree, blockNumber } = getEntry(contractName);
+  return { leafIndex: tree.leafCount - 1, blockNumber };
+}
+
+/**
+Waits until insertLeaves() has been called with a block at least as late as blockNumber
+*/
+async function waitForBlockNumber(contractName, blockNumber, pollOptions = {}) {
+  await utilsPoll.poll(async () => getEntry(contractName).blockNumber >= blockNumber, pollOptions);
+}
+
+async function getLeafByLeafIndex(contractName, leafIndex) {
+  const value = getEntry(contractName).tree.getLeaf(leafIndex);
+  if (value === undefined)
+    throw new Error(`${contractName}'s Merkle tree has no leaf at leaf index ${leafIndex}`);
+  return { value, leafIndex };
+}
+
+async function getSiblingPathByLeafIndex(contractName, leafIndex) {
+  return getEntry(contractName)
+    .tree.getSiblingPath(leafIndex)
+    .map(value => ({ value }));
+}
+
+async function getSiblingPathsByLeafIndexes(contractName, leafIndexes) {
+  return getEntry(contractName).tree.getSiblingPaths(leafIndexes);
+}
+
+module.exports = {
+  insertLeaves,
+  reset,
+  setShieldContract,
+  start,
+  getLatestLeaf,
+  waitForBlockNumber,
+  getLeafByLeafIndex,
+  getSiblingPathByLeafIndex,
+  getSiblingPathsByLeafIndexes,
+};
@@ -0,0 +1,134 @@
+/**
+@module onchain.js
+@desc A Merkle tree backend that keeps no state: every call rebuilds the tree from all of the
+Shield contract's NewLeaf and NewLeaves events.  That's slow for a busy contract, but it needs
+nothing but a blockchain node, so it makes a good fallback when neither the merkle-tree
+microservice nor a writeable directory for the local backend is available.
+*/
+const Web3 = require('../../provider');
+const { MerkleTree } = require('../tree');
+const utilsPoll = require('../utils');
+const { getWeb3ContractInstance } = require('../../contractUtils');
+const logger = require('../../logger');
+
+const instances = new Map(); // contractName => web3 instance of the Shield contract
+
+/**
+Inserts the leaves of a Shield contract's NewLeaf and NewLeaves events into a tree, checking that
+we arrive at the same root as the Shield contract did after each event.  If we don't, we've
+probably got the wrong HASH_TYPE.  The local backend uses this too.
+@param {object} instance - a web3 instance of the Shield contract
+@param {object} tree - the MerkleTree, which must hold all of the leaves before fromBlock
+@param {number} fromBlock
+@param {number} toBlock
+*/
+async function readLeaves(instance, tree, fromBlock, toBlock) {
+  const [newLeafEvents, newLeavesEvents] = await Promise.all([
+    instance.getPastEvents('NewLeaf', { fromBlock, toBlock }),
+    instance.getPastEvents('NewLeaves', { fromBlock, toBlock }),
+  ]);
+  const events = [
+    ...newLeafEvents.map(({ returnValues }) => ({
+      minLeafIndex: Number(returnValues.leafIndex),
+      leafValues: [returnValues.leafValue],
+      root: returnValues.root,
+    })),
+    ...newLeavesEvents.map(({ returnValues }) => ({
+      minLeafIndex: Number(returnValues.minLeafIndex),
+      leafValues: returnValues.leafValues,
+      root: returnValues.root,
+    })),
+  ].sort((a, b) => a.minLeafIndex - b.minLeafIndex);
+
+  events.forEach(({ minLeafIndex, leafValues, root }) => {
+    tree.insertLeaves(leafValues, minLeafIndex);
+    if (tree.root !== root.toLowerCase())
+      throw new Error(
+        `After leaf ${tree.leafCount - 1}, the Merkle tree's root (${
+          tree.root
+        }) differs from the Shield contract's (${root}).  Is HASH_TYPE the same as the contract's?`,
+      );
+  });
+}
+
+function setShieldContract(contractName, shield) {
+  instances.set(
+    contractName,
+    typeof shield === 'string' ? getWeb3ContractInstance(contractName, shield) : shield,
+  );
+}
+
+function getInstance(contractName) {
+  const instance = instances.get(contractName);
+  if (!instance)
+    throw new Error(
+      `No ${contractName} contract has been given to the Merkle tree: call merkleTree.setShieldContract() first`,
+    );
+  return instance;
+}
+
+/**
+@returns {object} { tree, blockNumber } - the tree as of blockNumber, the latest block
+*/
+async function buildTree(contractName) {
+  const instance = getInstance(contractName);
+  const blockNumber = await Web3.connection().eth.getBlockNumber();
+  logger.debug(`\nReading all of ${contractName}'s leaves, up to block ${blockNumber}`);
+  const tree = new MerkleTree();
+  await readLeaves(instance, tree, 0, blockNumber);
+  return { tree, blockNumber };
+}
+
+async function start(contractName, shield) {
+  if (shield !== undefined) setShieldContract(contractName, shield);
+}
+
+async function getLatestLeaf(contractName) {
+  const { tree, blockNumber } = await buildTree(contractName);
+  return { leafIndex: tree.leafCount - 1, blockNumber };
+}
+
+/**
+Every call reads up to the latest block, so we only have to wait for the blockchain node
+*/
+async function waitForBlockNumber(contractName, blockNumber, pollOptions = {}) {
+  getInstance(contractName);
+  // polling functions must return false if they're unsuccessful:
+  await utilsPoll.poll(async () => {
+    try {
+      return (await Web3.connection().eth.getBlockNumber()) >= blockNumber;
+    } catch (err) {
+      logger.debug(`\nGot an error "${err}" from the blockchain node - we'll try again...`);
+      return false;
+    }
+  }, pollOptions);
+}
+
+async function getLeafByLeafIndex(contractName, leafIndex) {
+  const { tree } = await buildTree(contractName);
+  const value = tree.getLeaf(leafIndex);
+  if (value === undefined)
+    throw new Error(`${contractName}'s Merkle tree has no leaf at leaf index ${leafIndex}`);
+  return { value, leafIndex };
+}
+
+async function getSiblingPathByLeafIndex(contractName, leafIndex) {
+  const { tree } = await buildTree(contractName);
+  return tree.getSiblingPath(leafIndex).map(value => ({ value }));
+}
+
+async function getSiblingPathsByLeafIndexes(contractName, leafIndexes) {
+  const { tree } = await buildTree(contractName);
+  return tree.getSiblingPaths(leafIndexes);
+}
+
+module.exports = {
+  readLeaves,
+  setShieldContract,
+  start,
+  getLatestLeaf,
+  waitForBlockNumber,
+  getLeafByLeafIndex,
+  getSiblingPathByLeafIndex,
+  getSiblingPathsByLeafIndexes,
+};
@@ -0,0 +1,191 @@
+/**
+@module timber.js
+@desc A Merkle tree backend that asks the merkle-tree microservice (Timber) for leaves and sibling
+paths.  The microservice filters the Shield contracts' events into its own database.
+It's found at config.MERKLE_TREE_URL, or at config.MERKLE_TREE_URLS[contractName] if a contract
+has its own.  Any config.MERKLE_TREE_HEADERS are sent with each request, along with
+config.MERKLE_TREE_AUTH_TOKEN as a bearer token, if there is one.
+*/
+const config = require('../../config');
+const utilsPoll = require('../utils');
+const httpClient = require('../http-client');
+const { waitForLeaves } = require('../leaf-events');
+const { getWeb3ContractInstance } = require('../../contractUtils');
+const logger = require('../../logger');
+
+const instances = new Map(); // contractName => web3 instance of the Shield contract, if we have one
+
+/**
+Calls one of the microservice's endpoints
+@param {string} contractName - which the microservice expects in a contractname header
+@param {string} method
+@param {string} path - e.g. '/start'
+@returns {object} the data in the response
+*/
+async function callMerkleTree(contractName, method, path) {
+  const url = `${config.MERKLE_TREE_URLS[contractName] || config.MERKLE_TREE_URL}${path}`;
+  const headers = { contractname: contractName, ...config.MERKLE_TREE_HEADERS };
+  if (config.MERKLE_TREE_AUTH_TOKEN)
+    headers.authorization = `Bearer ${config.MERKLE_TREE_AUTH_TOKEN}`;
+  const body = await httpClient.request(url, {
+    method,
+    headers,
+    timeout: config.MERKLE_TREE_TIMEOUT,
+    retries: config.MERKLE_TREE_RETRIES,
+    retryDelay: config.MERKLE_TREE_RETRY_DELAY,
+    tls: config.MERKLE_TREE_TLS,
+  });
+  if (!body || body.data === undefined)
+    throw new Error(
+      `The response to ${method} ${url} from the merkle-tree microservice has no data`,
+    );
+  return body.data;
+}
+
+/**
+The microservice learns the Shield contracts' addresses from its own config, but we listen to
+their events to know when to ask it for news
+*/
+function setShieldContract(contractName, shield) {
+  instances.set(
+    contractName,
+    typeof shield === 'string' ? getWeb3ContractInstance(contractName, shield) : shield,
+  );
+}
+
+/**
+Start the event filter in the merkle-tree microservice, for the given contract
+*/
+async function postStart(contractName) {
+  logger.debug(`\nCalling /start(${contractName})`);
+  return callMerkleTree(contractName, 'POST', '/start');
+}
+
+/**
+Posts a starts merkle-tree microservice's filter
+@returns {false | object} Polling functions MUST return FALSE if the poll is unsuccessful. Otherwise we return the response from the merkle-tree microservice
+*/
+const startEventFilterPollingFunction = async args => {
+  try {
+    const { contractName } = args;
+
+    const response = await postStart(contractName);
+
+    return response;
+  } catch (err) {
+    if (!httpClient.isRetryable(err)) throw err; // e.g. a 401, which polling won't fix
+    logger.debug(
+      `Got a polling error "${err}", but that might be because the external server missed our call - we'll poll again...`,
+    );
+    return false;
+  }
+};
+
+/**
+Get the latestLeaf object from the tree's metadata db.
+@param {string} contractName
+*/
+async function getLatestLeafMetadata(contractName) {
+  logger.debug(`\nCalling getLatestLeaf(${contractName})`);
+  return callMerkleTree(contractName, 'GET', '/metadata/latestLeaf');
+}
+
+/**
+Posts a starts merkle-tree microservice's filter
+@returns {false | object} Polling functions MUST return FALSE if the poll is unsuccessful. Otherwise we return the response from the merkle-tree microservice
+*/
+const getLatestLeafPollingFunction = async args => {
+  try {
+    const { contractName, blockNumber } = args;
+    let latestFilteredBlockNumber = 0;
+
+    const { latestLeaf } = await getLatestLeafMetadata(contractName);
+
+    latestFilteredBlockNumber = latestLeaf.blockNumber;
+
+    if (latestFilteredBlockNumber < blockNumber) {
+      logger.debug(
+        `\nblockNumber ${blockNumber} has not yet been filtered into the merkle-tree's db`,
+      );
+      return false; // i.e. poll again until we know the required blockNumber has been filtered.
+    }
+
+    logger.debug(`\nThe merkle-tree microservice's filter has reached block ${blockNumber}`);
+    return true;
+  } catch (err) {
+    if (!httpClient.isRetryable(err)) throw err;
+    logger.debug(
+      `\nGot a polling error "${err}", but that might be because the external server missed our call - we'll poll again...`,
+    );
+    return false;
+  }
+};
+
+/**
+Start polling for the latestLeaf object, until we see that a particular blockNumber has been filtered.
+@param {string} contractName
+@param {number} blockNumber
+@param {object} [pollOptions] - see poll() in ../utils.js
+*/
+async function waitForBlockNumber(contractName, blockNumber, pollOptions = {}) {
+  // we ask the merkle-tree microservice again whenever the Shield contract adds leaves (or poll it,
+  // if we can't subscribe to events), because it might not have filtered the blockNumber we want yet:
+  await waitForLeaves(
+    instances.get(contractName),
+    () => getLatestLeafPollingFunction({ contractName, blockNumber }),
+    pollOptions,
+  );
+}
+
+/**
+Get the leaf object for the given leafIndex.
+@param {string} contractName
+@param {integer} leafIndex
+*/
+async function getLeafByLeafIndex(contractName, leafIndex) {
+  return callMerkleTree(contractName, 'GET', `/leaf/index/${leafIndex}`);
+}
+
+/**
+Get the nodes on the sibling path from the given leafIndex to the root.  The microservice gives
+one path per request, so there's no getSiblingPathsByLeafIndexes() here (see ./index.js).
+@param {string} contractName
+@param {integer} leafIndex
+*/
+async function getSiblingPathByLeafIndex(contractName, leafIndex) {
+  return callMerkleTree(contractName, 'GET', `/siblingPath/${leafIndex}`);
+}
+
+/**
+Starts the merkle-tree microservice's filter for a contract.  The merkle-tree's config file states
+which events to filter for each contract.
+@param {string} contractName
+@param {object} [shield] - the Shield contract, whose events waitForBlockNumber() listens for
+@param {object} [pollOptions] - see poll() in ../utils.js
+*/
+async function start(contractName, shield, pollOptions = {}) {
+  if (shield !== undefined) setShieldContract(contractName, shield);
+  const response = await utilsPoll.poll(startEventFilterPollingFunction, pollOptions, {
+    contractName,
+  });
+  logger.debug(`\nResponse from merkle-tree microservice for ${contractName}:`);
+  logger.debug(response);
+  return response;
+}
+
+/**
+@returns {object} { leafIndex, blockNumber } of the latest leaf that the microservice has filtered
+*/
+async function getLatestLeaf(contractName) {
+  const { latestLeaf } = await getLatestLeafMetadata(contractName);
+  return latestLeaf;
+}
+
+module.exports = {
+  setShieldContract,
+  start,
+  getLatestLeaf,
+  waitForBlockNumber,
+  getLeafByLeafIndex,
+  getSiblingPathByLeafIndex,
+};
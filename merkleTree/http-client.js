@@ -0,0 +1,111 @@
+/**
+@module http-client.js
+@desc A small JSON-over-HTTP(S) client for talking to the merkle-tree microservice.  Each call has
+a time limit, and calls that fail in a way that might not happen again (no connection, a timeout,
+a 5xx or a 429 response) are retried a limited number of times, waiting twice as long before each
+retry as before the last.  Responses with an error status are thrown as the HttpErrors in
+errors.js.
+*/
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const logger = require('../logger');
+const { HttpClientError, HttpServerError, HttpTimeoutError } = require('../errors');
+
+const DEFAULTS = { method: 'GET', headers: {}, timeout: 30000, retries: 3, retryDelay: 500 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+Makes a single request
+@returns {object} { status, body }, where body has been parsed if it was JSON
+*/
+function send(url, { method, headers, body, timeout, tls }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(
+      target,
+      { method, headers, ...(target.protocol === 'https:' ? tls : {}) },
+      res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            body: parse(Buffer.concat(chunks).toString('utf8')),
+          }),
+        );
+      },
+    );
+    const timer = setTimeout(
+      () => req.destroy(new HttpTimeoutError(method, url, timeout)),
+      timeout,
+    );
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+/**
+@returns {boolean} whether trying again might succeed
+*/
+function isRetryable(err) {
+  if (err instanceof HttpClientError) return err.status === 429; // too many requests
+  return true; // a server error, a timeout, or a failure to connect
+}
+
+/**
+Makes a request, retrying it if that might help
+@param {string} url - http:// or https://
+@param {object} [options]
+@param {string} [options.method] - 'GET' by default
+@param {object} [options.headers]
+@param {object} [options.body] - which will be sent as JSON
+@param {number} [options.timeout] - the time limit for each attempt, in milliseconds
+@param {number} [options.retries] - the number of times to retry, after the first attempt
+@param {number} [options.retryDelay] - the wait before the first retry, in milliseconds
+@param {object} [options.tls] - options for https.request(), such as ca, cert and key
+@returns {Promise<object | string>} the response body, parsed if it was JSON
+*/
+async function request(url, options = {}) {
+  const { method, headers, body, timeout, retries, retryDelay, tls } = { ...DEFAULTS, ...options };
+  const sendOptions = {
+    method,
+    headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    timeout,
+    tls,
+  };
+
+  const attempt = async attemptNumber => {
+    try {
+      const response = await send(url, sendOptions);
+      if (response.status >= 500)
+        throw new HttpServerError(method, url, response.status, response.body);
+      if (response.status >= 400)
+        throw new HttpClientError(method, url, response.status, response.body);
+      return response.body;
+    } catch (err) {
+      if (attemptNumber >= retries || !isRetryable(err)) throw err;
+      const delay = retryDelay * 2 ** attemptNumber;
+      logger.debug(`${method} ${url} failed ("${err.message}"), retrying in ${delay}ms...`);
+      await sleep(delay);
+      return attempt(attemptNumber + 1);
+    }
+  };
+  return attempt(0);
+}
+
+module.exports = { request, isRetryable };
@@ -1,119 +1,47 @@
-const request = require('request');
-const { strip0x } = require('zkp-utils');
+const { strip0x, shaHash, mimcHash } = require('zkp-utils');
 const config = require('../config');
-const utilsPoll = require('./utils');
-const utils = require('../utils');
+const backends = require('./backends');
+const { MerkleTree } = require('./tree');
+const { verifySiblingPath, checkRoot } = require('./verify');
 const logger = require('../logger');
 
-const url = `${process.env.MERKLE_TREE_HOST}:${process.env.MERKLE_TREE_PORT}`;
-
 /**
-Start the event filter in the merkle-tree microservice, for the given contract
+Tells the backend of a Shield contract which contract to follow (see backends/index.js).
+getSiblingPath() does this for you.
+@param {string} contractName
+@param {object | string} shield - a web3 instance of the Shield contract, or its address
 */
-async function start(contractName) {
-  logger.debug(`\nCalling /start(${contractName})`);
-  return new Promise((resolve, reject) => {
-    const options = {
-      url: `${url}/start`,
-      method: 'POST',
-      json: true,
-      headers: { contractname: contractName },
-      // body:, // no body
-    };
-    request(options, (err, res, body) => {
-      if (err) reject(err);
-      else resolve(body.data);
-    });
-  });
+function setShieldContract(contractName, shield) {
+  backends.getBackend(contractName).setShieldContract(contractName, shield);
 }
 
-/**
-Posts a starts merkle-tree microservice's filter
-@returns {false | object} Polling functions MUST return FALSE if the poll is unsuccessful. Otherwise we return the response from the merkle-tree microservice
-*/
-const startEventFilterPollingFunction = async args => {
-  try {
-    const { contractName } = args;
-
-    const response = await start(contractName);
-
-    return response;
-  } catch (err) {
-    logger.debug(
-      `Got a polling error "${err}", but that might be because the external server missed our call - we'll poll again...`,
-    );
-    return false;
-  }
-};
+// the polling options for waiting on a backend, unless we're given others
+const defaultPollOptions = () => ({
+  interval: config.POLLING_FREQUENCY,
+  maxDuration: config.POLLING_MAX_DURATION,
+});
 
 /**
-Get the latestLeaf object from the tree's metadata db.
+Start polling for the latestLeaf object, until we see that a particular blockNumber has been filtered.
 @param {string} contractName
+@param {number} blockNumber
+@param {object} [pollOptions] - { interval, maxDuration, maxAttempts, signal, backoff, maxInterval }
+(see poll() in utils.js).  By default, this gives up after config.POLLING_MAX_DURATION.
 */
-async function getLatestLeaf(contractName) {
-  logger.debug(`\nCalling getLatestLeaf(${contractName})`);
-  return new Promise((resolve, reject) => {
-    const options = {
-      url: `${url}/metadata/latestLeaf`,
-      method: 'GET',
-      json: true,
-      headers: { contractname: contractName },
-      // body:, // no body; uses url param
-    };
-    request(options, (err, res, body) => {
-      if (err) reject(err);
-      else resolve(body.data);
-    });
-  });
+async function waitForBlockNumber(contractName, blockNumber, pollOptions = {}) {
+  logger.debug(`\nCalling waitForBlockNumber(${contractName}, ${blockNumber})`);
+  await backends
+    .getBackend(contractName)
+    .waitForBlockNumber(contractName, blockNumber, { ...defaultPollOptions(), ...pollOptions });
 }
 
 /**
-Posts a starts merkle-tree microservice's filter
-@returns {false | object} Polling functions MUST return FALSE if the poll is unsuccessful. Otherwise we return the response from the merkle-tree microservice
-*/
-const getLatestLeafPollingFunction = async args => {
-  try {
-    const { contractName, blockNumber } = args;
-    let latestFilteredBlockNumber = 0;
-
-    const { latestLeaf } = await getLatestLeaf(contractName);
-
-    latestFilteredBlockNumber = latestLeaf.blockNumber;
-
-    if (latestFilteredBlockNumber < blockNumber) {
-      logger.debug(
-        `\nblockNumber ${blockNumber} has not yet been filtered into the merkle-tree's db`,
-      );
-      return false; // i.e. poll again until we know the required blockNumber has been filtered.
-    }
-
-    logger.debug(`\nThe merkle-tree microservice's filter has reached block ${blockNumber}`);
-    return true;
-  } catch (err) {
-    logger.debug(
-      `\nGot a polling error "${err}", but that might be because the external server missed our call - we'll poll again...`,
-    );
-    return false;
-  }
-};
-
-/**
-Start polling for the latestLeaf object, until we see that a particular blockNumber has been filterex.
+Get the latest leaf object ({ leafIndex, blockNumber }) of a contract's tree
 @param {string} contractName
 */
-async function waitForBlockNumber(contractName, blockNumber) {
-  logger.debug(`\nCalling waitForBlockNumber(${contractName}, ${blockNumber})`);
-  try {
-    // we poll the merkle-tree microservice, because it might not have filtered the blockNumber we want yet:
-    // eslint-disable-next-line no-await-in-loop
-    await utilsPoll.poll(getLatestLeafPollingFunction, config.POLLING_FREQUENCY, {
-      contractName,
-      blockNumber,
-    }); // eslint-disable-line no-await-in-loop
-    return;
-  } catch (err) {
-    throw new Error(`Could not get the latestLeaf from the merkle-tree microservice`);
-  }
+async function getLatestLeaf(contractName) {
+  logger.debug(`\nCalling getLatestLeaf(${contractName})`);
+  return backends.getBackend(contractName).getLatestLeaf(contractName);
 }
 
 /**
@@ -123,19 +51,7 @@ Get the leaf object for the given leafIndex.
 */
 async function getLeafByLeafIndex(contractName, leafIndex) {
   logger.debug(`\nCalling getLeafByLeafIndex(${contractName}, ${leafIndex})`);
-  return new Promise((resolve, reject) => {
-    const options = {
-      url: `${url}/leaf/index/${leafIndex}`,
-      method: 'GET',
-      json: true,
-      headers: { contractname: contractName },
-      // body:, // no body; uses url param
-    };
-    request(options, (err, res, body) => {
-      if (err) reject(err);
-      else resolve(body.data);
-    });
-  });
+  return backends.getBackend(contractName).getLeafByLeafIndex(contractName, leafIndex);
 }
 
 /**
@@ -145,49 +61,28 @@ Get the nodes on the sibling path from the given leafIndex to the root.
 */
 async function getSiblingPathByLeafIndex(contractName, leafIndex) {
   logger.debug(`\nCalling getSiblingPathByLeafIndex(${contractName}, ${leafIndex})`);
-  return new Promise((resolve, reject) => {
-    const options = {
-      url: `${url}/siblingPath/${leafIndex}`,
-      method: 'GET',
-      json: true,
-      headers: { contractname: contractName },
-      // body:, // no body; uses url param
-    };
-    request(options, (err, res, body) => {
-      if (err) reject(err);
-      else resolve(body.data);
-    });
-  });
+  return backends.getBackend(contractName).getSiblingPathByLeafIndex(contractName, leafIndex);
 }
 
 /**
-Starts the merkle-tree microservice's filter
-@param {string} contractName
+Starts following the Shield contracts' events, with each contract's backend
+@param {object} [shields] - the Shield contracts (web3 instances or addresses) by name, for backends
+that read the contracts' events themselves
+@param {object} [pollOptions] - for backends that poll until they've started, as for
+waitForBlockNumber()
 */
-async function startEventFilter() {
-  // State the contracts to start filtering. The merkle-tree's config file states which events to filter for each contract.
-  // TODO: move this into the zkp's config file?
-  logger.debug(`\nStarting the merkle-tree microservice's event filters...`);
+async function startEventFilter(shields = {}, pollOptions = {}) {
+  logger.debug(`\nStarting the merkle-tree event filters...`);
 
   const contractNames = ['FTokenShield', 'NFTokenShield'];
 
   await Promise.all(
-    contractNames.map(async contractName => {
-      try {
-        const response = await utilsPoll.poll(
-          startEventFilterPollingFunction,
-          config.POLLING_FREQUENCY,
-          {
-            contractName,
-          },
-        );
-        logger.debug(`\nResponse from merkle-tree microservice for ${contractName}:`);
-        logger.debug(response);
-        return response;
-      } catch (err) {
-        throw new Error(`Could not start merkle-tree microservice's filter for ${contractName}`);
-      }
-    }),
+    contractNames.map(contractName =>
+      backends.getBackend(contractName).start(contractName, shields[contractName], {
+        ...defaultPollOptions(),
+        ...pollOptions,
+      }),
+    ),
   );
 }
 
@@ -210,6 +105,7 @@ async function getSiblingPath(shieldContractInfo, _commitment, commitmentIndex)
   // }
 
   const { contractName, instance } = shieldContractInfo;
+  setShieldContract(contractName, instance);
 
   // check the database's mongodb aligns with the merkle-tree's mongodb: i.e. check leaf.commitmentIndex === commitment:
   logger.debug('\nChecking leaf...');
@@ -263,71 +159,63 @@ async function getSiblingPath(shieldContractInfo, _commitment, commitmentIndex)
 }
 
 /**
-Paired with checkRoot() - for debugging only
+Gets the sibling paths of several commitments at once, all leading to the same root, which is
+checked against the on-chain roots() just once.  Use this rather than getSiblingPath() when a
+proof spends more than one commitment, because a root that changes between calls to
+getSiblingPath() would invalidate the proof.
+@param {object} shieldContractInfo - { contractName, instance }, as for getSiblingPath()
+@param {object[]} commitments - { commitment, commitmentIndex } for each commitment
+@returns {string[][]} the sibling path of each commitment, in the format of getSiblingPath()
 */
-function orderBeforeConcatenation(order, pair) {
-  if (parseInt(order, 10) === 0) {
-    return pair;
-  }
-  return pair.reverse();
-}
+async function getSiblingPaths(shieldContractInfo, commitments) {
+  const { contractName, instance } = shieldContractInfo;
+  setShieldContract(contractName, instance);
 
-/**
-checkRoot - for DEBUGGING only. Helps give detailed logging for each hash up the merkle-tree, so as to better debug zokrates code.
-*/
-function checkRoot(commitment, commitmentIndex, siblingPath, root) {
-  // define Merkle Constants:
-  const { TREE_HEIGHT, NODE_HASHLENGTH } = config;
-
-  const truncatedCommitment = commitment.slice(-NODE_HASHLENGTH * 2); // truncate to the desired 216 bits for Merkle Path computations
-
-  const binaryCommitmentIndex = commitmentIndex
-    .toString(2) // to binary
-    .padStart(TREE_HEIGHT, '0') // pad to correct length
-    .split(''); // convert to array for easier iterability
-
-  // logger.debug(`commitment:`, commitment);
-  // logger.debug(`truncatedCommitment:`, truncatedCommitment);
-  // logger.debug(`commitmentIndex:`, commitmentIndex);
-  // logger.debug(`binaryCommitmentIndex:`, binaryCommitmentIndex);
-  // logger.debug(`siblingPath:`, siblingPath);
-  // logger.debug(`root:`, root);
-
-  const siblingPathTruncated = siblingPath.map(node => `0x${node.slice(-NODE_HASHLENGTH * 2)}`);
-
-  let hash216 = truncatedCommitment;
-  let hash256;
-
-  for (let r = TREE_HEIGHT; r > 0; r -= 1) {
-    const pair = [hash216, siblingPathTruncated[r]];
-    // logger.debug('leftInput pre ordering:', pair[0]);
-    // logger.debug('rightInput pre ordering:', pair[1]);
-    // logger.debug('left or right?:', binaryCommitmentIndex[r - 1]);
-    const orderedPair = orderBeforeConcatenation(binaryCommitmentIndex[r - 1], pair);
-    // logger.debug('leftInput:', orderedPair[0]);
-    // logger.debug('rightInput:', orderedPair[1]);
-    hash256 = utils.concatenateThenHash(...orderedPair);
-    // keep the below comments for future debugging:
-    // logger.debug(`output pre-slice at row ${r - 1}:`, hash256);
-    hash216 = `0x${hash256.slice(-NODE_HASHLENGTH * 2)}`;
-    // logger.debug(`output at row ${r - 1}:`, hash216);
-  }
-
-  const rootCheck = hash256;
-
-  if (root !== rootCheck) {
+  const leaves = await backends.getSiblingPathsByLeafIndexes(
+    contractName,
+    commitments.map(({ commitmentIndex }) => commitmentIndex),
+  );
+  leaves.forEach((leaf, i) => {
+    const { commitment, commitmentIndex } = commitments[i];
+    if (leaf.value !== commitment)
+      throw new Error(
+        `FATAL: The given commitmentIndex ${commitmentIndex} returns different commitment values in the database microservice (${commitment}) vs the merkle-tree microservice (${leaf.value}).`,
+      );
+  });
+
+  const root = leaves[0].siblingPath[0];
+  if (leaves.some(leaf => leaf.siblingPath[0] !== root))
+    throw new Error("The sibling paths don't share a common root.");
+
+  logger.debug('\nChecking root...');
+  const rootOnChain = await instance.methods.roots(root).call();
+  if (rootOnChain !== root)
     throw new Error(
-      `Root ${root} cannot be recalculated from the path and commitment ${commitment}. An attempt to recalculate gives ${rootCheck} as the root.`,
-    );
-  } else {
-    logger.debug(
-      `\nRoot ${root} successfully reconciled from first principles using the commitment and its sister-path.`,
+      'FATAL: The root calculated within the merkle-tree microservice does not match any historic on-chain roots.',
     );
-  }
+
+  return leaves.map(leaf => leaf.siblingPath);
+}
+
+// h(items) as the commitments of a tree with this hashing are computed:
+function hashCommitment(hashType, ...items) {
+  if (hashType === 'mimc')
+    return `0x${mimcHash(
+      items.map(item => BigInt(`0x${strip0x(item)}`)),
+      'ALT_BN_254',
+    )
+      .toString(16)
+      .padStart(64, '0')}`;
+  return shaHash(...items);
 }
 
 /**
 checks the details of an incoming (newly transferred token), to ensure the data we have received is correct and legitimate!!
+@param {object} [options]
+@param {string} [options.hashType] - 'mimc' or 'sha', for both the commitment and the Merkle tree.
+By default, config.HASH_TYPE.
+@returns {object} { zCorrect, zOnchainCorrect, pathCorrect }, where pathCorrect says whether the
+backend's sibling path for the commitment leads to its root
 */
 async function checkCorrectness(
   contractAddress,
@@ -338,9 +226,12 @@ async function checkCorrectness(
   commitmentIndex,
   blockNumber,
   contractName,
+  options = {},
 ) {
+  const hashType = (options.hashType || config.HASH_TYPE) === 'mimc' ? 'mimc' : 'sha';
   console.log('Checking h(contractAddress|value|publicKey|salt) = z...');
-  const commitmentCheck = utils.concatenateThenHash(
+  const commitmentCheck = hashCommitment(
+    hashType,
     `0x${strip0x(contractAddress).padStart(64, '0')}`,
     strip0x(value).slice(-(config.LEAF_HASHLENGTH * 2)),
     publicKey,
@@ -371,18 +262,38 @@ async function checkCorrectness(
   console.log('commitment:', commitment);
   console.log('commitment emmitted by blockchain:', leaf.value);
 
+  console.log('Checking the sibling path of the commitment leads to the root...');
+  const siblingPath = (await getSiblingPathByLeafIndex(contractName, commitmentIndex)).map(
+    node => node.value,
+  );
+  const { valid: pathCorrect, reason } = verifySiblingPath(
+    commitment,
+    commitmentIndex,
+    siblingPath,
+    siblingPath[0],
+    { hashType },
+  );
+  if (!pathCorrect) console.log(reason);
+
   return {
     zCorrect,
     zOnchainCorrect,
+    pathCorrect,
   };
 }
 
 module.exports = {
+  MerkleTree,
+  backends,
+  setShieldContract,
   startEventFilter,
+  getLatestLeaf,
   waitForBlockNumber,
   getLeafByLeafIndex,
   getSiblingPath,
+  getSiblingPaths,
   getSiblingPathByLeafIndex,
+  verifySiblingPath,
   checkRoot,
   checkCorrectness,
 };
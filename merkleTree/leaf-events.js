@@ -0,0 +1,150 @@
+/**
+@module leaf-events.js
+@desc Waits for a Merkle tree to catch up with the blockchain by listening for the Shield
+contract's NewLeaf and NewLeaves events, rather than polling.  A check is made when we start
+waiting and after each event.  After any check that fails, the first included, we check again
+after a short delay that doubles up to the polling interval (and goes back to short after an
+event), so that we still catch up with a leaf whose event came before we subscribed.  We only fall
+back to polling at a fixed interval if the contract's web3 provider can't subscribe to events
+(e.g. it's an HTTP provider) or the subscription fails.
+*/
+const config = require('../config');
+const utilsPoll = require('./utils');
+const logger = require('../logger');
+const { PollTimeoutError, PollAbortedError } = require('../errors');
+
+const LEAF_EVENTS = ['NewLeaf', 'NewLeaves'];
+const FIRST_RECHECK_DELAY = 250; // milliseconds, doubling after each failed check up to the interval
+
+/**
+@param {object} [instance] - a web3 instance of the Shield contract
+@returns {boolean} whether we can subscribe to the instance's leaf events
+*/
+function canSubscribe(instance) {
+  if (!instance || !instance.events || !instance.currentProvider) return false;
+  const provider = instance.currentProvider;
+  return (
+    typeof provider.supportsSubscriptions === 'function' &&
+    provider.supportsSubscriptions() &&
+    LEAF_EVENTS.every(name => typeof instance.events[name] === 'function')
+  );
+}
+
+/**
+Resolves once check() resolves to true
+@param {object} [instance] - a web3 instance of the Shield contract, whose events trigger checks
+@param {function} check - async () => true or false, like a polling function.  If it throws, so
+does waitForLeaves().
+@param {object} [pollOptions] - as for poll() in utils.js.  interval, maxDuration, maxAttempts and
+signal apply when we're subscribed too (interval being the longest wait between checks).
+*/
+async function waitForLeaves(instance, check, pollOptions = {}) {
+  const { interval = config.POLLING_FREQUENCY, maxDuration = Infinity, maxAttempts = Infinity } =
+    typeof pollOptions === 'object' ? pollOptions : { interval: pollOptions };
+  const { signal } = pollOptions;
+  if (!canSubscribe(instance)) return utilsPoll.poll(check, pollOptions);
+
+  const startTime = Date.now();
+  return new Promise((resolve, reject) => {
+    let attempts = 0;
+    let settled = false;
+    let fellBack = false;
+    let checking = false;
+    let checkAgain = false; // an event arrived during a check
+    let recheckDelay = FIRST_RECHECK_DELAY;
+    let recheckTimer;
+    let deadline;
+    let onAbort;
+    let subscriptions = [];
+
+    const unsubscribe = () => {
+      subscriptions.forEach(subscription => subscription.unsubscribe());
+      subscriptions = [];
+    };
+    const finish = (settle, value) => {
+      if (settled) return;
+      settled = true;
+      unsubscribe();
+      clearTimeout(recheckTimer);
+      clearTimeout(deadline);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+
+    const runCheck = async () => {
+      if (checking) {
+        checkAgain = true;
+        return;
+      }
+      checking = true;
+      clearTimeout(recheckTimer);
+      attempts += 1;
+      let caughtUp;
+      try {
+        caughtUp = await check();
+      } catch (err) {
+        finish(reject, err);
+        return;
+      } finally {
+        checking = false;
+      }
+      if (settled || fellBack) return;
+      if (caughtUp !== false) {
+        finish(resolve, true);
+      } else if (attempts >= maxAttempts) {
+        finish(reject, new PollTimeoutError(attempts, Date.now() - startTime));
+      } else if (checkAgain) {
+        checkAgain = false;
+        runCheck();
+      } else {
+        // the tree is behind, perhaps with an event that came before we subscribed:
+        recheckTimer = setTimeout(runCheck, recheckDelay);
+        recheckDelay = Math.min(recheckDelay * 2, interval);
+      }
+    };
+
+    // if we can't subscribe after all, poll instead:
+    const fallBack = err => {
+      if (settled || fellBack) return;
+      fellBack = true;
+      logger.debug(`\nCould not subscribe to leaf events ("${err}"), so polling instead`);
+      unsubscribe();
+      clearTimeout(recheckTimer);
+      const remaining = maxDuration - (Date.now() - startTime);
+      utilsPoll.poll(check, { ...pollOptions, maxDuration: remaining }).then(
+        value => finish(resolve, value),
+        error => finish(reject, error),
+      );
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        finish(reject, new PollAbortedError(attempts, signal.reason));
+        return;
+      }
+      onAbort = () => finish(reject, new PollAbortedError(attempts, signal.reason));
+      signal.addEventListener('abort', onAbort);
+    }
+    if (maxDuration !== Infinity)
+      deadline = setTimeout(
+        () => finish(reject, new PollTimeoutError(attempts, Date.now() - startTime)),
+        maxDuration,
+      );
+
+    // subscribe before the first check, so that we can't miss an event in between:
+    subscriptions = LEAF_EVENTS.map(name =>
+      instance.events[name]()
+        .on('data', () => {
+          recheckDelay = FIRST_RECHECK_DELAY;
+          runCheck();
+        })
+        .on('error', fallBack),
+    );
+    runCheck();
+  });
+}
+
+module.exports = {
+  canSubscribe,
+  waitForLeaves,
+};
@@ -0,0 +1,189 @@
+/**
+@module tree.js
+@desc An incremental Merkle tree that computes the same nodes and roots as the Shield contracts'
+MerkleTree.sol.  Leaves are appended in order, and only the nodes that have been written are held
+in memory: as on-chain, any node whose subtree holds no leaves is zero (rather than the hash of
+its zero children).
+Nodes are numbered as in MerkleTree.sol, with the root at 0 and leaf i at i + 2^treeHeight - 1.
+For SHA hashing, the nodes are the last 27 bytes (216 bits) of each hash, so that two of them fit in
+a single sha256 input, but the root is the full 32-byte hash.  For MiMC hashing, the nodes are
+full 32-byte field elements.
+*/
+const { ensure0x, strip0x, shaHash, mimcHash } = require('zkp-utils');
+const config = require('../config');
+
+const nodeLength = hashType => (hashType === 'mimc' ? 32 : 27);
+
+/**
+Truncates a hash to the length of a node
+@param {string} hashType - 'mimc' or 'sha'
+@param {string} hash
+*/
+function truncateNode(hashType, hash) {
+  return `0x${strip0x(hash)
+    .padStart(64, '0')
+    .slice(-nodeLength(hashType) * 2)}`;
+}
+
+/**
+@param {string} hashType - 'mimc' or 'sha'
+@param {string} left - a node
+@param {string} right - its sibling
+@returns {string} the full (untruncated) hash of the two nodes, as MerkleTree.sol computes it
+*/
+function hashNodes(hashType, left, right) {
+  if (hashType === 'mimc')
+    return `0x${mimcHash([BigInt(left), BigInt(right)], 'ALT_BN_254')
+      .toString(16)
+      .padStart(64, '0')}`;
+  return shaHash(left, right);
+}
+
+class MerkleTree {
+  /**
+  @param {object} [options]
+  @param {string} [options.hashType] - 'mimc' or 'sha' (anything other than 'mimc' means sha)
+  @param {number} [options.treeHeight]
+  @param {string[]} [options.leaves] - leaf values to insert, starting at leaf index 0
+  */
+  constructor({ hashType = config.HASH_TYPE, treeHeight = config.TREE_HEIGHT, leaves = [] } = {}) {
+    this.hashType = hashType === 'mimc' ? 'mimc' : 'sha';
+    this.treeHeight = treeHeight;
+    this.nodeLength = nodeLength(this.hashType);
+    this.zero = `0x${'0'.repeat(this.nodeLength * 2)}`;
+    this.leaves = [];
+    this.nodes = new Map();
+    this.root = `0x${'0'.repeat(64)}`;
+    this.insertLeaves(leaves, 0);
+  }
+
+  get leafCount() {
+    return this.leaves.length;
+  }
+
+  get width() {
+    return 2 ** this.treeHeight;
+  }
+
+  truncate(hash) {
+    return truncateNode(this.hashType, hash);
+  }
+
+  hashPair(left, right) {
+    return hashNodes(this.hashType, left, right);
+  }
+
+  getNode(nodeIndex) {
+    return this.nodes.get(nodeIndex) || this.zero;
+  }
+
+  /**
+  Appends a leaf and updates the nodes on its path to the root
+  @param {string} leafValue - the commitment
+  */
+  insertLeaf(leafValue) {
+    const leafIndex = this.leaves.length;
+    if (leafIndex >= this.width) throw new Error(`The Merkle tree is full (${leafIndex} leaves)`);
+    this.leaves.push(ensure0x(leafValue).toLowerCase());
+    this.updatePath(leafIndex, leafValue);
+  }
+
+  /**
+  Changes a leaf that's already in the tree, as the PublicKeyTree contract does when it blacklists
+  a key (the Shield contracts' trees never do this)
+  @param {number} leafIndex
+  @param {string} leafValue
+  */
+  updateLeaf(leafIndex, leafValue) {
+    if (!(leafIndex >= 0 && leafIndex < this.leafCount))
+      throw new Error(`There is no leaf at leaf index ${leafIndex}`);
+    this.leaves[leafIndex] = ensure0x(leafValue).toLowerCase();
+    this.updatePath(leafIndex, leafValue);
+  }
+
+  updatePath(leafIndex, leafValue) {
+    let nodeIndex = leafIndex + this.width - 1;
+    let node = this.truncate(leafValue);
+    let hash = node;
+    this.nodes.set(nodeIndex, node);
+    for (let row = this.treeHeight; row > 0; row -= 1) {
+      // as in MerkleTree.sol, right-hand children have even node indices:
+      hash =
+        nodeIndex % 2 === 0
+          ? this.hashPair(this.getNode(nodeIndex - 1), node)
+          : this.hashPair(node, this.getNode(nodeIndex + 1));
+      nodeIndex = Math.floor((nodeIndex - 1) / 2);
+      node = this.truncate(hash);
+      this.nodes.set(nodeIndex, node);
+    }
+    this.root = `0x${strip0x(hash).padStart(64, '0')}`;
+  }
+
+  /**
+  Appends the leaves of a NewLeaf or NewLeaves event
+  @param {string[]} leafValues
+  @param {number} minLeafIndex - the leaf index of the first value, which must be the next free one
+  */
+  insertLeaves(leafValues, minLeafIndex = this.leafCount) {
+    if (Number(minLeafIndex) !== this.leafCount)
+      throw new Error(
+        `Expected leaves from leaf index ${this.leafCount} but was given them from ${minLeafIndex}`,
+      );
+    leafValues.forEach(leafValue => this.insertLeaf(leafValue));
+  }
+
+  getLeaf(leafIndex) {
+    return this.leaves[leafIndex];
+  }
+
+  /**
+  @param {number} leafIndex
+  @returns {string[]} [root, ...siblings], where siblingPath[r] is the sibling at row r of the tree
+  (row treeHeight being the leaves).  This is the format that merkleTree.checkRoot() and the proofs
+  expect.
+  */
+  getSiblingPath(leafIndex) {
+    if (!(leafIndex >= 0 && leafIndex < this.leafCount))
+      throw new Error(`There is no leaf at leaf index ${leafIndex}`);
+    const siblingPath = [this.root];
+    let nodeIndex = leafIndex + this.width - 1;
+    for (let row = this.treeHeight; row > 0; row -= 1) {
+      siblingPath[row] = this.getNode(nodeIndex % 2 === 0 ? nodeIndex - 1 : nodeIndex + 1);
+      nodeIndex = Math.floor((nodeIndex - 1) / 2);
+    }
+    return siblingPath;
+  }
+
+  /**
+  @param {number} leafIndex
+  @returns {string[]} the nodes on the path from the leaf to the root, where pathNodes[r] is the
+  node at row r (so pathNodes[0] is the root and pathNodes[treeHeight] the truncated leaf).  Any of
+  these may be given to verifySiblingPath(), to find where a sibling path goes wrong.
+  */
+  getPathNodes(leafIndex) {
+    if (!(leafIndex >= 0 && leafIndex < this.leafCount))
+      throw new Error(`There is no leaf at leaf index ${leafIndex}`);
+    const pathNodes = [this.root];
+    let nodeIndex = leafIndex + this.width - 1;
+    for (let row = this.treeHeight; row > 0; row -= 1) {
+      pathNodes[row] = this.getNode(nodeIndex);
+      nodeIndex = Math.floor((nodeIndex - 1) / 2);
+    }
+    return pathNodes;
+  }
+
+  /**
+  @param {number[]} leafIndexes
+  @returns {object[]} { value, leafIndex, siblingPath } for each leaf, where the sibling paths all
+  lead to the current root
+  */
+  getSiblingPaths(leafIndexes) {
+    return leafIndexes.map(leafIndex => ({
+      value: this.getLeaf(leafIndex),
+      leafIndex,
+      siblingPath: this.getSiblingPath(leafIndex),
+    }));
+  }
+}
+
+module.exports = { MerkleTree, nodeLength, truncateNode, hashNodes };
@@ -3,23 +3,98 @@
 @author iAmMichaelConnor
 */
 
+const config = require('../config');
 const logger = require('../logger');
+const { PollTimeoutError, PollAbortedError } = require('../errors');
 
-const poll = async (pollingFunction, interval, arg1, arg2) => {
-  // logger.debug('Polling...');
-  // this is called as a Promise which only resolves when the conditions of the pollingFunction have been satisfied (i.e. once the pollingFunction returns something other than false).
-  const checkPollCondition = async (resolve, reject) => {
-    const response = await pollingFunction(arg1, arg2); // polling function must return a FALSE if unsuccessful.
-    if (response === false) {
+// how long to wait before each attempt after the first
+const BACKOFFS = {
+  fixed: interval => interval,
+  exponential: (interval, attempt) => interval * 2 ** (attempt - 1),
+};
+
+/**
+Calls pollingFunction(arg1, arg2) until it returns something other than false.
+@param {function} pollingFunction - which must return false if it's unsuccessful
+@param {number | object} options - the interval between attempts, in milliseconds, or:
+@param {number} [options.interval] - the wait before the second attempt (POLLING_FREQUENCY by default)
+@param {number} [options.maxDuration] - milliseconds after which to give up
+@param {number} [options.maxAttempts] - the number of attempts after which to give up
+@param {AbortSignal} [options.signal] - stops the poll when aborted
+@param {string | function} [options.backoff] - 'fixed' (the default) or 'exponential', or a
+function (interval, attempt) => milliseconds to wait after that attempt
+@param {number} [options.maxInterval] - the longest wait between attempts
+@returns {Promise} which resolves to the polling function's response, or rejects with a
+PollTimeoutError or PollAbortedError if the poll gives up, or with any error that the polling
+function throws
+*/
+const poll = async (pollingFunction, options, arg1, arg2) => {
+  const {
+    interval = config.POLLING_FREQUENCY,
+    maxDuration = Infinity,
+    maxAttempts = Infinity,
+    signal,
+    backoff = 'fixed',
+    maxInterval = Infinity,
+  } = typeof options === 'object' ? options : { interval: options };
+  const delayAfter = typeof backoff === 'function' ? backoff : BACKOFFS[backoff];
+  if (!delayAfter) throw new Error(`Unknown polling backoff ${backoff}`);
+  const startTime = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let attempts = 0;
+    let settled = false;
+    let timer;
+    let deadline;
+    let onAbort;
+    const finish = (settle, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(deadline);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+
+    // this only resolves when the conditions of the pollingFunction have been satisfied (i.e. once the pollingFunction returns something other than false).
+    const checkPollCondition = async () => {
+      attempts += 1;
+      let response;
+      try {
+        response = await pollingFunction(arg1, arg2);
+      } catch (err) {
+        finish(reject, err);
+        return;
+      }
+      if (settled) return;
+      if (response !== false) {
+        finish(resolve, response);
+        return;
+      }
+      if (attempts >= maxAttempts) {
+        finish(reject, new PollTimeoutError(attempts, Date.now() - startTime));
+        return;
+      }
       // if the polling function was unsuccessful, poll again:
       logger.verbose('...');
-      setTimeout(checkPollCondition, interval, resolve, reject);
-    } else {
-      // if the polling function was successful, resolve this poll.
-      resolve(response);
+      timer = setTimeout(checkPollCondition, Math.min(delayAfter(interval, attempts), maxInterval));
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        finish(reject, new PollAbortedError(attempts, signal.reason));
+        return;
+      }
+      onAbort = () => finish(reject, new PollAbortedError(attempts, signal.reason));
+      signal.addEventListener('abort', onAbort);
     }
-  };
-  return new Promise(checkPollCondition);
+    if (maxDuration !== Infinity)
+      deadline = setTimeout(
+        () => finish(reject, new PollTimeoutError(attempts, Date.now() - startTime)),
+        maxDuration,
+      );
+    checkPollCondition();
+  });
 };
 
 // EXAMPLES
@@ -0,0 +1,127 @@
+/**
+@module verify.js
+@desc Checks that a commitment's sibling path leads to a root, by recomputing the nodes on the
+path from the commitment up, with the same hashing (SHA or MiMC) and truncation as the Shield
+contract's MerkleTree.sol.  When it doesn't, we say at which level of the tree it went wrong, so
+that a bad path from a Merkle tree backend can be told apart from the wrong commitment, index or
+HASH_TYPE.
+*/
+const { strip0x } = require('zkp-utils');
+const config = require('../config');
+const { truncateNode, hashNodes } = require('./tree');
+const { SiblingPathError } = require('../errors');
+const logger = require('../logger');
+
+const fullHash = hash => `0x${strip0x(hash).padStart(64, '0')}`.toLowerCase();
+
+// whether a value could be a leaf of a tree.  Leaves are commitments, which are SHA hashes even in
+// a MiMC tree (whose hashing reduces them mod the prime, as MiMC.sol does).
+const isLeaf = value => typeof value === 'string' && /^(0x)?[0-9a-fA-F]{1,64}$/.test(value);
+
+// whether a value could be a node above the leaves of a tree with this hashing
+function isNode(hashType, value) {
+  if (!isLeaf(value)) return false;
+  // MiMC nodes are field elements, whereas a value above the prime is probably a SHA hash:
+  return hashType !== 'mimc' || BigInt(`0x${strip0x(value)}`) < config.ZOKRATES_PRIME;
+}
+
+/**
+Recomputes the root from a commitment and its sibling path
+@param {string} commitment - the leaf value
+@param {number} commitmentIndex - its leaf index
+@param {string[]} siblingPath - [root, ...siblings], where siblingPath[r] is the sibling at row r
+(see MerkleTree.getSiblingPath())
+@param {string} root - the root that the path should lead to
+@param {object} [options]
+@param {string} [options.hashType] - 'mimc' or 'sha'
+@param {number} [options.treeHeight]
+@param {string[]} [options.pathNodes] - the nodes that we expect on the path, where pathNodes[r] is
+the node at row r (see MerkleTree.getPathNodes()).  Given these, a failure is traced to the first
+row, from the leaves up, whose node differs.  Without them, we can only tell that the root differs.
+@returns {object} { valid, root, nodes } where root is the recomputed root and nodes[r] the
+recomputed node at row r; and, if valid is false, also { reason, level, expected, actual }, where
+level is the row that went wrong and expected and actual are the node values there.
+*/
+function verifySiblingPath(commitment, commitmentIndex, siblingPath, root, options = {}) {
+  const hashType = (options.hashType || config.HASH_TYPE) === 'mimc' ? 'mimc' : 'sha';
+  const { treeHeight = config.TREE_HEIGHT, pathNodes } = options;
+  const invalid = (reason, details = {}) => ({ valid: false, reason, ...details });
+
+  const index = Number(commitmentIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= 2 ** treeHeight)
+    return invalid(`${commitmentIndex} is not a leaf index of a tree of height ${treeHeight}`);
+  if (!Array.isArray(siblingPath) || siblingPath.length !== treeHeight + 1)
+    return invalid(
+      `A sibling path for a tree of height ${treeHeight} should have ${treeHeight + 1} nodes`,
+    );
+  if (!isLeaf(commitment))
+    return invalid(`The commitment ${commitment} is not a leaf of a ${hashType} tree`, {
+      level: treeHeight,
+    });
+  for (let row = treeHeight; row > 0; row -= 1) {
+    // the sibling in the bottom row is a leaf too:
+    if (row === treeHeight ? !isLeaf(siblingPath[row]) : !isNode(hashType, siblingPath[row]))
+      return invalid(
+        `The sibling at row ${row} (${siblingPath[row]}) is not a node of a ${hashType} tree`,
+        { level: row, actual: siblingPath[row] },
+      );
+  }
+
+  // nodes[r] is the node at row r on the path from the commitment to the root:
+  const nodes = [];
+  nodes[treeHeight] = truncateNode(hashType, commitment);
+  for (let row = treeHeight; row > 0; row -= 1) {
+    const sibling = truncateNode(hashType, siblingPath[row]);
+    // the node at this row is a right-hand child if its position in the row is odd:
+    const isRight = Math.floor(index / 2 ** (treeHeight - row)) % 2 === 1;
+    const hash = isRight
+      ? hashNodes(hashType, sibling, nodes[row])
+      : hashNodes(hashType, nodes[row], sibling);
+    nodes[row - 1] = row === 1 ? fullHash(hash) : truncateNode(hashType, hash);
+  }
+  const computedRoot = nodes[0];
+
+  if (pathNodes) {
+    for (let row = treeHeight; row >= 0; row -= 1) {
+      const expected = row === 0 ? fullHash(pathNodes[0]) : truncateNode(hashType, pathNodes[row]);
+      if (expected !== nodes[row])
+        return invalid(
+          `The path from commitment ${commitment} diverges at row ${row}: expected ${expected} but computed ${nodes[row]}`,
+          { root: computedRoot, nodes, level: row, expected, actual: nodes[row] },
+        );
+    }
+  }
+  if (fullHash(root) !== computedRoot)
+    return invalid(
+      `Root ${root} cannot be recalculated from the path and commitment ${commitment}. An attempt to recalculate gives ${computedRoot} as the root.`,
+      { root: computedRoot, nodes, level: 0, expected: fullHash(root), actual: computedRoot },
+    );
+  return { valid: true, root: computedRoot, nodes };
+}
+
+/**
+As verifySiblingPath(), but throws a SiblingPathError if the path doesn't lead to the root
+*/
+function checkRoot(commitment, commitmentIndex, siblingPath, root, options = {}) {
+  const result = verifySiblingPath(commitment, commitmentIndex, siblingPath, root, options);
+  if (!result.valid) {
+    if (result.nodes) logger.debug(`\nRecomputed path nodes (from the root down):`, result.nodes);
+    throw new SiblingPathError(result.reason, {
+      commitment,
+      commitmentIndex,
+      level: result.level,
+      expected: result.expected,
+      actual: result.actual,
+      nodes: result.nodes,
+    });
+  }
+  logger.debug(
+    `\nRoot ${root} successfully reconciled from first principles using the commitment and its sister-path.`,
+  );
+  return result;
+}
+
+module.exports = {
+  verifySiblingPath,
+  checkRoot,
+};
@@ -1,5 +1,10 @@
+const config = require('../config');
+
 const BN256G2 = artifacts.require('BN256G2');
-const Verifier = artifacts.require('Verifier.sol');
+// the verifier for the proving scheme the circuits were set up with:
+const Verifier = artifacts.require(
+  config.PROVING_SCHEME === 'g16' ? 'VerifierGroth16.sol' : 'Verifier.sol',
+);
 const FTokenShield = artifacts.require('FTokenShield.sol');
 const NFTokenShield = artifacts.require('NFTokenShield.sol');
 
@@ -0,0 +1,216 @@
+/**
+@module preflight.js
+@desc Checks that a transaction can succeed on-chain before we spend minutes computing its
+proof.  Each check reads the Shield (or token) contract's state and throws one of the
+PreflightErrors in errors.js if the transaction would be rejected.  The token modules run
+these checks before computing a witness, unless blockchainOptions.preflight is false.
+*/
+const { GN } = require('general-number');
+const { getLeaves } = require('./wallet/history');
+const { getWeb3ContractInstance } = require('./contractUtils');
+const { getRegisteredVk, hashVk } = require('./vks');
+const { checkProvingKey } = require('./prover/manifest');
+const logger = require('./logger');
+const {
+  NullifierSpentError,
+  DuplicateNullifierError,
+  UnknownRootError,
+  CommitmentExistsError,
+  InsufficientBalanceError,
+  InsufficientAllowanceError,
+  NotTokenOwnerError,
+  VerificationKeyMismatchError,
+} = require('./errors');
+
+const isZero = value => BigInt(value) === BigInt(0);
+
+/**
+Checks that none of the nullifiers has been used, either on-chain or twice in this transaction
+@param {object} shieldInstance - a web3 instance of the Shield contract
+@param {string[]} nullifiers
+*/
+async function checkNullifiers(shieldInstance, nullifiers) {
+  const seen = new Set();
+  for (const nullifier of nullifiers) {
+    if (seen.has(nullifier)) throw new DuplicateNullifierError(nullifier);
+    seen.add(nullifier);
+    if (!isZero(await shieldInstance.methods.nullifiers(nullifier).call()))
+      throw new NullifierSpentError(nullifier);
+  }
+}
+
+/**
+Checks that the root our sibling paths lead to is one the Shield contract will accept
+*/
+async function checkRoot(shieldInstance, root) {
+  const rootOnChain = await shieldInstance.methods.roots(root).call();
+  if (isZero(rootOnChain) || BigInt(rootOnChain) !== BigInt(root)) throw new UnknownRootError(root);
+}
+
+// Shield address and fromBlock => { leaves, nextBlock }, so that each check only reads the leaf
+// events since the last one
+const knownLeaves = new Map();
+
+/**
+The Shield contract's leaves, read from its events from fromBlock onwards.  The first call for a
+contract reads all of them; later calls carry on from the block of the latest leaf seen.
+@returns {Map} as getLeaves() in wallet/history.js returns it
+*/
+async function getKnownLeaves(shieldInstance, fromBlock) {
+  const key = `${shieldInstance.options.address.toLowerCase()}:${fromBlock}`;
+  const known = knownLeaves.get(key) || { leaves: new Map(), nextBlock: fromBlock };
+  const newLeaves = await getLeaves(shieldInstance, known.nextBlock);
+  newLeaves.forEach((leaf, commitment) => {
+    known.leaves.set(commitment, leaf);
+    // that block is read again next time, in case it gets more leaves
+    known.nextBlock = Math.max(known.nextBlock, leaf.blockNumber);
+  });
+  knownLeaves.set(key, known);
+  return known.leaves;
+}
+
+/**
+Checks that none of the commitments that we're about to create is already a leaf of the
+Shield contract's Merkle tree (which would happen if a salt were reused).  The Shield only
+records leaves in its events, so this reads them from fromBlock onwards (see getKnownLeaves()).
+*/
+async function checkNewCommitments(shieldInstance, commitments, fromBlock = 0) {
+  const leaves = await getKnownLeaves(shieldInstance, fromBlock);
+  commitments.forEach(commitment => {
+    const leaf = leaves.get(commitment.toLowerCase());
+    if (leaf) throw new CommitmentExistsError(commitment, leaf.commitmentIndex);
+  });
+}
+
+/**
+The checks for any transaction that spends commitments
+@param {object} shieldInstance
+@param {object} spend
+@param {string[]} spend.nullifiers - of the commitments being spent
+@param {string} spend.root - the root that the proof will be made against
+@param {string[]} [spend.newCommitments] - the commitments being created
+@param {object} [blockchainOptions] - checks are skipped if blockchainOptions.preflight is false.
+blockchainOptions.preflightFromBlock sets the block from which to look for existing commitments.
+*/
+async function checkSpend(
+  shieldInstance,
+  { nullifiers, root, newCommitments = [] },
+  blockchainOptions = {},
+) {
+  if (blockchainOptions.preflight === false) return;
+  logger.debug('Running pre-flight checks...');
+  await checkNullifiers(shieldInstance, nullifiers);
+  await checkRoot(shieldInstance, root);
+  if (newCommitments.length > 0)
+    await checkNewCommitments(shieldInstance, newCommitments, blockchainOptions.preflightFromBlock);
+}
+
+/**
+Checks that an account holds enough ERC-20 tokens, and optionally that it has allowed the
+Shield contract to take them.  Minting approves the Shield contract itself, so the allowance
+is only worth checking if you've approved it in advance (e.g. from another account).
+@param {object} options
+@param {string} options.erc20Address
+@param {string} options.account
+@param {string} options.amount - hex
+@param {string} [options.spender] - if given, the allowance of the spender is checked too
+*/
+async function checkErc20Funds({ erc20Address, account, amount, spender }) {
+  const tokenInstance = await getWeb3ContractInstance(
+    'ERC20Interface',
+    new GN(erc20Address).hex(20),
+  );
+  const needed = BigInt(amount);
+  const balance = BigInt(await tokenInstance.methods.balanceOf(account).call());
+  if (balance < needed) throw new InsufficientBalanceError(account, balance, needed);
+  if (spender !== undefined) {
+    const allowance = BigInt(await tokenInstance.methods.allowance(account, spender).call());
+    if (allowance < needed)
+      throw new InsufficientAllowanceError(account, spender, allowance, needed);
+  }
+}
+
+/**
+Checks that an account owns (or operates for the owner of) an ERC-721 token
+*/
+async function checkErc721Ownership({ erc721Address, account, tokenId }) {
+  const tokenInstance = await getWeb3ContractInstance(
+    'ERC721Interface',
+    new GN(erc721Address).hex(20),
+  );
+  const id = new GN(tokenId).hex(32);
+  let owner;
+  try {
+    owner = await tokenInstance.methods.ownerOf(id).call();
+  } catch (err) {
+    throw new NotTokenOwnerError(account, tokenId, 'nobody'); // ownerOf throws for tokens that don't exist
+  }
+  if (owner.toLowerCase() === account.toLowerCase()) return;
+  if (await tokenInstance.methods.isApprovedForAll(owner, account).call()) return;
+  throw new NotTokenOwnerError(account, tokenId, owner);
+}
+
+/**
+The checks for a mint
+@param {object} shieldInstance
+@param {object} mint
+@param {string} mint.commitment - the commitment being minted
+@param {string} [mint.erc20Address] - with amount, for an ERC-20 mint
+@param {string} [mint.amount]
+@param {string} [mint.erc721Address] - with tokenId, for an ERC-721 mint
+@param {string} [mint.tokenId]
+@param {string} mint.account - the account that holds the tokens
+@param {object} [blockchainOptions] - as for checkSpend()
+*/
+async function checkMint(shieldInstance, mint, blockchainOptions = {}) {
+  if (blockchainOptions.preflight === false) return;
+  logger.debug('Running pre-flight checks...');
+  if (mint.erc721Address !== undefined) await checkErc721Ownership(mint);
+  else await checkErc20Funds(mint);
+  await checkNewCommitments(
+    shieldInstance,
+    [mint.commitment],
+    blockchainOptions.preflightFromBlock,
+  );
+}
+
+/**
+Checks that the prover's proving key was set up with the vk that the Shield contract holds for the
+transaction, so that its proof won't be rejected.  This needs the manifest.json that
+generateZokratesFiles() writes beside the proving key (see prover/manifest.js): a prover without
+one, or without a pkPath (such as a remote prover), isn't checked.
+@param {object} shieldInstance
+@param {object} prover
+@param {string} vkDescription - 'mint', 'transfer', 'burn', 'simpleBatchTransfer' or
+'consolidationTransfer'
+@param {object} [blockchainOptions] - as for checkSpend()
+@throws {CircuitArtifactsError} if the proving key isn't the one its manifest records
+*/
+async function checkVerificationKey(shieldInstance, prover, vkDescription, blockchainOptions = {}) {
+  if (blockchainOptions.preflight === false || !prover.pkPath) return;
+  const manifest = await checkProvingKey(prover.pkPath);
+  if (!manifest) return;
+  const matches = vk => vk.length > 0 && hashVk(vk) === manifest.vkHash;
+  if (matches(await getRegisteredVk(shieldInstance, vkDescription, manifest.vkLength))) return;
+  // the cached vk may have been replaced since, so read it again before we give up
+  const vk = await getRegisteredVk(shieldInstance, vkDescription, manifest.vkLength, {
+    cached: false,
+  });
+  if (!matches(vk))
+    throw new VerificationKeyMismatchError(
+      vkDescription,
+      shieldInstance.options.address,
+      prover.pkPath,
+    );
+}
+
+module.exports = {
+  checkNullifiers,
+  checkRoot,
+  checkNewCommitments,
+  checkSpend,
+  checkErc20Funds,
+  checkErc721Ownership,
+  checkMint,
+  checkVerificationKey,
+};
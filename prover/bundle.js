@@ -0,0 +1,120 @@
+/**
+@module bundle.js
+@desc A portable form for a proof and everything needed to submit it, so that a proof can be
+computed on one machine and sent to the Shield contract from another.  A proof bundle is:
+
+  {
+    version - PROOF_BUNDLE_VERSION
+    circuit - e.g. 'ft-transfer'
+    provingScheme - 'gm17' or 'g16'
+    vkHash - sha256 of the flattened vk that the proof verifies against, if the prover had one
+    proof - { a, b, c }, as ZoKrates writes it (hex coordinates)
+    inputs - the public inputs that the Verifier is given, as decimal strings
+    transaction - { to, method, args, data }: the Shield contract's address, the method that's
+      called with the proof and its arguments, and the ABI-encoded calldata of that call
+  }
+
+serializeProofBundle() and parseProofBundle() convert it to and from JSON.
+*/
+const fs = require('fs');
+const { hexToDec } = require('zkp-utils');
+const config = require('../config');
+const utils = require('../utils');
+const { hashVk } = require('../vks');
+const Web3 = require('../provider');
+const { sendSignedTransaction } = require('../contractUtils');
+
+const PROOF_BUNDLE_VERSION = 1;
+
+/**
+@param {object} proof - { a, b, c }, as ZoKrates writes it to proof.json
+@returns {string[]} the 8 values that the Shield contracts take as a proof, as decimal strings
+*/
+function flattenProof({ a, b, c }) {
+  return utils.flattenDeep([a, b, c]).map(el => hexToDec(el));
+}
+
+/**
+Called by the token functions, once they have the Shield contract call that takes the proof
+@param {string} circuit - e.g. 'ft-transfer'
+@param {object} prover - which computed the proof
+@param {object} proof - { a, b, c }
+@param {string[]} inputs - the public inputs
+@param {object} transaction - the web3 method call, e.g. fTokenShieldInstance.methods.transfer(...)
+@returns {object} a proof bundle
+*/
+function createProofBundle(circuit, prover, proof, inputs, transaction) {
+  return {
+    version: PROOF_BUNDLE_VERSION,
+    circuit,
+    provingScheme: prover.provingScheme || config.PROVING_SCHEME,
+    vkHash: prover.vkPath ? hashVk(JSON.parse(fs.readFileSync(prover.vkPath, 'utf8'))) : null,
+    proof,
+    inputs,
+    transaction: {
+      to: transaction._parent._address,
+      method: transaction._method.name,
+      args: transaction.arguments,
+      data: transaction.encodeABI(),
+    },
+  };
+}
+
+/**
+@param {object} bundle
+@returns {string} JSON
+*/
+function serializeProofBundle(bundle) {
+  return JSON.stringify(bundle);
+}
+
+/**
+@param {string | object} json - a serialized proof bundle (or one that's already been parsed)
+@returns {object} the proof bundle
+@throws if it isn't a proof bundle of a version that this can read
+*/
+function parseProofBundle(json) {
+  const bundle = typeof json === 'string' ? JSON.parse(json) : json;
+  if (bundle.version !== PROOF_BUNDLE_VERSION)
+    throw new Error(`Unsupported proof bundle version ${bundle.version}`);
+  const { circuit, provingScheme, proof, inputs, transaction } = bundle;
+  if (!circuit || !provingScheme || !proof || !Array.isArray(inputs) || !transaction)
+    throw new Error('The proof bundle is missing its circuit, provingScheme, proof or inputs');
+  if (!proof.a || !proof.b || !proof.c) throw new Error('The proof bundle has no proof points');
+  if (!transaction.to || !transaction.data)
+    throw new Error('The proof bundle has no transaction to submit');
+  return bundle;
+}
+
+/**
+Sends a proof bundle's transaction to the Shield contract.  The Shield contract's events say what
+happened: this doesn't update the wallet, which is the job of the machine that made the proof.
+@param {object} bundle
+@param {object} options
+@param {string} [options.account] - to send the transaction from
+@param {function} [options.signingMethod] - (data, contractAddress) => signed transaction, as the
+token functions take it, to sign the transaction rather than have the node sign it for account
+@param {number} [options.gas=6500000]
+@returns {object} the transaction receipt
+*/
+async function submitProofBundle(bundle, { account, signingMethod, gas = 6500000 } = {}) {
+  const { to, data } = parseProofBundle(bundle).transaction;
+  if (signingMethod) return sendSignedTransaction(await signingMethod(data, to));
+  return Web3.connection().eth.sendTransaction({
+    from: account,
+    to,
+    data,
+    gas,
+    gasPrice: config.GASPRICE,
+  });
+}
+
+module.exports = {
+  PROOF_BUNDLE_VERSION,
+  flattenProof,
+  hashVk,
+  createProofBundle,
+  serializeProofBundle,
+  parseProofBundle,
+  submitProofBundle,
+};
@@ -0,0 +1,156 @@
+/**
+@module circuits.js
+@desc A registry of the circuits that generateZokratesFiles() has set up in a directory, so that
+the token functions can be given the registry (or, with config.CIRCUIT_DIRECTORY set, nothing at
+all) instead of the paths of each circuit's files.  generateZokratesFiles() writes a circuit's
+files to <directory>/<circuit>/:
+
+  out - the compiled circuit
+  proving.key
+  <circuit>-vk.json - the vk, which the registry's provers check each proof against (see verify.js)
+  manifest.json - how it was set up (see manifest.js)
+
+The manifest records the mode that the circuit was set up for: the HASH_TYPE, COMPLIANCE and
+PROVING_SCHEME that choose the .zok files and keys (see the README's Trusted Setup section), and the
+BATCH_PROOF_SIZE and TREE_HEIGHT that the .zok files were written for.  The
+registry only gives out a circuit whose files are all there, whose mode is the one in use, and whose
+.zok files haven't changed since.
+*/
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+const { CircuitArtifactsError } = require('../errors');
+const { MANIFEST_FILE, getSourceRoot, readManifest, findManifestMismatch } = require('./manifest');
+
+/**
+@returns {object} { hashType, compliance, provingScheme, batchSize, treeHeight }, which select the
+.zok files and keys that are in use
+*/
+function getCircuitMode() {
+  return {
+    hashType: process.env.HASH_TYPE === 'mimc' ? 'mimc' : 'sha',
+    compliance: process.env.COMPLIANCE === 'true',
+    provingScheme: config.PROVING_SCHEME,
+    batchSize: config.BATCH_PROOF_SIZE,
+    treeHeight: config.TREE_HEIGHT,
+  };
+}
+
+/**
+@param {object} [mode] - as getCircuitMode() returns it, by default the one in use
+@returns {string} the directory holding the mode's .zok files
+*/
+function getSourceDirectory({ hashType, compliance } = getCircuitMode()) {
+  const sourceRoot = getSourceRoot();
+  if (hashType === 'mimc') return path.join(sourceRoot, 'mimc');
+  return compliance ? path.join(sourceRoot, 'rc') : sourceRoot;
+}
+
+/**
+@param {object} [mode] - as getCircuitMode() returns it, by default the one in use
+@returns {string[]} the circuits that the mode has, e.g. ['ft-burn', 'ft-mint', ...]
+*/
+function getCircuitNames(mode) {
+  return fs
+    .readdirSync(getSourceDirectory(mode))
+    .filter(file => file.endsWith('.zok'))
+    .map(file => path.basename(file, '.zok'));
+}
+
+class CircuitRegistry {
+  /**
+  @param {string} directory - generateZokratesFiles()' outputDirectory
+  @param {object} [options]
+  @param {string} [options.proverType] - the type of prover to make for each circuit (see
+  prover/index.js), by default config.PROVER
+  @param {object} [options.proverOptions] - given to each prover as well as its circuit's files,
+  e.g. { outputDirectory, zokratesPath }
+  */
+  constructor(directory, { proverType, proverOptions = {} } = {}) {
+    this.directory = directory;
+    this.proverType = proverType;
+    this.proverOptions = proverOptions;
+    this.provers = new Map(); // by circuit and prover type
+  }
+
+  /**
+  Finds a circuit's files, and checks that they were set up for the mode in use, from the current
+  .zok files
+  @param {string} circuit - e.g. 'ft-mint'
+  @returns {object} { codePath, pkPath, vkPath }
+  @throws {CircuitArtifactsError} if the mode has no such circuit, if any of its files is missing,
+  or if it was set up for another mode or from other .zok files
+  */
+  artifacts(circuit) {
+    const mode = getCircuitMode();
+    const circuitDirectory = path.join(this.directory, circuit);
+    if (!getCircuitNames(mode).includes(circuit))
+      throw new CircuitArtifactsError(
+        circuit,
+        this.directory,
+        `doesn't exist with HASH_TYPE=${mode.hashType} and COMPLIANCE=${mode.compliance}`,
+      );
+    const artifacts = {
+      codePath: path.join(circuitDirectory, 'out'),
+      pkPath: path.join(circuitDirectory, 'proving.key'),
+      vkPath: path.join(circuitDirectory, `${circuit}-vk.json`),
+    };
+    Object.values(artifacts).forEach(file => {
+      if (!fs.existsSync(file))
+        throw new CircuitArtifactsError(circuit, this.directory, `has no ${path.basename(file)}`);
+    });
+
+    const manifest = readManifest(circuitDirectory);
+    if (!manifest) {
+      // set up before generateZokratesFiles() wrote manifests, so there's nothing to check it against
+      logger.warn(`${circuit} has no ${MANIFEST_FILE}, so how it was set up can't be checked`);
+      return artifacts;
+    }
+    const mismatch = findManifestMismatch(
+      manifest,
+      mode,
+      path.join(getSourceDirectory(mode), `${circuit}.zok`),
+    );
+    if (mismatch) throw new CircuitArtifactsError(circuit, this.directory, mismatch);
+    return artifacts;
+  }
+
+  /**
+  @param {string} circuit - e.g. 'ft-mint'
+  @returns {object} a prover for the circuit, made once for each circuit
+  @throws {CircuitArtifactsError} as artifacts() does
+  */
+  getProver(circuit) {
+    const proverType = this.proverType || config.PROVER;
+    const key = `${circuit}:${proverType}`;
+    if (!this.provers.has(key)) {
+      // prover/index.js requires this module, so it can only be required once both have loaded
+      // eslint-disable-next-line global-require
+      const { createProver } = require('./index');
+      this.provers.set(
+        key,
+        createProver(proverType, { ...this.proverOptions, ...this.artifacts(circuit) }),
+      );
+    }
+    return this.provers.get(key);
+  }
+
+  /**
+  Checks every circuit of the mode in use, e.g. when an application starts
+  @returns {string[]} the circuits
+  @throws {CircuitArtifactsError} for the first circuit that can't be used
+  */
+  check() {
+    const circuits = getCircuitNames();
+    circuits.forEach(circuit => this.artifacts(circuit));
+    return circuits;
+  }
+}
+
+module.exports = {
+  CircuitRegistry,
+  getCircuitMode,
+  getCircuitNames,
+  getSourceDirectory,
+};
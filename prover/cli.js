@@ -0,0 +1,159 @@
+/**
+@module cli.js
+@desc A prover that runs a native ZoKrates binary, so that proofs can be computed without the
+ZoKrates Docker container.  ZoKrates writes the witness and proof to files, so each call of prove()
+works in a directory of its own, made inside outputDirectory; the proof is read back and returned,
+and the directory is removed afterwards unless keepFiles is set.  Proofs can therefore be computed
+side by side, even with the same prover.
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const config = require('../config');
+const { Prover } = require('./prover');
+const logger = require('../logger');
+
+const MAX_BUFFER = 64 * 1024 * 1024; // ZoKrates can be chatty
+
+class ZokratesCliProver extends Prover {
+  /**
+  @param {object} options
+  @param {string} options.codePath - location of the compiled code (without the .code suffix)
+  @param {string} options.pkPath - location of the proving key file
+  @param {string} [options.outputDirectory] - where each proof's working directory is made, by
+  default the system's temporary directory
+  @param {string} [options.witnessName=witness]
+  @param {string} [options.proofName=proof.json]
+  @param {string} [options.provingScheme] - 'gm17' or 'g16', by default config.PROVING_SCHEME
+  @param {boolean} [options.keepFiles=false] - keep the working directories, with their witness
+  and proof files
+  @param {string} [options.zokratesPath=zokrates] - the ZoKrates binary
+  @param {string} [options.zokratesHome] - ZoKrates' standard library, by default $ZOKRATES_HOME
+  @param {string} [options.vkPath] - the circuit's vk.json, to check each proof against before
+  it's sent to the Shield contract (see verify.js)
+  */
+  constructor({
+    codePath,
+    pkPath,
+    outputDirectory = os.tmpdir(),
+    witnessName = 'witness',
+    proofName = 'proof.json',
+    provingScheme = config.PROVING_SCHEME,
+    keepFiles = false,
+    zokratesPath = 'zokrates',
+    zokratesHome = process.env.ZOKRATES_HOME,
+    vkPath,
+  } = {}) {
+    super();
+    Object.assign(this, {
+      codePath,
+      pkPath,
+      outputDirectory,
+      witnessName,
+      proofName,
+      provingScheme,
+      keepFiles,
+      zokratesPath,
+      zokratesHome,
+      vkPath,
+    });
+  }
+
+  // a job's files go in its working directory, if prove() made it one
+  filePath(job, fileName) {
+    return path.join(job.directory || this.outputDirectory, fileName);
+  }
+
+  /**
+  Makes a new, empty directory for a job's files, named after the job
+  @returns {string} its path
+  */
+  async makeWorkingDirectory(job = {}) {
+    await fs.promises.mkdir(this.outputDirectory, { recursive: true });
+    const prefix = job.name ? `${String(job.name).replace(/[^\w.-]/g, '_')}-` : 'proof-';
+    return fs.promises.mkdtemp(path.join(this.outputDirectory, prefix));
+  }
+
+  async removeWorkingDirectory(directory) {
+    if (this.keepFiles) return;
+    await fs.promises.rm(directory, { recursive: true, force: true });
+    logger.debug(`Deleted directory ${directory}`);
+  }
+
+  // an aborted signal kills ZoKrates
+  run(args, signal) {
+    const env = { ...process.env };
+    if (this.zokratesHome) env.ZOKRATES_HOME = this.zokratesHome;
+    return new Promise((resolve, reject) => {
+      const options = { env, maxBuffer: MAX_BUFFER, signal };
+      execFile(this.zokratesPath, args, options, (err, stdout, stderr) => {
+        // ZoKrates sometimes reports errors on stdout, and exits happily:
+        if (err || stdout.includes('panicked'))
+          reject(
+            new Error(`zokrates ${args[0]} failed: ${stderr || stdout || (err && err.message)}`),
+          );
+        else resolve(stdout);
+      });
+    });
+  }
+
+  async computeWitness(inputs, job = {}) {
+    const witnessPath = this.filePath(job, this.witnessName);
+    await this.run(
+      ['compute-witness', '-i', this.codePath, '-o', witnessPath, '-a', ...inputs],
+      job.signal,
+    );
+    return witnessPath;
+  }
+
+  async generateProof(witnessPath, job = {}) {
+    const proofPath = this.filePath(job, this.proofName);
+    await this.run(
+      [
+        'generate-proof',
+        '-i',
+        this.codePath,
+        '-s',
+        this.provingScheme,
+        '-w',
+        witnessPath,
+        '-p',
+        this.pkPath,
+        '-j',
+        proofPath,
+      ],
+      job.signal,
+    );
+    return this.readProof(proofPath);
+  }
+
+  /**
+  @returns {object} { proof, inputs } from a proof.json file
+  */
+  readProof(proofPath) {
+    const { proof, inputs } = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+    this.removeFile(proofPath);
+    return { proof, inputs };
+  }
+
+  removeFile(filePath) {
+    if (this.keepFiles || !fs.existsSync(filePath)) return;
+    fs.unlinkSync(filePath);
+    logger.debug(`Deleted file ${filePath}`);
+  }
+
+  async prove(inputs, job = {}) {
+    const directory = await this.makeWorkingDirectory(job);
+    const jobInDirectory = { ...job, directory };
+    try {
+      const witnessPath = await this.computeWitness(inputs, jobInDirectory);
+      if (job.onWitness) job.onWitness();
+      return await this.generateProof(witnessPath, jobInDirectory);
+    } finally {
+      await this.removeWorkingDirectory(directory);
+    }
+  }
+}
+
+module.exports = { ZokratesCliProver };
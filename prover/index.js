@@ -0,0 +1,108 @@
+/**
+@module prover
+@desc Computes the proofs for the token modules.  Each token function takes a prover for the
+circuit it proves (or, for send(), one for each circuit it might need).  A prover is an object with
+these async functions:
+
+  computeWitness(inputs, [job]) - computes the circuit's witness from its arguments, as formatted
+    by utils.formatInputsForZkSnark()
+  generateProof(witness, [job]) - resolves to { proof, inputs }, as ZoKrates writes them to
+    proof.json
+  prove(inputs, [job]) - both of the above
+
+where job is { name }, a name for the proof.  The Prover class in prover.js provides prove().  A
+prover's prove() must be safe to call again before an earlier call has finished: the token
+functions can be called concurrently, and share their provers.  The built-in provers that write
+files do so in a new temporary directory for each proof.
+
+The built-in provers are:
+  zokrates.js - @eyblockchain/zokrates.js, which runs ZoKrates in its Docker container
+  cli - a native ZoKrates binary
+  wasm - ZoKrates compiled to WebAssembly, with the (optional) zokrates-js package
+  mock - computes nothing, for tests
+
+A prover that's given the circuit's vk.json, as vkPath, has each of its proofs verified (see
+verify.js) before the token function sends it to the Shield contract.
+
+Each token function returns, as proofBundle, a portable form of its proof and the Shield contract
+call that it made with it (see bundle.js).
+
+Instead of a prover, a token function can be given a CircuitRegistry (see circuits.js), which
+makes the prover for its circuit from the files that generateZokratesFiles() wrote.  Given neither,
+it uses a registry of config.CIRCUIT_DIRECTORY.
+
+The token functions compute their proofs through a queue (see queue.js), which limits how many are
+computed at once and reports each one's progress.
+
+A token function that's given zokratesOptions rather than a prover, as they all used to be, makes
+a prover of the type named by config.PROVER from them.
+*/
+const config = require('../config');
+const { Prover } = require('./prover');
+const { ZokratesJsProver } = require('./zokrates-js');
+const { ZokratesCliProver } = require('./cli');
+const { ZokratesWasmProver } = require('./wasm');
+const { MockProver } = require('./mock');
+const { ProofQueue, proofQueue, getProofQueue } = require('./queue');
+const { verifyProof, checkProof } = require('./verify');
+const bundle = require('./bundle');
+const circuits = require('./circuits');
+
+const provers = {
+  'zokrates.js': ZokratesJsProver,
+  cli: ZokratesCliProver,
+  wasm: ZokratesWasmProver,
+  mock: MockProver,
+};
+
+/**
+@param {string} type - one of the provers above
+@param {object} options - for the prover's constructor, e.g. { codePath, pkPath }
+@returns {object} a prover
+*/
+function createProver(type, options) {
+  const ProverClass = provers[type];
+  if (!ProverClass) throw new Error(`Unknown prover ${type}`);
+  return new ProverClass(options);
+}
+
+let defaultRegistry; // of config.CIRCUIT_DIRECTORY
+
+/**
+@param {object} [prover] - a prover, or a CircuitRegistry, or the zokratesOptions to make a prover
+of the type in config.PROVER.  By default, a CircuitRegistry of config.CIRCUIT_DIRECTORY.
+@param {string} [circuit] - e.g. 'ft-mint', for a registry to give the prover of
+@returns {object} a prover
+*/
+function resolveProver(prover, circuit) {
+  if (!prover) {
+    if (!config.CIRCUIT_DIRECTORY)
+      throw new Error('No prover (or zokratesOptions) was given, and CIRCUIT_DIRECTORY is not set');
+    if (!defaultRegistry || defaultRegistry.directory !== config.CIRCUIT_DIRECTORY)
+      defaultRegistry = new circuits.CircuitRegistry(config.CIRCUIT_DIRECTORY);
+    return resolveProver(defaultRegistry, circuit);
+  }
+  if (typeof prover.prove === 'function') return prover;
+  if (typeof prover.getProver === 'function') {
+    if (!circuit) throw new Error('A circuit registry needs to be told which circuit to prove');
+    return prover.getProver(circuit);
+  }
+  return createProver(config.PROVER, prover);
+}
+
+module.exports = {
+  Prover,
+  ZokratesJsProver,
+  ZokratesCliProver,
+  ZokratesWasmProver,
+  MockProver,
+  createProver,
+  resolveProver,
+  ProofQueue,
+  proofQueue,
+  getProofQueue,
+  verifyProof,
+  checkProof,
+  ...bundle,
+  ...circuits,
+};
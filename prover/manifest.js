@@ -0,0 +1,189 @@
+/**
+@module manifest.js
+@desc A record of how a circuit was set up, which generateZokratesFiles() writes beside the
+circuit's files, as <directory>/<circuit>/manifest.json:
+
+  {
+    circuit - e.g. 'ft-mint'
+    hashType, compliance, provingScheme, batchSize, treeHeight - the mode it was set up for (see
+      circuits.js)
+    zokratesVersion - of the ZoKrates that compiled it and made its keys, or null if unknown
+    setupAt - when
+    sources - { file: sha256 } of its .zok file and every .zok file that it imports, with paths
+      relative to setup/gm17 or config.CIRCUIT_SOURCE_DIRECTORY (ZoKrates' own standard library is
+      covered by zokratesVersion)
+    files - { file: sha256 } of out, proving.key, verification.key, verifier.sol and the vk.json
+    vkHash - of the flattened vk, as vks.hashVk() computes it
+    vkLength - of the flattened vk
+  }
+
+The circuit registry checks a circuit's manifest against the mode in use and the .zok files, and
+the preflight checks use it to tie a prover's proving key to the vk held by the Shield contract.
+*/
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const config = require('../config');
+const { flattenVk, hashVk } = require('../vks');
+const { CircuitArtifactsError } = require('../errors');
+
+const MANIFEST_FILE = 'manifest.json';
+const SOURCE_DIRECTORY = path.join(__dirname, '../setup/gm17');
+const MODE_KEYS = ['hashType', 'compliance', 'provingScheme', 'batchSize', 'treeHeight'];
+
+/**
+@returns {string} the directory of the .zok files in use: setup/gm17, or those that
+setup/generateCircuits.js wrote for another batch size or tree height
+*/
+function getSourceRoot() {
+  return config.CIRCUIT_SOURCE_DIRECTORY
+    ? path.resolve(config.CIRCUIT_SOURCE_DIRECTORY)
+    : SOURCE_DIRECTORY;
+}
+
+const sha256 = data => `0x${crypto.createHash('sha256').update(data).digest('hex')}`;
+
+// proving keys run to hundreds of megabytes, so they're streamed
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(`0x${hash.digest('hex')}`));
+  });
+}
+
+/**
+@param {string} zokPath - a .zok file in getSourceRoot()
+@returns {object} { file: sha256 } of it and of every .zok file that it imports, directly or not
+*/
+function hashSources(zokPath, sources = {}) {
+  const file = path.relative(getSourceRoot(), zokPath);
+  if (sources[file]) return sources;
+  const code = fs.readFileSync(zokPath);
+  Object.assign(sources, { [file]: sha256(code) });
+  // relative imports are our own files; others come from ZoKrates' standard library
+  const imports = code.toString('utf8').matchAll(/^\s*import\s+"(\.{1,2}\/[^"]+)"/gm);
+  for (const [, imported] of imports) {
+    const importPath = path.join(path.dirname(zokPath), imported);
+    // ZoKrates adds the .zok if an import leaves it out
+    hashSources(fs.existsSync(importPath) ? importPath : `${importPath}.zok`, sources);
+  }
+  return sources;
+}
+
+/**
+@param {string} [zokratesPath] - the ZoKrates binary, by default the one in the ZoKrates Docker
+container that @eyblockchain/zokrates.js runs
+@returns {Promise<string>} what `zokrates --version` says, or null if it can't be run
+*/
+function getZokratesVersion(zokratesPath = '/app/zokrates') {
+  return new Promise(resolve =>
+    execFile(zokratesPath, ['--version'], { timeout: 10000 }, (err, stdout) =>
+      resolve(err ? null : stdout.trim()),
+    ),
+  );
+}
+
+/**
+Called by generateZokratesFiles() once it has set up a circuit
+@param {string} directory - generateZokratesFiles()' outputDirectory
+@param {string} circuit - e.g. 'ft-mint'
+@param {string} zokPath - the circuit's .zok file
+@param {object} mode - as circuits.js' getCircuitMode() returns it
+@returns {object} the manifest
+*/
+async function writeManifest(directory, circuit, zokPath, mode) {
+  const circuitDirectory = path.join(directory, circuit);
+  const vkFile = `${circuit}-vk.json`;
+  const files = {};
+  for (const file of ['out', 'proving.key', 'verification.key', 'verifier.sol', vkFile])
+    files[file] = await hashFile(path.join(circuitDirectory, file));
+  const vk = flattenVk(JSON.parse(fs.readFileSync(path.join(circuitDirectory, vkFile), 'utf8')));
+  const manifest = {
+    circuit,
+    ...mode,
+    zokratesVersion: await getZokratesVersion(),
+    setupAt: new Date().toISOString(),
+    sources: hashSources(zokPath),
+    files,
+    vkHash: hashVk(vk),
+    vkLength: vk.length,
+  };
+  fs.writeFileSync(path.join(circuitDirectory, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+@param {string} circuitDirectory - e.g. <directory>/ft-mint
+@returns {object} the circuit's manifest, or null if it has none
+*/
+function readManifest(circuitDirectory) {
+  const manifestPath = path.join(circuitDirectory, MANIFEST_FILE);
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+}
+
+/**
+Compares a circuit's manifest with the mode in use and the circuit's .zok files
+@param {object} manifest
+@param {object} mode - as circuits.js' getCircuitMode() returns it
+@param {string} zokPath - the circuit's .zok file
+@returns {string} what differs, or null if the circuit's setup is still good
+*/
+function findManifestMismatch(manifest, mode, zokPath) {
+  const key = MODE_KEYS.find(k => manifest[k] !== mode[k]);
+  if (key) return `was set up with ${key} ${manifest[key]}, but ${mode[key]} is in use`;
+  const sources = hashSources(zokPath);
+  const file = Object.keys({ ...sources, ...manifest.sources }).find(
+    f => sources[f] !== manifest.sources[f],
+  );
+  if (file)
+    return `was set up from another version of ${file}, so its trusted setup must be re-run`;
+  return null;
+}
+
+const fileHashes = new Map(); // by path, with the size and mtime that the hash is of
+
+async function getFileHash(file) {
+  const { size, mtimeMs } = await fs.promises.stat(file);
+  const cached = fileHashes.get(file);
+  if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.hash;
+  const hash = await hashFile(file);
+  fileHashes.set(file, { size, mtimeMs, hash });
+  return hash;
+}
+
+/**
+Checks that a proving key is the one that its circuit's manifest records.  Each key is only hashed
+again if it has changed.
+@param {string} pkPath
+@returns {object} the manifest, or null if the key has none beside it
+@throws {CircuitArtifactsError} if the key isn't the one that was set up
+*/
+async function checkProvingKey(pkPath) {
+  const circuitDirectory = path.dirname(pkPath);
+  const manifest = readManifest(circuitDirectory);
+  if (!manifest) return null;
+  const recorded = manifest.files[path.basename(pkPath)];
+  if (!recorded || recorded !== (await getFileHash(pkPath)))
+    throw new CircuitArtifactsError(
+      manifest.circuit,
+      path.dirname(circuitDirectory),
+      `has a ${path.basename(pkPath)} that isn't the one its ${MANIFEST_FILE} records`,
+    );
+  return manifest;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  SOURCE_DIRECTORY,
+  getSourceRoot,
+  hashSources,
+  getZokratesVersion,
+  writeManifest,
+  readManifest,
+  findManifestMismatch,
+  checkProvingKey,
+};
@@ -0,0 +1,44 @@
+/**
+@module prover.js
+@desc The class that every prover extends.  A prover computes the proofs of one circuit: it's
+given the circuit's inputs, as formatted by utils.formatInputsForZkSnark(), and resolves to the
+proof and its public inputs, held in memory.
+*/
+
+class Prover {
+  /**
+  @param {string[]} inputs - the arguments of the circuit
+  @param {object} [job] - { name, directory, signal, onWitness }: a name for this proof; for
+  provers that write files, the directory to write them in (see cli.js); an AbortSignal that stops
+  the proof, for provers that can be stopped; and a function for prove() to call once the witness
+  has been computed
+  @returns {*} the witness, in whatever form generateProof() takes it
+  */
+  // eslint-disable-next-line no-unused-vars
+  async computeWitness(inputs, job) {
+    throw new Error(`${this.constructor.name} has no computeWitness() function`);
+  }
+
+  /**
+  @param {*} witness - from computeWitness()
+  @param {object} [job] - as for computeWitness()
+  @returns {object} { proof, inputs }, as ZoKrates writes them to proof.json: proof is
+  { a, b, c } (with hex coordinates) and inputs are the public inputs
+  */
+  // eslint-disable-next-line no-unused-vars
+  async generateProof(witness, job) {
+    throw new Error(`${this.constructor.name} has no generateProof() function`);
+  }
+
+  /**
+  Computes a witness and then the proof
+  @returns {object} { proof, inputs }
+  */
+  async prove(inputs, job = {}) {
+    const witness = await this.computeWitness(inputs, job);
+    if (job.onWitness) job.onWitness();
+    return this.generateProof(witness, job);
+  }
+}
+
+module.exports = { Prover };
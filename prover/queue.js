@@ -0,0 +1,154 @@
+/**
+@module queue.js
+@desc A queue for the proofs that the token functions compute, which limits how many are computed
+at once (proofs are heavy on CPU and memory) and reports the progress of each token function's job
+as events.  A job is queued, started, has its witness computed and its proof generated, and then its
+transaction is submitted and mined; it can instead be cancelled or fail.  Each of those emits an
+event ('queued', 'started', 'witness', 'proof', 'submitted', 'mined', 'cancelled' or 'failed')
+with the job, which is { id, operation, name, priority, state, transactionHash, error }.
+The token functions share the queue exported as proofQueue, unless blockchainOptions.proofQueue is
+given.
+*/
+const EventEmitter = require('events');
+const config = require('../config');
+const logger = require('../logger');
+const { ProofCancelledError } = require('../errors');
+
+class ProofQueue extends EventEmitter {
+  /**
+  @param {object} [options]
+  @param {number} [options.concurrency] - how many proofs to compute at once, by default
+  config.PROOF_CONCURRENCY
+  */
+  constructor({ concurrency } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.waiting = []; // { job, start }, highest priority first, then in the order they were queued
+    this.running = 0;
+    this.jobCount = 0;
+  }
+
+  getConcurrency() {
+    return this.concurrency || config.PROOF_CONCURRENCY;
+  }
+
+  setState(job, state) {
+    Object.assign(job, { state });
+    this.emit(state, job);
+  }
+
+  /**
+  Queues a proof, and computes it with the prover once fewer than concurrency proofs are being
+  computed
+  @param {object} prover - see index.js
+  @param {string[]} inputs - the arguments of the circuit
+  @param {object} [job]
+  @param {string} [job.operation] - the token function, e.g. 'transfer'
+  @param {string} [job.name] - a name for the proof, as for prover.prove()
+  @param {number} [job.priority=0] - jobs with a higher priority are started first
+  @param {AbortSignal} [job.signal] - cancels the job, which rejects with a ProofCancelledError
+  (a proof that's already being computed is stopped if the prover can stop it)
+  @returns {Promise} which resolves to the prover's { proof, inputs }
+  */
+  prove(prover, inputs, job = {}) {
+    this.jobCount += 1;
+    Object.assign(job, { id: this.jobCount, priority: job.priority || 0 });
+    return new Promise((resolve, reject) => {
+      const { signal } = job;
+      let settled = false;
+      let onAbort;
+      const finish = (state, settle, value) => {
+        if (settled) return;
+        settled = true;
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+        if (state !== 'proof') Object.assign(job, { error: value });
+        this.setState(job, state);
+        settle(value);
+      };
+
+      const start = () => {
+        this.setState(job, 'started');
+        Promise.resolve()
+          .then(() =>
+            prover.prove(inputs, {
+              name: job.name,
+              signal,
+              onWitness: () => !settled && this.setState(job, 'witness'),
+            }),
+          )
+          .then(
+            proof => finish('proof', resolve, proof),
+            err => finish('failed', reject, err),
+          )
+          .finally(() => {
+            // a cancelled proof that the prover couldn't stop still counts until it's done
+            this.running -= 1;
+            this.next();
+          });
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new ProofCancelledError(job, signal.reason));
+          return;
+        }
+        onAbort = () => {
+          this.waiting = this.waiting.filter(waiting => waiting.job !== job);
+          finish('cancelled', reject, new ProofCancelledError(job, signal.reason));
+        };
+        signal.addEventListener('abort', onAbort);
+      }
+
+      const index = this.waiting.findIndex(waiting => waiting.job.priority < job.priority);
+      this.waiting.splice(index === -1 ? this.waiting.length : index, 0, { job, start });
+      this.setState(job, 'queued');
+      this.next();
+    });
+  }
+
+  // starts as many waiting jobs as the concurrency allows
+  next() {
+    while (this.running < this.getConcurrency() && this.waiting.length) {
+      this.running += 1;
+      const { job, start } = this.waiting.shift();
+      logger.debug(`Starting proof job ${job.id} (${job.operation})`);
+      start();
+    }
+  }
+
+  /**
+  Waits for a job's transaction to be mined, emitting 'submitted' once it has a hash
+  @param {object} job - which prove() was given
+  @param {Promise} transaction - the PromiEvent of web3's send() or sendSignedTransaction()
+  @returns {object} the transaction receipt
+  */
+  async track(job, transaction) {
+    if (typeof transaction.on === 'function')
+      transaction.on('transactionHash', transactionHash => {
+        Object.assign(job, { transactionHash });
+        this.setState(job, 'submitted');
+      });
+    try {
+      const txReceipt = await transaction;
+      Object.assign(job, { transactionHash: txReceipt.transactionHash });
+      this.setState(job, 'mined');
+      return txReceipt;
+    } catch (err) {
+      Object.assign(job, { error: err });
+      this.setState(job, 'failed');
+      throw err;
+    }
+  }
+}
+
+const proofQueue = new ProofQueue();
+
+/**
+@param {object} blockchainOptions - of a token function
+@returns {object} the queue for the token function's proofs
+*/
+function getProofQueue(blockchainOptions = {}) {
+  return blockchainOptions.proofQueue || proofQueue;
+}
+
+module.exports = { ProofQueue, proofQueue, getProofQueue };
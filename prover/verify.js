@@ -0,0 +1,191 @@
+/**
+@module verify.js
+@desc Verifies GM17 and Groth16 proofs over BN254 (alt_bn128) in JavaScript, as the Shield
+contracts' Verifier does on-chain, so that a bad proof can be caught before any gas is spent on it.
+It works for anyone holding a proof, its public inputs and the circuit's verification key: the
+*-vk.json that setup/generateZokratesFiles.js writes, or the flattened vk that the Shield contract
+was given (see vks.js).
+G2 points are encoded as the contracts encode them: [[x.c1, x.c0], [y.c1, y.c0]].
+*/
+const fs = require('fs');
+const { bn254 } = require('@noble/curves/bn254');
+const config = require('../config');
+const { ProofVerificationError } = require('../errors');
+
+const G1 = bn254.G1.ProjectivePoint;
+const G2 = bn254.G2.ProjectivePoint;
+const { Fp2, Fp12, Fr } = bn254.fields;
+const isZero = value => BigInt(value) === BigInt(0);
+
+// throws if the point isn't on the curve (or, for G2, isn't in the right subgroup)
+function g1Point([x, y]) {
+  if (isZero(x) && isZero(y)) return G1.ZERO;
+  const point = G1.fromAffine({ x: BigInt(x), y: BigInt(y) });
+  point.assertValidity();
+  return point;
+}
+
+function g2Point([[x1, x0], [y1, y0]]) {
+  if ([x1, x0, y1, y0].every(isZero)) return G2.ZERO;
+  const point = G2.fromAffine({
+    x: Fp2.fromBigTuple([BigInt(x0), BigInt(x1)]),
+    y: Fp2.fromBigTuple([BigInt(y0), BigInt(y1)]),
+  });
+  point.assertValidity();
+  return point;
+}
+
+// pairs up a flattened list of coordinates
+const pairs = values =>
+  values.reduce((acc, value, i) => (i % 2 ? acc : [...acc, [value, values[i + 1]]]), []);
+
+/**
+Reads a verification key in any of the forms that it comes in
+@param {object | string | Array} vk - a vk.json, or the path of one, or the flattened vk that the
+Shield contract holds (in the order of Verifier.sol or VerifierGroth16.sol), or a key that this
+has already parsed
+@param {string} [provingScheme] - of a flattened vk, by default config.PROVING_SCHEME
+@returns {object} { provingScheme, ... } with the key's points
+*/
+function parseVerificationKey(vk, provingScheme = config.PROVING_SCHEME) {
+  if (vk.provingScheme) return vk; // already parsed
+  if (typeof vk === 'string') return parseVerificationKey(JSON.parse(fs.readFileSync(vk, 'utf8')));
+  if (Array.isArray(vk)) {
+    const points = pairs(vk);
+    if (provingScheme === 'g16') {
+      if (vk.length < 16 || vk.length % 2)
+        throw new Error('A flattened Groth16 vk has 14 + 2n values');
+      return parseVerificationKey({
+        alpha: points[0],
+        beta: pairs(vk.slice(2, 6)),
+        gamma: pairs(vk.slice(6, 10)),
+        delta: pairs(vk.slice(10, 14)),
+        gamma_abc: points.slice(7),
+      });
+    }
+    if (vk.length < 18 || vk.length % 2) throw new Error('A flattened GM17 vk has 16 + 2n values');
+    return parseVerificationKey({
+      H: pairs(vk.slice(0, 4)),
+      Galpha: points[2],
+      Hbeta: pairs(vk.slice(6, 10)),
+      Ggamma: points[5],
+      Hgamma: pairs(vk.slice(12, 16)),
+      query: points.slice(8),
+    });
+  }
+  if (vk.H && vk.Galpha)
+    return {
+      provingScheme: 'gm17',
+      H: g2Point(vk.H),
+      Galpha: g1Point(vk.Galpha),
+      Hbeta: g2Point(vk.Hbeta),
+      Ggamma: g1Point(vk.Ggamma),
+      Hgamma: g2Point(vk.Hgamma),
+      query: vk.query.map(g1Point),
+    };
+  const alpha = vk.alpha || vk.a;
+  const beta = vk.beta || vk.b;
+  const query = vk.gamma_abc || vk.gammaABC || vk.IC || vk.query;
+  if (alpha && beta && vk.gamma && vk.delta && query)
+    return {
+      provingScheme: 'g16',
+      alpha: g1Point(alpha),
+      beta: g2Point(beta),
+      gamma: g2Point(vk.gamma),
+      delta: g2Point(vk.delta),
+      query: query.map(g1Point),
+    };
+  throw new Error('The verification key is neither a GM17 nor a Groth16 key');
+}
+
+/**
+@param {object | Array} proof - { a, b, c } as ZoKrates writes them to proof.json, or flattened
+into 8 values as the token functions send them to the Shield contract
+@param {string} [provingScheme] - of a flattened vk, by default config.PROVING_SCHEME
+@returns {object} { A, B, C } as curve points
+*/
+function parseProof(proof) {
+  const { a, b, c } = Array.isArray(proof)
+    ? { a: proof.slice(0, 2), b: pairs(proof.slice(2, 6)), c: proof.slice(6, 8) }
+    : proof;
+  return { A: g1Point(a), B: g2Point(b), C: g1Point(c) };
+}
+
+// whether the product of the pairings e(g1, g2) is 1 (a pairing with the point at infinity is 1)
+function pairingProductIsOne(pairings) {
+  const product = bn254.pairingBatch(
+    pairings.filter(({ g1, g2 }) => !g1.equals(G1.ZERO) && !g2.equals(G2.ZERO)),
+  );
+  return Fp12.eql(product, Fp12.ONE);
+}
+
+/**
+Verifies a proof, as the Shield contract's Verifier would
+@param {object | string | Array} vk - see parseVerificationKey()
+@param {object | Array} proof - see parseProof()
+@param {Array} inputs - the public inputs, as decimal or hex strings (or BigInts), as the token
+functions send them to the Shield contract
+@returns {boolean} whether the proof is valid.  A proof whose points aren't on the curve is not.
+@throws if the vk is malformed, or the number of inputs doesn't match it
+*/
+function verifyProof(vk, proof, inputs, provingScheme) {
+  const key = parseVerificationKey(vk, provingScheme);
+  if (inputs.length + 1 !== key.query.length)
+    throw new Error(
+      `The vk takes ${key.query.length - 1} public inputs but ${inputs.length} were given`,
+    );
+  let A;
+  let B;
+  let C;
+  try {
+    ({ A, B, C } = parseProof(proof));
+  } catch (err) {
+    return false;
+  }
+  // the public inputs' part of the proof: query[0] + sum(inputs[i] * query[i + 1]), the inputs
+  // being elements of the scalar field Fr
+  const inputsPoint = inputs.reduce((sum, input, i) => {
+    const scalar = Fr.create(BigInt(input));
+    return scalar === BigInt(0) ? sum : sum.add(key.query[i + 1].multiply(scalar));
+  }, key.query[0]);
+
+  if (key.provingScheme === 'gm17')
+    // e(A + Galpha, B + Hbeta) = e(Galpha, Hbeta) * e(inputsPoint, Hgamma) * e(C, H)
+    // e(A, Hgamma) = e(Ggamma, B)
+    return (
+      pairingProductIsOne([
+        { g1: key.Galpha, g2: key.Hbeta },
+        { g1: inputsPoint, g2: key.Hgamma },
+        { g1: C, g2: key.H },
+        { g1: A.add(key.Galpha).negate(), g2: B.add(key.Hbeta) },
+      ]) &&
+      pairingProductIsOne([
+        { g1: A, g2: key.Hgamma },
+        { g1: key.Ggamma.negate(), g2: B },
+      ])
+    );
+  // e(A, B) = e(alpha, beta) * e(inputsPoint, gamma) * e(C, delta)
+  return pairingProductIsOne([
+    { g1: A.negate(), g2: B },
+    { g1: key.alpha, g2: key.beta },
+    { g1: inputsPoint, g2: key.gamma },
+    { g1: C, g2: key.delta },
+  ]);
+}
+
+const verificationKeys = new Map(); // by vkPath, so that each is read and checked once
+
+/**
+Called by the token functions before they send a proof to the Shield contract, if their prover
+was given the circuit's vk (as the prover option vkPath)
+@throws {ProofVerificationError} if the proof isn't valid
+*/
+function checkProof(prover, proof, inputs, operation) {
+  if (!prover.vkPath) return;
+  if (!verificationKeys.has(prover.vkPath))
+    verificationKeys.set(prover.vkPath, parseVerificationKey(prover.vkPath));
+  if (!verifyProof(verificationKeys.get(prover.vkPath), proof, inputs))
+    throw new ProofVerificationError(operation, prover.vkPath, inputs);
+}
+
+module.exports = { verifyProof, checkProof, parseVerificationKey, parseProof };
@@ -0,0 +1,115 @@
+/**
+@module wasm.js
+@desc A prover that runs ZoKrates compiled to WebAssembly, with the zokrates-js package, so that it
+needs neither Docker nor a ZoKrates binary.  zokrates-js is an optional dependency: install it
+(npm install zokrates-js) to use this prover.  The program, its abi.json and the proving key must
+come from a version of ZoKrates that's compatible with the installed zokrates-js.
+Nothing is written to disk: the witness is held in memory.
+*/
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { Prover } = require('./prover');
+
+let zokratesProvider; // initialising zokrates-js loads its WebAssembly, so we only do it once
+
+async function getZokratesProvider() {
+  if (!zokratesProvider) {
+    let zokratesJs;
+    try {
+      // eslint-disable-next-line global-require, import/no-unresolved
+      zokratesJs = require('zokrates-js');
+    } catch (err) {
+      throw new Error('The WASM prover needs the zokrates-js package: npm install zokrates-js');
+    }
+    zokratesProvider = await zokratesJs.initialize();
+  }
+  return zokratesProvider;
+}
+
+/**
+Arranges the flat list of inputs that the ZoKrates CLI takes into the arguments that the abi
+describes (zokrates-js wants arrays and structs as such)
+@param {object} abi - the circuit's abi.json
+@param {string[]} inputs
+*/
+function structureInputs(abi, inputs) {
+  let next = 0;
+  const structure = type => {
+    switch (type.type) {
+      case 'array':
+        return Array.from({ length: type.components.size }, () => structure(type.components));
+      case 'struct':
+        return Object.fromEntries(
+          type.components.members.map(member => [member.name, structure(member)]),
+        );
+      case 'bool':
+        next += 1;
+        return inputs[next - 1] === '1';
+      default:
+        next += 1;
+        return inputs[next - 1];
+    }
+  };
+  const args = abi.inputs.map(structure);
+  if (next !== inputs.length)
+    throw new Error(`The circuit takes ${next} inputs but was given ${inputs.length}`);
+  return args;
+}
+
+class ZokratesWasmProver extends Prover {
+  /**
+  @param {object} options
+  @param {string} options.codePath - location of the compiled program
+  @param {string} options.pkPath - location of the proving key file
+  @param {string} [options.abiPath] - by default, abi.json beside the program
+  @param {string} [options.provingScheme] - 'gm17' or 'g16', by default config.PROVING_SCHEME
+  @param {string} [options.vkPath] - the circuit's vk.json, to check each proof against (see
+  verify.js)
+  */
+  constructor({ codePath, pkPath, abiPath, provingScheme = config.PROVING_SCHEME, vkPath } = {}) {
+    super();
+    Object.assign(this, {
+      codePath,
+      pkPath,
+      abiPath: abiPath || path.join(path.dirname(codePath), 'abi.json'),
+      provingScheme,
+      vkPath,
+    });
+  }
+
+  // the circuit's files are read once, on first use
+  getArtifacts() {
+    if (!this.artifacts)
+      this.artifacts = {
+        program: new Uint8Array(fs.readFileSync(this.codePath)),
+        abi: JSON.parse(fs.readFileSync(this.abiPath, 'utf8')),
+        provingKey: new Uint8Array(fs.readFileSync(this.pkPath)),
+      };
+    return this.artifacts;
+  }
+
+  async getProvider() {
+    const provider = await getZokratesProvider();
+    // older versions of zokrates-js only have the default scheme
+    return typeof provider.withOptions === 'function'
+      ? provider.withOptions({ backend: 'ark', curve: 'bn128', scheme: this.provingScheme })
+      : provider;
+  }
+
+  async computeWitness(inputs) {
+    const { program, abi } = this.getArtifacts();
+    const provider = await this.getProvider();
+    const { witness } = provider.computeWitness({ program, abi }, structureInputs(abi, inputs));
+    return witness;
+  }
+
+  async generateProof(witness) {
+    const { program, provingKey } = this.getArtifacts();
+    const provider = await this.getProvider();
+    const { proof, inputs } = provider.generateProof(program, witness, provingKey);
+    return { proof, inputs };
+  }
+}
+
+module.exports = { ZokratesWasmProver, structureInputs };
@@ -0,0 +1,31 @@
+/**
+@module zokrates-js.js
+@desc The prover that the token modules have always used: @eyblockchain/zokrates.js, which runs
+ZoKrates in the Docker container (at /app/zokrates).  It writes the same files as the native
+prover in cli.js, so it shares that prover's handling of them.
+*/
+const zokrates = require('@eyblockchain/zokrates.js');
+const { ZokratesCliProver } = require('./cli');
+
+/**
+Takes the zokratesOptions that the token functions used to take ({ codePath, pkPath,
+outputDirectory, witnessName, proofName, provingScheme }), and keepFiles, as ZokratesCliProver does
+*/
+class ZokratesJsProver extends ZokratesCliProver {
+  async computeWitness(inputs, job = {}) {
+    const directory = job.directory || this.outputDirectory;
+    await zokrates.computeWitness(this.codePath, directory, this.witnessName, inputs);
+    return this.filePath(job, this.witnessName);
+  }
+
+  async generateProof(witnessPath, job = {}) {
+    await zokrates.generateProof(this.pkPath, this.codePath, witnessPath, this.provingScheme, {
+      createFile: true,
+      directory: job.directory || this.outputDirectory,
+      fileName: this.proofName,
+    });
+    return this.readProof(this.filePath(job, this.proofName));
+  }
+}
+
+module.exports = { ZokratesJsProver };
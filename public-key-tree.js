@@ -1,45 +1,179 @@
+/**
+@module public-key-tree.js
+@desc Keeps a copy of the FTokenShield contract's PublicKeyTree (the Merkle tree of whitelisted
+ZKP public keys, see PublicKeyTree.sol) in this process, so that a compliance proof's sibling
+paths can be read without a contract call per node.  A key usually joins the tree when its owner
+first mints, so new leaves are found from MintRC events.  But a call to checkUser() adds a key
+without an event, and blacklisting and unblacklisting change leaves without one, so when the root
+we compute differs from the contract's, we read the leaves from the contract's storage instead:
+those we know of, then those after them until the roots agree.  Every read in an update is made at the same block, so
+that the tree is always one that the contract has held.
+*/
+const Web3 = require('./provider');
 const { PUBLIC_KEY_TREE_HEIGHT, ZOKRATES_PRIME } = require('./config');
+const { MerkleTree } = require('./merkleTree/tree');
+const { PublicKeyRootPrunedError } = require('./errors');
+const logger = require('./logger');
 
 const FIRST_LEAF_INDEX = 2 ** PUBLIC_KEY_TREE_HEIGHT - 1;
+const LEAVES_PER_READ = 8; // when looking in storage for keys that were added without an event
+
+const trees = new Map(); // contract address => { tree, leafIndexes, lastBlock, syncing }
+
+// the contract reduces keys modulo the ZoKrates prime before adding them
+const toKey = key => `0x${(BigInt(key) % ZOKRATES_PRIME).toString(16).padStart(64, '0')}`;
+
+const isZero = value => BigInt(value) === BigInt(0);
+
+function getEntry(contractInstance) {
+  const address = contractInstance.options.address.toLowerCase();
+  if (!trees.has(address))
+    trees.set(address, {
+      tree: new MerkleTree({ hashType: 'mimc', treeHeight: PUBLIC_KEY_TREE_HEIGHT }),
+      leafIndexes: new Map(), // key => leafIndex
+      lastBlock: -1,
+      syncing: Promise.resolve(),
+    });
+  return trees.get(address);
+}
+
 /**
-This function queries the Merkle tree held in PublicKeyTree.sol and returns
-the sibling path from the provided leaf (key) up to the root. The root is also
-returned as element 0 of the sibling path.
-@param {object} contractInstance - and instance of the contract that inherits PublicKeyTree.sol
-@param {string} key - the public key leaf that the path is to be computed for
+Reads the keys added since the last update, and any leaves that have changed
 */
-async function getPublicKeyTreeData(contractInstance, _key) {
-  const key = `0x${(BigInt(_key) % ZOKRATES_PRIME).toString(16).padStart(64, '0')}`;
-  console.log('KEY LENGTH WAS', key.length - 2, key);
-  const commitmentIndex = await contractInstance.methods.L(key).call();
-  const siblingPath = []; // sibling path
-  let s = 0; // index of sibling path node in the merkle tree
-  let t = 0; // temp index for next highest path node in the merkle tree
-  let p = Number(commitmentIndex);
-
-  const leafIndex = commitmentIndex - FIRST_LEAF_INDEX;
-  if (leafIndex < 0) {
-    throw Error(
-      'The public key is not added to the whitelist yet, please create a mint commitment to add the key',
-    );
+async function update(contractInstance) {
+  const entry = getEntry(contractInstance);
+  const toBlock = await Web3.connection().eth.getBlockNumber();
+  if (toBlock <= entry.lastBlock) return;
+  const { tree, leafIndexes } = entry;
+  const { methods } = contractInstance;
+  const call = method => method.call({}, toBlock);
+  // a leaf as the contract stores it: its key, or zero if the key is blacklisted
+  const readLeaf = leafIndex => call(methods.M(FIRST_LEAF_INDEX + leafIndex));
+  const setLeaf = (leafIndex, leaf) => {
+    if (leafIndex === tree.leafCount) tree.insertLeaves([leaf], leafIndex);
+    else if (BigInt(leaf) !== BigInt(tree.getLeaf(leafIndex))) tree.updateLeaf(leafIndex, leaf);
+    if (!isZero(leaf)) leafIndexes.set(toKey(leaf), leafIndex);
+  };
+
+  const events = await contractInstance.getPastEvents('MintRC', {
+    fromBlock: entry.lastBlock + 1,
+    toBlock,
+  });
+  const newKeys = [...new Set(events.map(event => toKey(event.returnValues.zkpPublicKey)))].filter(
+    key => !leafIndexes.has(key),
+  );
+  const newLeaves = await Promise.all(
+    newKeys.map(async key => ({
+      key,
+      leafIndex: Number(await call(methods.L(key))) - FIRST_LEAF_INDEX,
+    })),
+  );
+  for (const { key, leafIndex } of newLeaves.sort((a, b) => a.leafIndex - b.leafIndex)) {
+    // keys before this one that have no event were added by a call to checkUser()
+    while (tree.leafCount < leafIndex) setLeaf(tree.leafCount, await readLeaf(tree.leafCount));
+    setLeaf(leafIndex, key);
   }
-  for (let r = PUBLIC_KEY_TREE_HEIGHT; r > 0; r--) {
-    if (p % 2 === 0) {
-      s = p - 1;
-      t = Math.floor((p - 1) / 2);
-    } else {
-      s = p + 1;
-      t = Math.floor(p / 2);
+
+  const root = await call(methods.M(0));
+  if (BigInt(root) !== BigInt(tree.root)) {
+    logger.debug(`\nThe public key tree has changed without an event, so reading its leaves`);
+    const leaves = await Promise.all(tree.leaves.map((leaf, leafIndex) => readLeaf(leafIndex)));
+    leaves.forEach((leaf, leafIndex) => setLeaf(leafIndex, leaf));
+    // then any keys that checkUser() has added since our last one, until the roots agree:
+    while (BigInt(root) !== BigInt(tree.root)) {
+      const { leafCount } = tree;
+      const nextLeaves = await Promise.all(
+        Array.from({ length: LEAVES_PER_READ }, (_, i) => readLeaf(leafCount + i)),
+      );
+      // the contract has no leaves after its last key, not even zero ones:
+      const lastKey = nextLeaves.map(leaf => !isZero(leaf)).lastIndexOf(true);
+      if (lastKey === -1)
+        throw new Error(
+          `The public key tree read at block ${toBlock} has root ${tree.root}, but the contract's is ${root}`,
+        );
+      nextLeaves.slice(0, lastKey + 1).forEach((leaf, i) => setLeaf(leafCount + i, leaf));
     }
-    siblingPath[r] = contractInstance.methods.M(s).call();
-    p = t;
   }
-  siblingPath[0] = contractInstance.methods.M(0).call(); // store the root value here
+  entry.lastBlock = toBlock;
+}
 
-  return {
-    leafIndex,
-    siblingPath: await Promise.all(siblingPath),
+/**
+Brings our copy of a contract's public key tree up to date
+@param {object} contractInstance - a web3 instance of the contract that inherits PublicKeyTree.sol
+@returns {object} { tree, leafIndexes, lastBlock }
+*/
+async function sync(contractInstance) {
+  const entry = getEntry(contractInstance);
+  // updates are queued, so that two of them can't insert the same keys:
+  entry.syncing = entry.syncing
+    .catch(() => {})
+    .then(() => update(contractInstance))
+    .catch(err => {
+      // start again from scratch next time, rather than from a half-updated tree:
+      trees.delete(contractInstance.options.address.toLowerCase());
+      throw err;
+    });
+  await entry.syncing;
+  return entry;
+}
+
+/**
+Checks that the contract still accepts a public key tree root
+@param {object} contractInstance
+@param {string} root
+@throws {PublicKeyRootPrunedError} if a blacklisting, or newer roots, have pruned it
+*/
+async function checkPublicKeyRoot(contractInstance, root) {
+  if (isZero(await contractInstance.methods.publicKeyRoots(root).call()))
+    throw new PublicKeyRootPrunedError(root);
+}
+
+/**
+Gets the sibling paths of several public keys, all leading to the same root
+@param {object} contractInstance - a web3 instance of the contract that inherits PublicKeyTree.sol
+@param {string[]} keys - the public keys
+@returns {object[]} { leafIndex, siblingPath } for each key, where siblingPath[0] is the root
+*/
+async function getPublicKeyTreePaths(contractInstance, keys) {
+  const attempt = async retry => {
+    const { tree, leafIndexes } = await sync(contractInstance);
+    const paths = keys.map(toKey).map(key => {
+      if (!leafIndexes.has(key))
+        throw new Error(
+          'The public key is not added to the whitelist yet, please create a mint commitment to add the key',
+        );
+      const leafIndex = leafIndexes.get(key);
+      if (isZero(tree.getLeaf(leafIndex)))
+        throw new Error(`The public key ${key} has been blacklisted`);
+      return { leafIndex, siblingPath: tree.getSiblingPath(leafIndex) };
+    });
+    try {
+      await checkPublicKeyRoot(contractInstance, tree.root);
+    } catch (err) {
+      // the tree may have changed since we read it:
+      if (retry && err instanceof PublicKeyRootPrunedError) return attempt(false);
+      throw err;
+    }
+    return paths;
   };
+  return attempt(true);
+}
+
+/**
+Returns the sibling path from the provided leaf (key) up to the root of the Merkle tree held in
+PublicKeyTree.sol. The root is also returned as element 0 of the sibling path.
+@param {object} contractInstance - and instance of the contract that inherits PublicKeyTree.sol
+@param {string} key - the public key leaf that the path is to be computed for
+@returns {object} { leafIndex, siblingPath }
+*/
+async function getPublicKeyTreeData(contractInstance, key) {
+  const [data] = await getPublicKeyTreePaths(contractInstance, [key]);
+  return data;
 }
 
-module.exports = { getPublicKeyTreeData };
+module.exports = {
+  getPublicKeyTreeData,
+  getPublicKeyTreePaths,
+  checkPublicKeyRoot,
+  sync,
+};
@@ -0,0 +1,200 @@
+/**
+ * @module
+ * @desc Writes the .zok files for a batch size and Merkle tree height other than those that
+ * setup/gm17 was written for.  The circuits whose code depends on them (those that take a sibling
+ * path, and the batch transfer and consolidation circuits) and the Merkle root gadgets are rendered
+ * from the templates in setup/templates, in which {{...}} stands for a size.  The gadgets that a
+ * batch size needs (concatenateFields, sha256 padding and a sha256 of as many blocks) are written if
+ * setup/gm17 doesn't have them.  Everything else is copied from setup/gm17.
+ *
+ * setup/gm17 is itself the rendering of the templates for the sizes in its circuit-parameters.json,
+ * so a template that is changed must be rendered into setup/gm17 again:
+ *
+ *   generateCircuits('setup/gm17', { batchSize: 20, treeHeight: 32 })
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+const { SOURCE_DIRECTORY } = require('../prover/manifest');
+
+const TEMPLATE_DIRECTORY = path.join(__dirname, 'templates');
+const PARAMETERS_FILE = 'circuit-parameters.json';
+const MAX_TREE_HEIGHT = 128; // the circuits unpack a leaf index to 128 bits
+// a smaller batch's public input hash would be of 1024 or 1536 bits, and our sha256 gadget for it
+// would then clash with the sha256of1024 and sha256of1536 that the batch circuits import from ZoKrates
+const MIN_BATCH_SIZE = 4;
+
+/**
+ * @param {String} directory - Of .zok files, as generateCircuits() writes them
+ * @returns {Object} { batchSize, treeHeight } that the directory's circuits were written for
+ */
+function readCircuitParameters(directory) {
+  return JSON.parse(fs.readFileSync(path.join(directory, PARAMETERS_FILE), 'utf8'));
+}
+
+/**
+ * @param {Number} batchSize
+ * @param {Number} treeHeight
+ * @returns {Object} the value of each {{...}} in the templates
+ */
+function templateValues(batchSize, treeHeight) {
+  // the batch circuits' public input hash is of the root, nullifier(s) and commitment(s), each
+  // 256 bits, padded to a whole number of 512-bit sha256 blocks
+  const hashedFields = batchSize + 2;
+  const hashedBits = hashedFields * 256;
+  const paddedBits = Math.ceil((hashedBits + 65) / 512) * 512;
+  return {
+    batchSize,
+    batchBits: batchSize * 256,
+    hashedFields,
+    hashedBits,
+    paddedBits,
+    paddedBlocks: Array.from(
+      { length: paddedBits / 256 },
+      (_, i) => `preimage${paddedBits}[${i * 256}..${(i + 1) * 256}]`,
+    ).join(', '),
+    treeHeight,
+    lastPathIndex: treeHeight - 1,
+  };
+}
+
+/**
+ * @param {String} template - The text of a template
+ * @param {Object} values - As templateValues() returns them
+ * @returns {String} the template with each {{name}} replaced by its value
+ */
+function renderTemplate(template, values) {
+  return template.replace(/{{(\w+)}}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name))
+      throw new Error(`The template placeholder ${placeholder} has no value`);
+    return values[name];
+  });
+}
+
+// the gadgets that a batch size needs, by their path in setup/gm17
+function concatenateFieldsGadget(fields) {
+  const unpacks = Array.from(
+    { length: fields },
+    (_, i) => `\tfield[256] b${i} = unpack2xx128To256(a[${i}])\n`,
+  );
+  const bs = Array.from({ length: fields }, (_, i) => `...b${i}`).join(', ');
+  return [
+    `common/concat/concatenateFields${fields}x2x128.zok`,
+    'import "../packing/unpack2x128To256.zok" as unpack2xx128To256\n\n' +
+      '// note that this concatenate function expects fields rather than binary as inputs.\n' +
+      `def main(field[${fields}][2] a)->(field[${fields * 256}]):\n${unpacks.join('')}` +
+      `\treturn [${bs}]\n`,
+  ];
+}
+
+function shaPadGadget(bits, paddedBits) {
+  // a 1, then 0s, then the length of the message as 64 bits
+  const length = bits.toString(2).padStart(64, '0').split('');
+  const padding = [1, ...new Array(paddedBits - bits - 65).fill(0), ...length];
+  return [
+    `common/hashes/sha256/padding/shaPad${bits}To${paddedBits}.zok`,
+    `def main(field[${bits}] a)->(field[${paddedBits}]):\n  return [...a, ${padding.join(', ')}]\n`,
+  ];
+}
+
+function sha256Gadget(paddedBits) {
+  const blocks = paddedBits / 256;
+  const args = Array.from({ length: blocks }, (_, i) => `field[256] a${i}`).join(', ');
+  const rounds = Array.from(
+    { length: blocks / 2 },
+    (_, i) =>
+      `    digest${i + 1} =  sha256(a${2 * i}, a${2 * i + 1}, ${i === 0 ? 'IV' : `digest${i}`})\n`,
+  );
+  return [
+    `common/hashes/sha256/sha256of${paddedBits}.zok`,
+    'import "hashes/sha256/IVconstants.code" as IVconstants\n' +
+      'import "hashes/sha256/shaRoundNoBoolCheck.code" as sha256\n\n' +
+      `// A function that takes ${blocks} field[256] arrays as inputs\n` +
+      `// and applies ${blocks / 2} rounds of sha256 compression.\n` +
+      '// It returns an array of 256 field elements.\n' +
+      `def main(${args}) -> (field[256]):\n    IV =  IVconstants()\n${rounds.join('')}` +
+      `\treturn digest${blocks / 2}\n`,
+  ];
+}
+
+/**
+ * @param {String} directory
+ * @returns {String[]} the paths of the .zok files in a directory and its subdirectories, relative to it
+ */
+function listTemplates(directory, prefix = '') {
+  return fs.readdirSync(path.join(directory, prefix), { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(prefix, entry.name);
+    if (entry.isDirectory()) return listTemplates(directory, file);
+    return entry.name.endsWith('.zok') ? [file] : [];
+  });
+}
+
+/**
+ * Writes a complete set of .zok files for a batch size and Merkle tree height, in the layout of
+ * setup/gm17, so that generateZokratesFiles() can set them up once config.CIRCUIT_SOURCE_DIRECTORY
+ * is the output directory (and config.BATCH_PROOF_SIZE and config.TREE_HEIGHT are the sizes).
+ *
+ * @param {String} outputDirectory - Where to write the .zok files
+ * @param {Object} [sizes]
+ * @param {Number} [sizes.batchSize] - How many commitments the batch transfer makes and the
+ * consolidation transfer spends, at least 4, by default config.BATCH_PROOF_SIZE
+ * @param {Number} [sizes.treeHeight] - The height of the commitments' Merkle tree, at most 128, by
+ * default config.TREE_HEIGHT
+ * @returns {String[]} the files that were rendered from templates or generated
+ */
+async function generateCircuits(
+  outputDirectory,
+  { batchSize = config.BATCH_PROOF_SIZE, treeHeight = config.TREE_HEIGHT } = {},
+) {
+  if (!Number.isInteger(batchSize) || batchSize < MIN_BATCH_SIZE)
+    throw new Error(
+      `The batch size must be a whole number of at least ${MIN_BATCH_SIZE}, not ${batchSize}`,
+    );
+  if (!Number.isInteger(treeHeight) || treeHeight < 1 || treeHeight > MAX_TREE_HEIGHT)
+    throw new Error(
+      `The tree height must be a whole number from 1 to ${MAX_TREE_HEIGHT}, not ${treeHeight}`,
+    );
+  logger.info(`Writing circuits for batches of ${batchSize} and a tree of height ${treeHeight}`);
+
+  if (path.resolve(outputDirectory) !== SOURCE_DIRECTORY)
+    await fs.promises.cp(SOURCE_DIRECTORY, outputDirectory, { recursive: true });
+
+  const values = templateValues(batchSize, treeHeight);
+  const written = [];
+  for (const file of listTemplates(TEMPLATE_DIRECTORY)) {
+    const template = await fs.promises.readFile(path.join(TEMPLATE_DIRECTORY, file), 'utf8');
+    await fs.promises.writeFile(path.join(outputDirectory, file), renderTemplate(template, values));
+    written.push(file);
+  }
+
+  const gadgets = [
+    concatenateFieldsGadget(values.batchSize),
+    concatenateFieldsGadget(values.hashedFields),
+    shaPadGadget(values.hashedBits, values.paddedBits),
+    sha256Gadget(values.paddedBits),
+  ];
+  for (const [file, code] of gadgets) {
+    // keep setup/gm17's own, which may differ from ours only in layout
+    if (!fs.existsSync(path.join(outputDirectory, file))) {
+      await fs.promises.writeFile(path.join(outputDirectory, file), code);
+      written.push(file);
+    }
+  }
+
+  await fs.promises.writeFile(
+    path.join(outputDirectory, PARAMETERS_FILE),
+    `${JSON.stringify({ batchSize, treeHeight }, null, 2)}\n`,
+  );
+  logger.info(`Wrote the circuits to ${outputDirectory}`);
+  return written;
+}
+
+module.exports = {
+  generateCircuits,
+  readCircuitParameters,
+  renderTemplate,
+  templateValues,
+  TEMPLATE_DIRECTORY,
+};
@@ -10,12 +10,24 @@ const util = require('util');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 const logger = require('../logger');
+const { getSourceDirectory, getCircuitMode, getCircuitNames } = require('../prover/circuits');
+const {
+  getSourceRoot,
+  writeManifest,
+  readManifest,
+  findManifestMismatch,
+} = require('../prover/manifest');
+const { readCircuitParameters } = require('./generateCircuits');
 
-const readdirAsync = util.promisify(fs.readdir);
 const mkdir = util.promisify(fs.mkdir);
 
 /**
+ * Extracts the verification key from a verifier.sol that ZoKrates exported. GM17 keys come out as
+ * { H, Galpha, Hbeta, Ggamma, Hgamma, query } and Groth16 keys (from ZoKrates 0.4, which calls them
+ * a, b and gammaABC, or later) as { alpha, beta, gamma, delta, gamma_abc }, the order in which
+ * Verifier.sol and VerifierGroth16.sol take them.
  * @param {string} solFilePath
  */
 function keyExtractor(solFilePath) {
@@ -39,6 +51,10 @@ function keyExtractor(solFilePath) {
           .replace(/"IC\[\d*?\]":/, '')
           .replace(/"query\[0\]":/, '"query": [') // added for GM17
           .replace(/"query\[\d*?\]":/, '') // added for GM17
+          .replace(/"(gammaABC|gamma_abc)\[0\]":/, '"gamma_abc": [') // added for Groth16
+          .replace(/"(gammaABC|gamma_abc)\[\d*?\]":/, '') // added for Groth16
+          .replace(/^"a":/, '"alpha":') // Groth16, ZoKrates 0.4
+          .replace(/^"b":/, '"beta":') // Groth16, ZoKrates 0.4
           .replace(/uint256/g, '') // added for ZoKrates 0.4.10
           .replace(/\(/g, '"') // added for ZoKrates 0.4.10
           .replace(/\)/g, '"') // added for ZoKrates 0.4.10
@@ -58,12 +74,105 @@ function keyExtractor(solFilePath) {
 }
 
 /**
- * Given an output directory, generates all the files needed for a trusted setup.
+ * Compiles a circuit and runs its trusted setup, writing its files to a directory of its own in
+ * the output directory.
+ *
+ * @param {String} outputDirectory
+ * @param {String} gm17Path - Directory of the .zok files for the HASH_TYPE and COMPLIANCE in use
+ * @param {String} codeFileName - The circuit, like ft-mint
+ */
+async function setUpCircuit(outputDirectory, gm17Path, codeFileName) {
+  const codeFileDirectory = path.join(outputDirectory, codeFileName);
+  // Create a directory
+  try {
+    await mkdir(codeFileDirectory);
+  } catch (err) {
+    logger.warn('Directory already exists, skipping creation');
+  }
+
+  // Create files
+  logger.info('Compiling', `${gm17Path}/${codeFileName}.zok`);
+
+  // // Generate out.ztf and out in the same directory.
+  const compileOutput = await compile(`${gm17Path}/${codeFileName}.zok`, codeFileDirectory, 'out', {
+    verbose: true,
+  });
+  logger.debug('Compile output:', compileOutput);
+  logger.info(`Finished compiling ${codeFileName}`);
+
+  logger.info(`Running setup on ${codeFileName}`);
+  // Generate verification.key and proving.key
+  const setupOutput = await setup(
+    `${codeFileDirectory}/out`,
+    codeFileDirectory,
+    config.PROVING_SCHEME,
+    'verification.key',
+    'proving.key',
+    { verbose: true },
+  );
+  logger.debug('Setup output:', setupOutput);
+  logger.info(`Finished setup for ${codeFileName}`);
+
+  logger.info(`Running export-verifier on ${codeFileName}`);
+  const exportVerifierOutput = await exportVerifier(
+    `${codeFileDirectory}/verification.key`,
+    codeFileDirectory,
+    'verifier.sol',
+    config.PROVING_SCHEME,
+    { verbose: true },
+  );
+  logger.debug('Export-verifier output:', exportVerifierOutput);
+  logger.info(`Finished export-verifier for ${codeFileName}`);
+
+  logger.verbose(`Extracting key from ${codeFileDirectory}/verifier.sol`);
+  const vkJson = await keyExtractor(`${codeFileDirectory}/verifier.sol`, true);
+
+  logger.info(`Writing ${codeFileDirectory}/${codeFileName}-vk.json`);
+  fs.writeFileSync(`${codeFileDirectory}/${codeFileName}-vk.json`, vkJson);
+
+  // so that the circuit registry and the preflight checks can tell how it was set up
+  logger.info(`Writing ${codeFileDirectory}/manifest.json`);
+  await writeManifest(
+    outputDirectory,
+    codeFileName,
+    `${gm17Path}/${codeFileName}.zok`,
+    getCircuitMode(),
+  );
+}
+
+/**
+ * Whether a circuit's files in the output directory can be kept: its manifest matches the mode in
+ * use and the circuit's .zok files (with those that it imports), and every file it records is there.
+ */
+function isUpToDate(outputDirectory, gm17Path, codeFileName) {
+  const codeFileDirectory = path.join(outputDirectory, codeFileName);
+  const manifest = readManifest(codeFileDirectory);
+  return (
+    manifest !== null &&
+    findManifestMismatch(manifest, getCircuitMode(), `${gm17Path}/${codeFileName}.zok`) === null &&
+    Object.keys(manifest.files).every(file => fs.existsSync(path.join(codeFileDirectory, file)))
+  );
+}
+
+/**
+ * Given an output directory, generates all the files needed for a trusted setup.  A circuit whose
+ * files are already there, and were set up from the same .zok files in the same mode (see
+ * prover/manifest.js), is skipped.
  *
  * @param {String} outputDirectory - Directory to output all the files necessary
- * @param {String} [codeName] - Optional parameter to compile a specific file (like ft-mint)
+ * @param {String | String[]} [codeNames] - Optional parameter to compile specific files (like
+ * ft-mint, or [ft-mint, ft-transfer])
+ * @param {Object} [options]
+ * @param {Number} [options.concurrency] - How many circuits to set up at once, by default
+ * config.SETUP_CONCURRENCY.  Each can take several gigabytes of memory.
+ * @param {Boolean} [options.force=false] - Set up each circuit even if its files are up to date
+ * @returns {Object} { built, skipped }: the circuits that were set up, and those that were up to date
  */
-async function generateZokratesFiles(outputDirectory, codeName) {
+async function generateZokratesFiles(
+  outputDirectory,
+  codeNames,
+  { concurrency = config.SETUP_CONCURRENCY, force = false } = {},
+) {
   logger.info(`Setting up in directory ${outputDirectory}`);
 
   try {
@@ -72,89 +181,49 @@ async function generateZokratesFiles(outputDirectory, codeName) {
     // Directory already exists, don't worry.
   }
 
-  const outputDirWithSlash = outputDirectory.endsWith('/')
-    ? outputDirectory
-    : `${outputDirectory}/`;
-
-  let hashDir = process.env.COMPLIANCE === 'true' ? '/rc' : '';
-  hashDir = process.env.HASH_TYPE === 'mimc' ? '/mimc' : hashDir;
-
-  // Path to code files within this module.
-  const gm17Path = path.join(__dirname, `./gm17`, hashDir);
-
-  // If there's a codeName, only compile that. Otherwise, compile everything.
-  const codeFiles = codeName ? [codeName] : await readdirAsync(gm17Path);
-
-  // Generate all code files. This function is non-concurrent on purpose.
-  // Running these functions concurrently is too much for most computers.
-  for (let i = 0; i < codeFiles.length; i += 1) {
-    const codeFile = codeFiles[i];
+  // the .zok files must have been written for the batch size and tree height in use, or the token
+  // functions' inputs won't fit the circuits
+  const { batchSize, treeHeight } = readCircuitParameters(getSourceRoot());
+  if (batchSize !== config.BATCH_PROOF_SIZE || treeHeight !== config.TREE_HEIGHT)
+    throw new Error(
+      `The circuits in ${getSourceRoot()} were written for BATCH_PROOF_SIZE=${batchSize} and TREE_HEIGHT=${treeHeight}, but ${
+        config.BATCH_PROOF_SIZE
+      } and ${
+        config.TREE_HEIGHT
+      } are in use: write them with generateCircuits() and set CIRCUIT_SOURCE_DIRECTORY`,
+    );
 
-    // Strip .zok from code file name.
-    const codeFileName = codeFile.split('.')[0];
-    const codeFileDirectory = `${outputDirWithSlash}${codeFileName}`;
-    if (codeFileName === 'common' || codeFileName === 'mimc' || codeFileName === 'rc') {
-      // eslint-disable-next-line
-      continue
-    }
-    // Create a directory
-    try {
-      await mkdir(codeFileDirectory);
-    } catch (err) {
-      logger.warn('Directory already exists, skipping creation');
-    }
+  // Path to code files, for the HASH_TYPE and COMPLIANCE in use.
+  const gm17Path = getSourceDirectory();
+  const available = getCircuitNames();
+
+  // If there are codeNames, only compile those. Otherwise, compile everything.
+  const codeFileNames = codeNames
+    ? [].concat(codeNames).map(codeName => path.basename(codeName, '.zok'))
+    : available;
+  codeFileNames.forEach(codeFileName => {
+    if (!available.includes(codeFileName))
+      throw new Error(`There is no ${codeFileName}.zok in ${gm17Path}`);
+  });
 
-    // Create files
-    logger.info('Compiling', `${outputDirWithSlash}${codeFile}`);
-
-    // // Generate out.ztf and out in the same directory.
-    const compileOutput = await compile(
-      `${gm17Path}/${codeFileName}.zok`,
-      codeFileDirectory,
-      'out',
-      {
-        verbose: true,
-      },
-    );
-    logger.debug('Compile output:', compileOutput);
-    logger.info(`Finished compiling ${codeFileName}`);
-
-    logger.info(`Running setup on ${codeFileName}`);
-    // Generate verification.key and proving.key
-    const setupOutput = await setup(
-      `${codeFileDirectory}/out`,
-      codeFileDirectory,
-      'gm17',
-      'verification.key',
-      'proving.key',
-      { verbose: true },
-    );
-    logger.debug('Setup output:', setupOutput);
-    logger.info(`Finished setup for ${codeFileName}`);
-
-    logger.info(`Running export-verifier on ${codeFileName}`);
-    const exportVerifierOutput = await exportVerifier(
-      `${codeFileDirectory}/verification.key`,
-      codeFileDirectory,
-      'verifier.sol',
-      'gm17',
-      { verbose: true },
-    );
-    logger.debug('Export-verifier output:', exportVerifierOutput);
-    logger.info(`Finished export-verifier for ${codeFileName}`);
-
-    logger.verbose(`Extracting key from ${codeFileDirectory}/verifier.sol`);
-    const vkJson = await keyExtractor(`${codeFileDirectory}/verifier.sol`, true);
-
-    logger.info(`Writing ${codeFileDirectory}/${codeFile.split('.')[0]}-vk.json`);
-    // Create a JSON with the file name but without .zok
-    fs.writeFileSync(`${codeFileDirectory}/${codeFile.split('.')[0]}-vk.json`, vkJson, err => {
-      if (err) {
-        logger.error(err);
-      }
-    });
-    logger.info(outputDirectory, 'is done setting up.');
-  }
+  const skipped = force
+    ? []
+    : codeFileNames.filter(codeFileName => isUpToDate(outputDirectory, gm17Path, codeFileName));
+  skipped.forEach(codeFileName => logger.info(`${codeFileName} is up to date, skipping it`));
+  const built = codeFileNames.filter(codeFileName => !skipped.includes(codeFileName));
+
+  // Circuits are independent, but setting them up is heavy, so only concurrency of them are set up
+  // at once.
+  const queue = [...built];
+  const worker = async () => {
+    while (queue.length > 0) await setUpCircuit(outputDirectory, gm17Path, queue.shift());
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(concurrency, 1), queue.length) }, worker),
+  );
+
+  logger.info(outputDirectory, 'is done setting up.');
+  return { built, skipped };
 }
 
 module.exports = generateZokratesFiles;
@@ -4,6 +4,7 @@
 @desc this acts as a layer of logic between the restapi.js, which lands the
 rest api calls, and the heavy-lifitng token-zkp.js and zokrates.js.  It exists so that the amount of logic in restapi.js is absolutely minimised.
 */
+const crypto = require('crypto');
 const fs = require('fs');
 const { hexToDec } = require('zkp-utils');
 const config = require('./config');
@@ -11,6 +12,80 @@ const utils = require('./utils');
 const Web3 = require('./provider');
 const logger = require('./logger');
 
+/**
+Flattens a vk.json into the list of uints that the Verifier contract takes, in the order that it
+takes them (which doesn't depend on the order of the keys in the file)
+@param {object} vk - a GM17 or Groth16 vk.json, as generateZokratesFiles writes it
+@returns {string[]} decimal strings
+*/
+function flattenVk(vk) {
+  let values;
+  if (vk.H) values = [vk.H, vk.Galpha, vk.Hbeta, vk.Ggamma, vk.Hgamma, vk.query];
+  else if (vk.alpha) values = [vk.alpha, vk.beta, vk.gamma, vk.delta, vk.gamma_abc];
+  else throw new Error('The vk is neither a GM17 nor a Groth16 key');
+  return utils.flattenDeep(values).map(el => hexToDec(el));
+}
+
+/**
+@param {object | string[]} vk - a vk.json, or the flattened vk that the Verifier contract takes
+@returns {string} the sha256 hash of the flattened vk, each value being a 32-byte word
+*/
+function hashVk(vk) {
+  const values = Array.isArray(vk) ? vk : flattenVk(vk);
+  const hash = crypto.createHash('sha256');
+  values.forEach(value => hash.update(BigInt(value).toString(16).padStart(64, '0'), 'hex'));
+  return `0x${hash.digest('hex')}`;
+}
+
+// the Shield contracts' TransactionTypes, under which they hold each vk
+const vkTypes = {
+  mint: 0,
+  transfer: 1,
+  burn: 2,
+  simpleBatchTransfer: 3,
+  consolidationTransfer: 4,
+};
+
+// a call that the contract rejects, rather than one that never reached it.  Reading beyond the end
+// of a vk is an out-of-bounds array access, which Solidity 0.5 makes an invalid opcode.
+const isRejectedCall = err => /revert|invalid opcode/i.test(err.message);
+
+// Shield address and vkDescription => the flattened vk that getRegisteredVk() last read
+const registeredVks = new Map();
+const registeredVkKey = (shieldAddress, vkDescription) =>
+  `${shieldAddress.toLowerCase()}:${vkDescription}`;
+
+/**
+Reads the vk that a Shield contract holds for a type of transaction.  A vk that is found is cached,
+so later reads of it make no calls; loadVk() forgets the vk that it replaces.
+@param {object} shieldInstance - a web3 instance of the Shield contract
+@param {String} vkDescription - as for loadVk()
+@param {Number} length - of the flattened vk.  The contract's getter reads one value at a time.
+@param {object} [options]
+@param {boolean} [options.cached] - false to read the vk from the contract even if it's cached
+@returns {String[]} the flattened vk, as decimal strings, or [] if none is registered
+@throws if a call fails for any other reason than the contract rejecting it
+*/
+async function getRegisteredVk(shieldInstance, vkDescription, length, { cached = true } = {}) {
+  const key = registeredVkKey(shieldInstance.options.address, vkDescription);
+  const cachedVk = registeredVks.get(key);
+  if (cached && cachedVk && cachedVk.length === length) return cachedVk;
+  let vk;
+  try {
+    vk = await Promise.all(
+      [...Array(length).keys()].map(i =>
+        shieldInstance.methods.vks(vkTypes[vkDescription], i).call(),
+      ),
+    );
+  } catch (err) {
+    if (!isRejectedCall(err)) throw err;
+    vk = []; // reading beyond the end of the vk is rejected
+  }
+  if (vk.length > 0) registeredVks.set(key, vk);
+  else registeredVks.delete(key);
+  return vk;
+}
+
 /**
 Loads a verification key to the Verifier Registry
  * @param {String} vkDescription - Description of action that the vk represents, i.e., "mint", "simpleBatchTransfer", "bunr"
@@ -23,42 +98,23 @@ Loads a verification key to the Verifier Registry
 async function loadVk(vkDescription, vkJsonFile, blockchainOptions) {
   const { shieldJson, shieldAddress, account } = blockchainOptions;
 
-  // Shield contract expects a uint instead of the string we get.
-  let vkUint;
-  switch (vkDescription) {
-    case 'mint':
-      vkUint = 0;
-      break;
-    case 'transfer':
-      vkUint = 1;
-      break;
-    case 'burn':
-      vkUint = 2;
-      break;
-    case 'simpleBatchTransfer':
-      vkUint = 3;
-      break;
-    case 'consolidationTransfer':
-      vkUint = 4;
-      break;
-    default:
-      // intentionally set an invalid enumUint that will fail (because currently only enums 0,1,2,3 exist in the shield contracts) in order to save users gas.
-      vkUint = 99;
-      break;
-  }
+  // Shield contract expects a uint instead of the string we get.  An unknown description gets an
+  // invalid enumUint that will fail (because currently only enums 0,1,2,3,4 exist in the shield
+  // contracts) in order to save users gas.
+  const vkUint = Object.prototype.hasOwnProperty.call(vkTypes, vkDescription)
+    ? vkTypes[vkDescription]
+    : 99;
 
   logger.verbose(`Loading VK for ${vkJsonFile}`);
 
   const web3 = Web3.connection();
   const vkRegistryInstance = new web3.eth.Contract(shieldJson.abi, shieldAddress);
 
-  let vk = JSON.parse(fs.readFileSync(vkJsonFile, 'utf8'));
-  vk = Object.values(vk);
-  vk = utils.flattenDeep(vk);
-  vk = vk.map(el => hexToDec(el));
+  const vk = flattenVk(JSON.parse(fs.readFileSync(vkJsonFile, 'utf8')));
 
   // upload the vk to the smart contract
   logger.debug('Registering verification key');
+  registeredVks.delete(registeredVkKey(shieldAddress, vkDescription));
   await vkRegistryInstance.methods.registerVerificationKey(vk, vkUint).send({
     from: account,
     gas: 6500000,
@@ -68,4 +124,7 @@ async function loadVk(vkDescription, vkJsonFile, blockchainOptions) {
 
 module.exports = {
   loadVk,
+  flattenVk,
+  hashVk,
+  getRegisteredVk,
 };
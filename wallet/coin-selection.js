@@ -0,0 +1,85 @@
+/**
+@module coin-selection.js
+@desc Chooses which of a user's fungible commitments to spend in order to send a
+given amount.  A transfer proof always spends exactly two input commitments, so
+we look for one commitment (paired with a zero-value dummy) or two commitments that
+cover the amount.  If none exist, we select enough commitments to be consolidated
+into a single larger one first.
+*/
+const config = require('../config');
+
+const ZERO = BigInt(0);
+
+/**
+Formats a value as the 128 bit hex string that the fungible circuits expect
+@param {BigInt | string | number} value
+*/
+function formatValue(value) {
+  return `0x${BigInt(value).toString(16).padStart(32, '0')}`;
+}
+
+const byValue = (a, b) => {
+  if (BigInt(a.value) < BigInt(b.value)) return -1;
+  return BigInt(a.value) > BigInt(b.value) ? 1 : 0;
+};
+
+/**
+Finds the pair of commitments with the smallest total that still covers the amount
+(a two-pointer search over the commitments sorted by value).
+*/
+function bestPair(sorted, amount) {
+  let best;
+  let low = 0;
+  let high = sorted.length - 1;
+  while (low < high) {
+    const sum = BigInt(sorted[low].value) + BigInt(sorted[high].value);
+    if (sum >= amount) {
+      if (best === undefined || sum < best.sum) best = { sum, inputs: [sorted[low], sorted[high]] };
+      high -= 1;
+    } else {
+      low += 1;
+    }
+  }
+  return best;
+}
+
+/**
+Selects the commitments to spend.
+@param {object[]} commitments - unspent commitment records (see the wallet module), all owned by the sender and of the same token
+@param {BigInt | string} _amount - the amount to send
+@returns {object} one of:
+ { type: 'transfer', inputs: [commitment, commitment], change } - two commitments cover the amount
+ { type: 'transfer', inputs: [commitment], change } - one commitment covers it; a zero-value dummy input is needed
+ { type: 'consolidation', inputs: [...commitments], total } - these commitments must be consolidated first
+*/
+function selectCommitments(commitments, _amount) {
+  const amount = BigInt(_amount);
+  if (amount <= ZERO) throw new Error('The amount to send must be greater than zero');
+
+  // zero-value commitments can only ever be dummies, so leave them out of the selection
+  const sorted = commitments.filter(c => BigInt(c.value) > ZERO).sort(byValue);
+
+  const single = sorted.find(c => BigInt(c.value) >= amount);
+  if (single) return { type: 'transfer', inputs: [single], change: BigInt(single.value) - amount };
+
+  const pair = bestPair(sorted, amount);
+  if (pair) return { type: 'transfer', inputs: pair.inputs, change: pair.sum - amount };
+
+  // Consolidate the largest commitments until we've enough value.
+  const inputs = [];
+  let total = ZERO;
+  for (const commitment of [...sorted].reverse()) {
+    if (total >= amount) break;
+    inputs.push(commitment);
+    total += BigInt(commitment.value);
+  }
+  if (total < amount)
+    throw new Error(`Insufficient funds: the wallet holds ${total} but ${amount} was requested`);
+  if (inputs.length > config.BATCH_PROOF_SIZE)
+    throw new Error(
+      `Sending ${amount} would need ${inputs.length} commitments to be consolidated but a consolidation can only take ${config.BATCH_PROOF_SIZE}`,
+    );
+  return { type: 'consolidation', inputs, total };
+}
+
+module.exports = { selectCommitments, formatValue };
@@ -0,0 +1,42 @@
+/**
+@module file-store.js
+@desc A backend for the commitment wallet that persists records to a single JSON
+file.  The whole file is held in memory and rewritten after each change, which is
+fine for the number of commitments a single user is likely to hold.
+*/
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+
+class FileStore extends MemoryStore {
+  /**
+  @param {string} filePath - the JSON file to read from and write to.  It will be
+  created (along with its directory) if it doesn't exist.
+  */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    if (fs.existsSync(filePath)) {
+      const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      records.forEach(record => this.records.set(record.commitment, record));
+    }
+  }
+
+  async put(record) {
+    await super.put(record);
+    this.save();
+  }
+
+  /**
+  Writes to a temporary file first and then renames it, so that a crash part way
+  through a write can't leave us with a truncated wallet.
+  */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify([...this.records.values()], null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,164 @@
+/**
+@module history.js
+@desc Builds a user's shielded balance and transaction history from the wallet's
+commitment records, and reads the Shield contract events that let us fill in (or
+correct) those records.
+*/
+
+/**
+Types of history entry:
+ incoming - a commitment minted by, or transferred to, the user
+ change - a commitment the user transferred back to themselves
+ outgoing - a commitment the user transferred to someone else
+ burned - a commitment the user burned, recovering the public tokens
+*/
+const ENTRY_TYPES = ['incoming', 'change', 'outgoing', 'burned'];
+
+/**
+The nullifiers that each of the Shield contracts' spending events reveal, and whether the
+event burns or transfers the commitment
+*/
+const SPENDING_EVENTS = {
+  FTokenShield: {
+    Transfer: {
+      spentBy: 'transfer',
+      nullifiers: ({ nullifier1, nullifier2 }) => [nullifier1, nullifier2],
+    },
+    SimpleBatchTransfer: { spentBy: 'transfer', nullifiers: ({ nullifier }) => [nullifier] },
+    ConsolidationTransfer: { spentBy: 'transfer', nullifiers: ({ nullifiers }) => nullifiers },
+    Burn: { spentBy: 'burn', nullifiers: ({ nullifier }) => [nullifier] },
+  },
+  NFTokenShield: {
+    Transfer: { spentBy: 'transfer', nullifiers: ({ nullifier }) => [nullifier] },
+    Burn: { spentBy: 'burn', nullifiers: ({ nullifier }) => [nullifier] },
+  },
+};
+
+const isZero = value => BigInt(value) === BigInt(0);
+
+/**
+Sums the values of the unspent records
+@param {object[]} records - ERC-20 commitment records
+@returns {BigInt}
+*/
+function sumBalance(records) {
+  return records
+    .filter(record => !record.spent)
+    .reduce((acc, record) => acc + BigInt(record.value), BigInt(0));
+}
+
+/**
+Makes a history from commitment records.  The records should be all of those held for one
+token contract (not just those owned by the user), so that outgoing transfers can be found.
+Zero-value ERC-20 commitments (the dummies used to pad out transfers) are left out.
+@param {object[]} records - commitment records from the wallet
+@param {string} ownerPublicKey - the user's zkp public key (normalised, as in the records)
+@returns {object[]} entries of { type, value, commitment, blockNumber, transactionHash }, plus the
+counterparty's public key (from or to) for transfers.  Sorted by block number; entries whose block
+isn't known yet come last.
+*/
+function buildHistory(records, ownerPublicKey) {
+  const entries = [];
+  records
+    .filter(record => !(record.tokenType === 'ERC20' && isZero(record.value)))
+    .forEach(record => {
+      const { value, commitment } = record;
+      if (record.ownerPublicKey === ownerPublicKey) {
+        const isChange = record.senderPublicKey === ownerPublicKey;
+        entries.push({
+          type: isChange ? 'change' : 'incoming',
+          value,
+          commitment,
+          from: isChange ? undefined : record.senderPublicKey,
+          blockNumber: record.blockNumber,
+          transactionHash: record.transactionHash,
+        });
+        if (record.spent && record.spentBy === 'burn') {
+          entries.push({
+            type: 'burned',
+            value,
+            commitment,
+            blockNumber: record.spentBlockNumber,
+            transactionHash: record.spentTransactionHash,
+          });
+        }
+      } else if (record.senderPublicKey === ownerPublicKey) {
+        entries.push({
+          type: 'outgoing',
+          value,
+          commitment,
+          to: record.ownerPublicKey,
+          blockNumber: record.blockNumber,
+          transactionHash: record.transactionHash,
+        });
+      }
+    });
+
+  const blockOf = entry => (entry.blockNumber === undefined ? Infinity : entry.blockNumber);
+  return entries.sort(
+    (a, b) => blockOf(a) - blockOf(b) || ENTRY_TYPES.indexOf(a.type) - ENTRY_TYPES.indexOf(b.type),
+  );
+}
+
+/**
+Reads the NewLeaf and NewLeaves events of a Shield contract
+@param {object} shieldInstance - a web3 instance of the FTokenShield or NFTokenShield contract
+@param {number} fromBlock
+@returns {Map} leaf value (i.e. commitment) => { commitmentIndex, blockNumber, transactionHash }
+*/
+async function getLeaves(shieldInstance, fromBlock) {
+  const leaves = new Map();
+  const [newLeafEvents, newLeavesEvents] = await Promise.all([
+    shieldInstance.getPastEvents('NewLeaf', { fromBlock }),
+    shieldInstance.getPastEvents('NewLeaves', { fromBlock }),
+  ]);
+  newLeafEvents.forEach(({ returnValues, blockNumber, transactionHash }) => {
+    leaves.set(returnValues.leafValue.toLowerCase(), {
+      commitmentIndex: Number(returnValues.leafIndex),
+      blockNumber,
+      transactionHash,
+    });
+  });
+  newLeavesEvents.forEach(({ returnValues, blockNumber, transactionHash }) => {
+    returnValues.leafValues.forEach((leafValue, i) => {
+      leaves.set(leafValue.toLowerCase(), {
+        commitmentIndex: Number(returnValues.minLeafIndex) + i,
+        blockNumber,
+        transactionHash,
+      });
+    });
+  });
+  return leaves;
+}
+
+/**
+Reads the events of a Shield contract that reveal nullifiers
+@param {object} shieldInstance - a web3 instance of the FTokenShield or NFTokenShield contract
+@param {string} contractName - 'FTokenShield' or 'NFTokenShield'
+@param {number} fromBlock
+@returns {Map} nullifier => { spentBy, blockNumber, transactionHash }
+*/
+async function getNullifiers(shieldInstance, contractName, fromBlock) {
+  const spendingEvents = SPENDING_EVENTS[contractName];
+  if (!spendingEvents) throw new Error(`Unknown Shield contract ${contractName}`);
+  const nullifiers = new Map();
+  for (const eventName of Object.keys(spendingEvents)) {
+    const { spentBy, nullifiers: nullifiersOf } = spendingEvents[eventName];
+    const events = await shieldInstance.getPastEvents(eventName, { fromBlock });
+    events.forEach(({ returnValues, blockNumber, transactionHash }) => {
+      nullifiersOf(returnValues).forEach(nullifier => {
+        nullifiers.set(nullifier.toLowerCase(), { spentBy, blockNumber, transactionHash });
+      });
+    });
+  }
+  return nullifiers;
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  SPENDING_EVENTS,
+  sumBalance,
+  buildHistory,
+  getLeaves,
+  getNullifiers,
+};
@@ -0,0 +1,372 @@
+/**
+@module wallet
+@desc Bookkeeping for the commitments created and spent by the token modules.
+Each record holds everything needed to spend a commitment later (its value, salt,
+token contract address, owner's zkp public key and leaf index) together with its
+spent state.  The token modules write to the wallet automatically; storage is
+delegated to a pluggable backend, which defaults to an in-memory store.  Use
+setStore(new FileStore(path)) to keep records between runs.
+If the wallet is given a seed (see useSeed()), the salts it hands out are derived from
+the seed, so that its commitments can be recovered from the seed and the Shield's
+events alone (see recoverCommitments()).
+*/
+const { ensure0x, shaHash, randomHex } = require('zkp-utils');
+const { GN } = require('general-number');
+const { MemoryStore } = require('./memory-store');
+const { FileStore } = require('./file-store');
+const { sumBalance, buildHistory, getLeaves, getNullifiers } = require('./history');
+const keyDerivation = require('./key-derivation');
+const { formatValue } = require('./coin-selection');
+const { getWeb3ContractInstance } = require('../contractUtils');
+const logger = require('../logger');
+
+let store = new MemoryStore();
+let saltSeed; // { seed, account, nextIndex }
+const derivedSaltIndices = new Map(); // salt => its index, until the commitment is recorded
+
+/**
+Replaces the backend used to store commitment records
+@param {object} newStore - any object implementing async get(commitment), put(record) and find(filter)
+*/
+function setStore(newStore) {
+  ['get', 'put', 'find'].forEach(method => {
+    if (typeof newStore[method] !== 'function')
+      throw new Error(`A wallet store must implement the ${method}() method`);
+  });
+  store = newStore;
+}
+
+function getStore() {
+  return store;
+}
+
+/**
+We key and filter records on hex strings, so make sure they're always written the same way.
+Token addresses are stored as 20 byte addresses, whatever padding they arrive with.
+*/
+function normaliseHex(hex) {
+  return hex === undefined ? undefined : ensure0x(hex).toLowerCase();
+}
+
+function normaliseAddress(address) {
+  return address === undefined ? undefined : `0x${normaliseHex(address).slice(-40)}`;
+}
+
+function normaliseFilter({ ownerPublicKey, tokenAddress, tokenType, spent } = {}) {
+  return {
+    ownerPublicKey: normaliseHex(ownerPublicKey),
+    tokenAddress: normaliseAddress(tokenAddress),
+    tokenType,
+    spent,
+  };
+}
+
+/**
+Records a newly created commitment.  If the commitment is already known, the new
+details are merged into the existing record (e.g. to add a leaf index).
+@param {object} details
+@param {string} details.commitment
+@param {string} details.value - the amount (ERC-20) or tokenId (ERC-721), as hex
+@param {string} details.salt
+@param {string} details.tokenAddress - the ERC-20 or ERC-721 contract address
+@param {string} details.tokenType - 'ERC20' or 'ERC721'
+@param {string} details.ownerPublicKey - the zkp public key that owns the commitment
+@param {string} [details.senderPublicKey] - the zkp public key that transferred the commitment (undefined for a mint)
+@param {number} details.commitmentIndex - the leaf index of the commitment in the Shield's Merkle tree
+@param {string} [details.transactionHash] - the transaction that created the commitment
+@param {number} [details.blockNumber] - the block containing that transaction
+*/
+async function addCommitment(details) {
+  const commitment = normaliseHex(details.commitment);
+  const existing = await store.get(commitment);
+  const merged = { spent: false, ...existing, ...details };
+  const record = {
+    ...merged,
+    commitment,
+    tokenAddress: normaliseAddress(merged.tokenAddress),
+    ownerPublicKey: normaliseHex(merged.ownerPublicKey),
+    senderPublicKey: normaliseHex(merged.senderPublicKey),
+  };
+  if (details.commitmentIndex !== undefined)
+    record.commitmentIndex = Number(details.commitmentIndex); // events give us strings
+  if (record.saltIndex === undefined && derivedSaltIndices.has(record.salt)) {
+    record.saltIndex = derivedSaltIndices.get(record.salt);
+    derivedSaltIndices.delete(record.salt);
+  }
+  logger.debug('Adding commitment to wallet:', record);
+  await store.put(record);
+  return record;
+}
+
+/**
+Marks a commitment as spent, once its nullifier has been used on-chain
+@param {string} _commitment
+@param {string} nullifier
+@param {object} [transaction] - the receipt of the transaction that spent the commitment (or the
+event that it emitted); we keep its transactionHash and blockNumber
+@param {string} [spentBy] - 'transfer' or 'burn'
+*/
+async function markSpent(_commitment, nullifier, transaction = {}, spentBy = 'transfer') {
+  const commitment = normaliseHex(_commitment);
+  const record = await store.get(commitment);
+  if (record === undefined) {
+    logger.debug(`Commitment ${commitment} was spent but is not in the wallet`);
+    return undefined;
+  }
+  const spentRecord = {
+    ...record,
+    spent: true,
+    nullifier: normaliseHex(nullifier),
+    spentBy,
+    spentTransactionHash: transaction.transactionHash,
+    spentBlockNumber: transaction.blockNumber,
+  };
+  await store.put(spentRecord);
+  return spentRecord;
+}
+
+async function getCommitment(commitment) {
+  return store.get(normaliseHex(commitment));
+}
+
+/**
+@param {object} [filter]
+@param {string} [filter.ownerPublicKey]
+@param {string} [filter.tokenAddress]
+@param {string} [filter.tokenType]
+@param {boolean} [filter.spent]
+@returns {object[]} the matching commitment records
+*/
+async function getCommitments(filter) {
+  return store.find(normaliseFilter(filter));
+}
+
+async function getUnspentCommitments(ownerPublicKey, tokenAddress) {
+  return getCommitments({ ownerPublicKey, tokenAddress, spent: false });
+}
+
+/**
+Makes newSalt() derive salts from a seed rather than choosing random ones
+@param {string | Buffer} seed - see mnemonicToSeed() in ./key-derivation.js
+@param {number} [account]
+*/
+function useSeed(seed, account = 0) {
+  saltSeed = { seed, account, nextIndex: undefined };
+}
+
+/**
+@returns {string} a salt for a new commitment.  If the wallet has a seed, this is the salt with
+the next unused index, otherwise it's random.
+*/
+async function newSalt() {
+  if (saltSeed === undefined) return randomHex(32);
+  if (saltSeed.nextIndex === undefined) {
+    // carry on from the highest index that we've recorded
+    const indices = (await getCommitments())
+      .map(record => record.saltIndex)
+      .filter(index => index !== undefined);
+    saltSeed.nextIndex = indices.length === 0 ? 0 : Math.max(...indices) + 1;
+  }
+  const index = saltSeed.nextIndex;
+  saltSeed.nextIndex += 1;
+  const salt = keyDerivation.deriveSalt(saltSeed.seed, saltSeed.account, index);
+  derivedSaltIndices.set(salt, index);
+  return salt;
+}
+
+/**
+Brings the wallet's records for a token contract up to date with the Shield contract's events.
+Leaf indices, block numbers and transaction hashes are filled in from the NewLeaf(s) events, and
+any commitment whose nullifier has appeared on-chain is marked as spent - which catches spends
+made outside of this wallet (e.g. from another machine with the same keys).  A commitment's
+nullifier is only known once the wallet has spent it, so pass the owner's private key to find
+spends of the others.
+The compliance (RC) contracts emit their nullifiers inside encrypted public inputs, so only the
+FTokenShield and NFTokenShield events are read here.
+@param {object} options
+@param {string} options.contractName - 'FTokenShield' or 'NFTokenShield'
+@param {string} options.shieldAddress - the address of the Shield contract
+@param {string} options.tokenAddress - the ERC-20 or ERC-721 contract that it shields
+@param {string} [options.zkpPrivateKey] - the private key of the commitments' owner
+@param {number} [options.fromBlock] - the block to start reading events from
+@returns {object[]} the updated records for the token contract
+*/
+async function syncWithShield({
+  contractName,
+  shieldAddress,
+  tokenAddress,
+  zkpPrivateKey,
+  fromBlock = 0,
+}) {
+  const shieldInstance = await getWeb3ContractInstance(contractName, shieldAddress);
+  const leaves = await getLeaves(shieldInstance, fromBlock);
+  const nullifiers = await getNullifiers(shieldInstance, contractName, fromBlock);
+  const zkpPublicKey =
+    zkpPrivateKey === undefined ? undefined : normaliseHex(shaHash(zkpPrivateKey));
+
+  const records = await getCommitments({ tokenAddress });
+  for (const record of records) {
+    const leaf = leaves.get(record.commitment);
+    if (leaf) {
+      await addCommitment({ ...record, ...leaf });
+    }
+    if (!record.spent) {
+      let { nullifier } = record;
+      if (nullifier === undefined && zkpPublicKey === record.ownerPublicKey)
+        nullifier = normaliseHex(shaHash(record.salt, zkpPrivateKey));
+      const spend = nullifier === undefined ? undefined : nullifiers.get(nullifier);
+      if (spend) {
+        logger.debug(`Commitment ${record.commitment} was spent in ${spend.transactionHash}`);
+        await markSpent(record.commitment, nullifier, spend, spend.spentBy);
+      }
+    }
+  }
+  return getCommitments({ tokenAddress });
+}
+
+/**
+The values that anyone can see being shielded: the amounts of ERC-20 tokens, or the ERC-721
+tokenIds, transferred to the Shield contract when commitments are minted
+*/
+async function getShieldedValues(tokenType, tokenAddress, shieldAddress, fromBlock) {
+  if (tokenType === 'ERC721') {
+    const tokenInstance = await getWeb3ContractInstance('ERC721Interface', tokenAddress);
+    const events = await tokenInstance.getPastEvents('Transfer', {
+      filter: { _to: shieldAddress },
+      fromBlock,
+    });
+    return events.map(event => new GN(event.returnValues._tokenId).hex(32));
+  }
+  const tokenInstance = await getWeb3ContractInstance('ERC20Interface', tokenAddress);
+  const events = await tokenInstance.getPastEvents('Transfer', {
+    filter: { to: shieldAddress },
+    fromBlock,
+  });
+  return [formatValue(0), ...events.map(event => formatValue(event.returnValues.value))];
+}
+
+/**
+Rebuilds the wallet's records of an account's commitments from its seed.  Salts are derived in
+turn, and for each one we compute the commitment to every candidate value and look for it
+in the Shield's NewLeaf(s) events, stopping once gapLimit salts in a row have matched nothing.
+The values of transferred commitments aren't public, so the candidates are the values seen
+being shielded by mints (and zero, for dummy commitments), plus any values that you pass in.
+Spent commitments are then marked as such (see syncWithShield()).
+Only commitments created with salts from this seed (see useSeed()) can be recovered.
+@param {object} options
+@param {string | Buffer} options.seed
+@param {number} [options.account]
+@param {string} options.contractName - 'FTokenShield' or 'NFTokenShield'
+@param {string} options.shieldAddress
+@param {string} options.tokenAddress - the ERC-20 or ERC-721 contract that the Shield shields
+@param {string[]} [options.values] - further candidate amounts (ERC-20) or tokenIds (ERC-721)
+@param {number} [options.gapLimit]
+@param {number} [options.fromBlock]
+@returns {object[]} the recovered commitment records
+*/
+async function recoverCommitments({
+  seed,
+  account = 0,
+  contractName,
+  shieldAddress,
+  tokenAddress,
+  values = [],
+  gapLimit = 20,
+  fromBlock = 0,
+}) {
+  const tokenType = contractName === 'NFTokenShield' ? 'ERC721' : 'ERC20';
+  const formatCandidate = value =>
+    tokenType === 'ERC721' ? new GN(value).hex(32) : formatValue(value);
+  const candidates = [
+    ...new Set([
+      ...values.map(formatCandidate),
+      ...(await getShieldedValues(tokenType, tokenAddress, shieldAddress, fromBlock)),
+    ]),
+  ];
+  const { zkpPrivateKey, zkpPublicKey } = keyDerivation.deriveZkpKeyPair(seed, account);
+  const shieldInstance = await getWeb3ContractInstance(contractName, shieldAddress);
+  const leaves = await getLeaves(shieldInstance, fromBlock);
+  const tokenAddress32 = new GN(tokenAddress).hex(32);
+
+  const recovered = [];
+  let misses = 0;
+  for (let index = 0; misses < gapLimit; index++) {
+    const salt = keyDerivation.deriveSalt(seed, account, index);
+    let found = false;
+    for (const value of candidates) {
+      const commitment = shaHash(tokenAddress32, value, zkpPublicKey, salt).toLowerCase();
+      const leaf = leaves.get(commitment);
+      if (leaf) {
+        logger.debug(`Recovered commitment ${commitment} with salt index ${index}`);
+        recovered.push(commitment);
+        await addCommitment({
+          commitment,
+          value,
+          salt,
+          saltIndex: index,
+          tokenAddress,
+          tokenType,
+          ownerPublicKey: zkpPublicKey,
+          ...leaf,
+        });
+        found = true;
+      }
+    }
+    misses = found ? 0 : misses + 1;
+  }
+
+  await syncWithShield({ contractName, shieldAddress, tokenAddress, zkpPrivateKey, fromBlock });
+  return Promise.all(recovered.map(getCommitment));
+}
+
+/**
+@param {string} ownerPublicKey
+@param {string} erc20Address
+@returns {BigInt} the total value of the owner's unspent commitments of an ERC-20 token
+*/
+async function getBalance(ownerPublicKey, erc20Address) {
+  return sumBalance(await getUnspentCommitments(ownerPublicKey, erc20Address));
+}
+
+/**
+@param {string} ownerPublicKey
+@param {string} erc721Address
+@returns {string[]} the tokenIds of the owner's unspent commitments of an ERC-721 token
+*/
+async function getTokenIds(ownerPublicKey, erc721Address) {
+  return (await getUnspentCommitments(ownerPublicKey, erc721Address)).map(record => record.value);
+}
+
+/**
+Lists the incoming, change, outgoing and burned commitments of a user for one token contract.
+See buildHistory() in ./history.js for the format of the entries.
+@param {string} ownerPublicKey
+@param {string} tokenAddress - the ERC-20 or ERC-721 contract address
+@param {object} [syncOptions] - if given, syncWithShield() is called with these options first
+*/
+async function getHistory(ownerPublicKey, tokenAddress, syncOptions) {
+  const records = syncOptions
+    ? await syncWithShield({ ...syncOptions, tokenAddress })
+    : await getCommitments({ tokenAddress });
+  return buildHistory(records, normaliseHex(ownerPublicKey));
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  setStore,
+  getStore,
+  addCommitment,
+  markSpent,
+  getCommitment,
+  getCommitments,
+  getUnspentCommitments,
+  syncWithShield,
+  getBalance,
+  getTokenIds,
+  getHistory,
+  useSeed,
+  newSalt,
+  recoverCommitments,
+  keyDerivation,
+};
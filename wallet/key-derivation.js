@@ -0,0 +1,95 @@
+/**
+@module key-derivation.js
+@desc Deterministic derivation of zkp key pairs and commitment salts from a seed, so that a
+user only needs to back up one mnemonic.  The seed is computed from the mnemonic as in BIP39
+(any BIP39 mnemonic will do) and keys are derived along hardened paths, as in SLIP-0010:
+ m / PURPOSE' / account' / 0' / 0' - the zkp private key of an account
+ m / PURPOSE' / account' / 1' / index' - the salt of the account's index'th commitment
+A derived key is 32 bytes.  With MiMC hashing, keys and salts are reduced modulo the ZoKrates
+prime, so that they can always be used as a single field element.
+*/
+const crypto = require('crypto');
+const { shaHash } = require('zkp-utils');
+const config = require('../config');
+
+const PURPOSE = 0x6e6c; // 'nl'
+const HARDENED_OFFSET = 0x80000000;
+const KEY_CHAIN = 0;
+const SALT_CHAIN = 1;
+const MASTER_KEY = Buffer.from('nightlite seed', 'utf8');
+
+const hmacSha512 = (key, data) => crypto.createHmac('sha512', key).update(data).digest();
+
+/**
+Turns a mnemonic (and optional passphrase) into a 64 byte seed, as BIP39 does
+@param {string} mnemonic - a space separated list of words
+@param {string} [passphrase]
+@returns {string} the seed, as hex
+*/
+function mnemonicToSeed(mnemonic, passphrase = '') {
+  const words = Buffer.from(mnemonic.normalize('NFKD'), 'utf8');
+  const salt = Buffer.from(`mnemonic${passphrase}`.normalize('NFKD'), 'utf8');
+  return `0x${crypto.pbkdf2Sync(words, salt, 2048, 64, 'sha512').toString('hex')}`;
+}
+
+function parsePath(path) {
+  const segments = path.split('/');
+  if (segments[0] !== 'm') throw new Error(`Derivation path ${path} must start with 'm'`);
+  return segments.slice(1).map(segment => {
+    if (!/^\d+'$/.test(segment))
+      throw new Error(`Derivation path ${path} may only contain hardened indices (e.g. 1')`);
+    const index = Number(segment.slice(0, -1));
+    if (index >= HARDENED_OFFSET) throw new Error(`Index ${segment} of ${path} is too large`);
+    return index;
+  });
+}
+
+/**
+Derives a 32 byte key from a seed along a hardened path
+@param {string | Buffer} seed - e.g. from mnemonicToSeed()
+@param {string} path - e.g. "m/28268'/0'/1'/5'"
+@param {string} [hashType] - 'mimc' reduces the key modulo the ZoKrates prime
+@returns {string} the key, as hex
+*/
+function derivePath(seed, path, hashType = config.HASH_TYPE) {
+  const seedBuffer = Buffer.isBuffer(seed) ? seed : Buffer.from(seed.replace(/^0x/, ''), 'hex');
+  if (seedBuffer.length < 16) throw new Error('A seed must be at least 16 bytes long');
+  let node = hmacSha512(MASTER_KEY, seedBuffer);
+  for (const index of parsePath(path)) {
+    const data = Buffer.alloc(37);
+    node.copy(data, 1, 0, 32); // data = 0x00 || key || index
+    data.writeUInt32BE(index + HARDENED_OFFSET, 33);
+    node = hmacSha512(node.slice(32), data);
+  }
+  let key = BigInt(`0x${node.slice(0, 32).toString('hex')}`);
+  if (hashType === 'mimc') key %= config.ZOKRATES_PRIME;
+  return `0x${key.toString(16).padStart(64, '0')}`;
+}
+
+/**
+@param {string | Buffer} seed
+@param {number} [account]
+@returns {object} { zkpPrivateKey, zkpPublicKey }
+*/
+function deriveZkpKeyPair(seed, account = 0, hashType = config.HASH_TYPE) {
+  const zkpPrivateKey = derivePath(seed, `m/${PURPOSE}'/${account}'/${KEY_CHAIN}'/0'`, hashType);
+  return { zkpPrivateKey, zkpPublicKey: shaHash(zkpPrivateKey) };
+}
+
+/**
+@param {string | Buffer} seed
+@param {number} account
+@param {number} index - the number of the commitment
+@returns {string} the salt of the account's index'th commitment
+*/
+function deriveSalt(seed, account, index, hashType = config.HASH_TYPE) {
+  return derivePath(seed, `m/${PURPOSE}'/${account}'/${SALT_CHAIN}'/${index}'`, hashType);
+}
+
+module.exports = {
+  PURPOSE,
+  mnemonicToSeed,
+  derivePath,
+  deriveZkpKeyPair,
+  deriveSalt,
+};
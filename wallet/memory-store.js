@@ -0,0 +1,51 @@
+/**
+@module memory-store.js
+@desc An in-memory backend for the commitment wallet.  Nothing survives a restart
+of the process, so this is mainly useful for tests and for short-lived scripts.
+Any other backend must implement the same three async methods: get, put and find.
+*/
+
+/**
+Checks whether a stored commitment record matches every property of a filter.
+Properties of the filter that are undefined are ignored.
+@param {object} record - a commitment record
+@param {object} filter - e.g. { ownerPublicKey, tokenAddress, spent }
+*/
+function matchesFilter(record, filter = {}) {
+  return Object.keys(filter).every(key => filter[key] === undefined || record[key] === filter[key]);
+}
+
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+  @param {string} commitment - the commitment value (the key of the record)
+  @returns {object | undefined} a copy of the stored record
+  */
+  async get(commitment) {
+    const record = this.records.get(commitment);
+    return record === undefined ? undefined : { ...record };
+  }
+
+  /**
+  Creates or overwrites the record for record.commitment
+  @param {object} record
+  */
+  async put(record) {
+    this.records.set(record.commitment, { ...record });
+  }
+
+  /**
+  @param {object} filter - see matchesFilter()
+  @returns {object[]} copies of all of the matching records
+  */
+  async find(filter) {
+    return [...this.records.values()]
+      .filter(record => matchesFilter(record, filter))
+      .map(record => ({ ...record }));
+  }
+}
+
+module.exports = { MemoryStore, matchesFilter };